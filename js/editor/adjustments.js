@@ -0,0 +1,36 @@
+/**
+ * Color adjustments, in the order the kernels apply them.
+ *
+ * Each adjustment is { id, label, min, max, step, default }; its value is
+ * stored under `id` in the editor's adjustments object and in history states.
+ * An adjustment left at its default is skipped.
+ */
+export const ADJUSTMENTS = [
+  { id: 'exposure', label: 'Exposure', min: -3, max: 3, step: 0.1, default: 0 },
+  { id: 'temperature', label: 'Temperature', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'tint', label: 'Tint', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'highlights', label: 'Highlights', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'shadows', label: 'Shadows', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.05, default: 1 },
+  { id: 'hue', label: 'Hue', min: -180, max: 180, step: 1, default: 0 },
+  { id: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1, default: 0 },
+  { id: 'vibrance', label: 'Vibrance', min: -100, max: 100, step: 1, default: 0 }
+];
+
+/**
+ * Adjustments with every value at its default
+ * @returns {Object} - Adjustment ID => value
+ */
+export function getDefaultAdjustments() {
+  return Object.fromEntries(ADJUSTMENTS.map(adjustment => [adjustment.id, adjustment.default]));
+}
+
+/**
+ * Adjustment descriptors for building controls
+ * @returns {Object[]} - Copies of the descriptors
+ */
+export function listAdjustments() {
+  return ADJUSTMENTS.map(adjustment => ({ ...adjustment }));
+}
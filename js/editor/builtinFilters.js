@@ -0,0 +1,83 @@
+import { registerFilter } from './filters.js';
+import { applyGrayscale, applySepia, applyInvert } from './kernels.js';
+import {
+  gaussianRadius,
+  applyGaussianBlur,
+  applyBoxBlur,
+  applySharpen,
+  applySobel,
+  applyEmboss
+} from './convolution.js';
+
+/**
+ * Filters that ship with the editor. The chunk worker imports this module
+ * too, so these run off the main thread.
+ */
+
+registerFilter({
+  id: 'grayscale',
+  label: 'Grayscale',
+  kernel: data => applyGrayscale(data)
+});
+
+registerFilter({
+  id: 'sepia',
+  label: 'Sepia',
+  params: [
+    { id: 'amount', label: 'Amount', min: 0, max: 100, default: 100 }
+  ],
+  kernel: (data, { amount }) => applySepia(data, amount)
+});
+
+registerFilter({
+  id: 'invert',
+  label: 'Invert',
+  kernel: data => applyInvert(data)
+});
+
+// Neighborhood filters: the memory manager pads each tile with `radius`
+// pixels from the adjacent pages
+
+registerFilter({
+  id: 'gaussian-blur',
+  label: 'Gaussian Blur',
+  params: [
+    { id: 'sigma', label: 'Radius', min: 0.5, max: 10, step: 0.5, default: 2 }
+  ],
+  radius: ({ sigma }) => gaussianRadius(sigma),
+  kernel: (data, { sigma }, { width, height }) => applyGaussianBlur(data, width, height, sigma)
+});
+
+registerFilter({
+  id: 'box-blur',
+  label: 'Box Blur',
+  params: [
+    { id: 'radius', label: 'Radius', min: 1, max: 20, default: 3 }
+  ],
+  radius: ({ radius }) => radius,
+  kernel: (data, { radius }, { width, height }) => applyBoxBlur(data, width, height, radius)
+});
+
+registerFilter({
+  id: 'sharpen',
+  label: 'Sharpen',
+  params: [
+    { id: 'amount', label: 'Amount', min: 0, max: 100, default: 50 }
+  ],
+  radius: 1,
+  kernel: (data, { amount }, { width, height }) => applySharpen(data, width, height, amount)
+});
+
+registerFilter({
+  id: 'edges',
+  label: 'Edges (Sobel)',
+  radius: 1,
+  kernel: (data, params, { width, height }) => applySobel(data, width, height)
+});
+
+registerFilter({
+  id: 'emboss',
+  label: 'Emboss',
+  radius: 1,
+  kernel: (data, params, { width, height }) => applyEmboss(data, width, height)
+});
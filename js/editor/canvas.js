@@ -23,6 +23,14 @@ export function createCanvas(canvasId) {
     canvas.height = height;
   }
   
+  /**
+   * Set the on-screen width, letting a lower-resolution canvas display at full size
+   * @param {number|null} width - Display width in CSS pixels, or null for the canvas width
+   */
+  function setDisplayWidth(width) {
+    canvas.style.width = width ? `${width}px` : '';
+  }
+  
   /**
    * Clear the canvas
    */
@@ -68,6 +76,7 @@ export function createCanvas(canvasId) {
     canvas,
     ctx,
     setCanvasSize,
+    setDisplayWidth,
     clearCanvas,
     drawImage,
     resizeToFit
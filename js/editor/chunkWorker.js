@@ -0,0 +1,28 @@
+import './builtinFilters.js';
+import { processChunkInPlace } from './kernels.js';
+import { hasFilter } from './filters.js';
+
+/**
+ * Chunk worker: runs the pixel kernels off the main thread.
+ *
+ * Request:  { id, buffer, adjustments, filter, region } - buffer is transferred in
+ * Response: { id, buffer } or { id, error, code }         - buffer is transferred back,
+ *           cropped to the tile if the request had a halo
+ *
+ * Filters registered at runtime on the main thread don't exist here; they
+ * are answered with code 'unknown-filter' so the caller can run them itself.
+ */
+self.addEventListener('message', ({ data: { id, buffer, adjustments, filter, region } }) => {
+  const filterId = typeof filter === 'string' ? filter : filter.id;
+  if (!hasFilter(filterId)) {
+    self.postMessage({ id, error: `Unknown filter: ${filterId}`, code: 'unknown-filter' });
+    return;
+  }
+
+  try {
+    const result = processChunkInPlace(new Uint8ClampedArray(buffer), adjustments, filter, region);
+    self.postMessage({ id, buffer: result.buffer }, [result.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
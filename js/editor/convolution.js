@@ -0,0 +1,263 @@
+/**
+ * Convolution kernels.
+ *
+ * Neighborhood filters run on a tile padded with a halo of `radius` pixels
+ * taken from the adjacent pages, so results match across page boundaries.
+ * Pixels whose neighborhood runs off the padded buffer are computed with
+ * clamped coordinates; they lie in the halo, which is cropped away afterwards.
+ * Only RGB is convolved; alpha is left unchanged.
+ */
+
+/**
+ * Convolve with an arbitrary square kernel
+ * @param {Uint8ClampedArray} data - RGBA pixels, rewritten in place
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number[]} weights - Row-major weights of an odd-sized square kernel
+ * @param {Object} [options] - Convolution options
+ * @param {number} [options.divisor] - Sum is divided by this (defaults to the sum of weights, or 1)
+ * @param {number} [options.bias] - Added after dividing
+ */
+export function convolve(data, width, height, weights, { divisor, bias = 0 } = {}) {
+  const size = Math.round(Math.sqrt(weights.length));
+  if (size * size !== weights.length || size % 2 === 0) {
+    throw new Error(`Convolution kernel must be an odd-sized square, got ${weights.length} weights`);
+  }
+
+  const radius = (size - 1) / 2;
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const scale = 1 / (divisor || sum || 1);
+  const source = new Uint8ClampedArray(data);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let ky = 0; ky < size; ky++) {
+        const sy = clampIndex(y + ky - radius, height);
+        for (let kx = 0; kx < size; kx++) {
+          const weight = weights[ky * size + kx];
+          if (weight === 0) continue;
+
+          const i = (sy * width + clampIndex(x + kx - radius, width)) * 4;
+          r += source[i] * weight;
+          g += source[i + 1] * weight;
+          b += source[i + 2] * weight;
+        }
+      }
+
+      const o = (y * width + x) * 4;
+      data[o] = r * scale + bias;
+      data[o + 1] = g * scale + bias;
+      data[o + 2] = b * scale + bias;
+    }
+  }
+}
+
+/**
+ * Convolve with a separable kernel: one horizontal and one vertical pass,
+ * O(size) per pixel instead of O(size²)
+ * @param {Uint8ClampedArray} data - RGBA pixels, rewritten in place
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number[]} weights - Odd-length 1D kernel, used for both passes; normalized here
+ */
+export function convolveSeparable(data, width, height, weights) {
+  if (weights.length % 2 === 0) {
+    throw new Error(`Separable kernel must have odd length, got ${weights.length}`);
+  }
+
+  const radius = (weights.length - 1) / 2;
+  const sum = weights.reduce((total, weight) => total + weight, 0) || 1;
+  const normalized = weights.map(weight => weight / sum);
+
+  // The horizontal pass keeps full precision for the vertical one
+  const rows = new Float32Array(width * height * 3);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let k = 0; k < normalized.length; k++) {
+        const i = (y * width + clampIndex(x + k - radius, width)) * 4;
+        r += data[i] * normalized[k];
+        g += data[i + 1] * normalized[k];
+        b += data[i + 2] * normalized[k];
+      }
+
+      const o = (y * width + x) * 3;
+      rows[o] = r;
+      rows[o + 1] = g;
+      rows[o + 2] = b;
+    }
+  }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+
+      for (let k = 0; k < normalized.length; k++) {
+        const i = (clampIndex(y + k - radius, height) * width + x) * 3;
+        r += rows[i] * normalized[k];
+        g += rows[i + 1] * normalized[k];
+        b += rows[i + 2] * normalized[k];
+      }
+
+      const o = (y * width + x) * 4;
+      data[o] = r;
+      data[o + 1] = g;
+      data[o + 2] = b;
+    }
+  }
+}
+
+/**
+ * Gaussian weights covering three standard deviations
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {number[]} - Unnormalized 1D kernel
+ */
+export function gaussianWeights(sigma) {
+  const radius = gaussianRadius(sigma);
+  const weights = [];
+
+  for (let i = -radius; i <= radius; i++) {
+    weights.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+  }
+
+  return weights;
+}
+
+/**
+ * Halo needed by a Gaussian blur
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {number} - Radius in pixels
+ */
+export function gaussianRadius(sigma) {
+  return Math.max(1, Math.ceil(sigma * 3));
+}
+
+/**
+ * Apply Gaussian blur
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} sigma - Standard deviation in pixels
+ */
+export function applyGaussianBlur(data, width, height, sigma) {
+  if (sigma <= 0) return;
+  convolveSeparable(data, width, height, gaussianWeights(sigma));
+}
+
+/**
+ * Apply box blur
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} radius - Box radius in pixels
+ */
+export function applyBoxBlur(data, width, height, radius) {
+  if (radius <= 0) return;
+  convolveSeparable(data, width, height, new Array(2 * radius + 1).fill(1));
+}
+
+/**
+ * Sharpen with a 3×3 Laplacian kernel
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ * @param {number} amount - Strength (0 to 100)
+ */
+export function applySharpen(data, width, height, amount) {
+  const a = amount / 100;
+  if (a <= 0) return;
+
+  convolve(data, width, height, [
+    0, -a, 0,
+    -a, 1 + 4 * a, -a,
+    0, -a, 0
+  ], { divisor: 1 });
+}
+
+/**
+ * Replace pixels with their Sobel gradient magnitude (grayscale edges)
+ * @param {Uint8ClampedArray} data - RGBA pixels, rewritten in place
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ */
+export function applySobel(data, width, height) {
+  // Gradients are taken on luminance
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const at = (x, y) => luma[clampIndex(y, height) * width + clampIndex(x, width)];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const gx =
+        -at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1) +
+        at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1);
+      const gy =
+        -at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1) +
+        at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1);
+
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      const o = (y * width + x) * 4;
+      data[o] = magnitude;
+      data[o + 1] = magnitude;
+      data[o + 2] = magnitude;
+    }
+  }
+}
+
+/**
+ * Emboss with a 3×3 kernel lit from the top left, centered on mid-gray
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Buffer width in pixels
+ * @param {number} height - Buffer height in pixels
+ */
+export function applyEmboss(data, width, height) {
+  convolve(data, width, height, [
+    -1, -1, 0,
+    -1, 0, 1,
+    0, 1, 1
+  ], { divisor: 1, bias: 128 });
+}
+
+/**
+ * Build a filter definition for an arbitrary square kernel, ready for registerFilter
+ * @param {Object} config - Filter settings
+ * @param {string} config.id - Filter ID
+ * @param {string} config.label - Display name
+ * @param {number[]} config.weights - Row-major weights of an odd-sized square kernel
+ * @param {number} [config.divisor] - Sum is divided by this (defaults to the sum of weights, or 1)
+ * @param {number} [config.bias] - Added after dividing
+ * @returns {Object} - Filter definition
+ */
+export function convolutionFilter({ id, label, weights, divisor, bias }) {
+  const size = Math.round(Math.sqrt(weights.length));
+
+  return {
+    id,
+    label,
+    radius: (size - 1) / 2,
+    kernel: (data, params, { width, height }) => convolve(data, width, height, weights, { divisor, bias })
+  };
+}
+
+/**
+ * Keep a coordinate inside [0, size)
+ * @param {number} value - Coordinate
+ * @param {number} size - Extent
+ * @returns {number} - Clamped coordinate
+ */
+function clampIndex(value, size) {
+  return value < 0 ? 0 : value >= size ? size - 1 : value;
+}
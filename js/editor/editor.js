@@ -1,6 +1,24 @@
 import { createCanvas } from './canvas.js';
 import { setupImageProcessor } from './imageProcessor.js';
 import { HistoryManager } from './history.js';
+import { NO_FILTER, registerFilter as addFilter, hasFilter, listFilters, resolveFilterParams } from './filters.js';
+import { getDefaultAdjustments, listAdjustments } from './adjustments.js';
+import { getDefaultLevels, getDefaultCurves } from './tones.js';
+import { createHistogram, setupHistogram } from './histogram.js';
+import {
+  MAX_ANGLE,
+  INTERPOLATIONS,
+  PERSPECTIVE_MODES,
+  getDefaultTransform,
+  getStraightenAngle,
+  isFullImage
+} from './transform.js';
+import { RESAMPLE_METHODS, DEFAULT_RESAMPLE_METHOD, resampleImage } from './resample.js';
+import { LUT_INTERPOLATIONS, parseCube, lutFilter } from './lut.js';
+import { createDefaultLutLibrary } from './lutLibrary.js';
+
+// Smallest preview scale the thrashing response may reduce to
+const MIN_PREVIEW_SCALE = 0.25;
 
 /**
  * Sets up the image editor
@@ -8,17 +26,25 @@ import { HistoryManager } from './history.js';
  * @param {string} config.canvasId - ID of the canvas element
  * @param {Object} config.memoryManager - Virtual memory manager instance
  * @param {Object} config.eventBus - Event bus for communication
+ * @param {number} [config.workers] - Chunk worker pool size (0 processes chunks on the main thread)
+ * @param {Object} [config.lutLibrary] - Where imported LUTs are kept between sessions (defaults to IndexedDB)
  * @returns {Object} - Editor API
  */
-export function setupEditor({ canvasId, memoryManager, eventBus }) {
+export function setupEditor({ canvasId, memoryManager, eventBus, workers, lutLibrary = createDefaultLutLibrary() }) {
   // Initialize the canvas with context
-  const { canvas, ctx, setCanvasSize, clearCanvas, drawImage } = createCanvas(canvasId);
+  const { canvas, ctx, setCanvasSize, setDisplayWidth, clearCanvas, drawImage } = createCanvas(canvasId);
   
   // Initialize the image processor
-  const imageProcessor = setupImageProcessor({ memoryManager, eventBus });
+  const imageProcessor = setupImageProcessor({ memoryManager, eventBus, workers });
+  
+  // Histogram of the rendered image, counted by every render
+  const histogram = setupHistogram({ eventBus });
+  
+  // LUTs imported in earlier sessions become filters again
+  loadSavedLuts();
   
   // Initialize history manager
-  const historyManager = new HistoryManager(10); // Keep 10 history states
+  let historyManager = new HistoryManager(10); // Keep 10 history states
   
   // Current image data
   let currentImage = null;
@@ -27,15 +53,249 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
   let originalHeight = 0;
   
   // Current adjustments and filters
-  let currentAdjustments = {
-    brightness: 0,
-    contrast: 0
-  };
+  let currentAdjustments = getDefaultAdjustments();
+  let currentLevels = getDefaultLevels(); // channel => { black, gamma, white }
+  let currentCurves = getDefaultCurves(); // channel => [[input, output], ...]
   
-  let currentFilter = 'none';
+  let currentFilter = NO_FILTER;
+  let currentFilterParams = {}; // filterId => { paramId: value }
   let currentRotation = 0;
+  let currentTransform = getDefaultTransform(); // flips, free rotation and perspective
+  
+  // While the perspective corners are edited, the image is shown without the perspective
+  let editingPerspective = false;
+  
+  // Reduced-resolution preview, used when the memory manager reports thrashing.
+  // The downscaled source is paged in its own address space so the full-size
+  // pages can stay swapped out while the user keeps editing.
+  let previewScale = 1;
+  let previewImage = null;
+  let previewDocumentId = null;
+  
+  // Open documents; the variables above hold the active one's editing state
+  // Map: documentId => { name, originalImage, currentImage, originalWidth, originalHeight,
+  //                      adjustments, levels, curves, filter, filterParams, rotation, transform, historyManager,
+  //                      previewImage, previewDocumentId }
+  const documents = new Map();
+  let activeDocumentId = null;
+  
+  // Stash the active document's editing state
+  function saveDocumentState() {
+    if (!activeDocumentId) return;
+    
+    documents.set(activeDocumentId, {
+      ...documents.get(activeDocumentId),
+      originalImage,
+      currentImage,
+      originalWidth,
+      originalHeight,
+      adjustments: currentAdjustments,
+      levels: currentLevels,
+      curves: currentCurves,
+      filter: currentFilter,
+      filterParams: currentFilterParams,
+      rotation: currentRotation,
+      transform: currentTransform,
+      historyManager,
+      previewImage,
+      previewDocumentId
+    });
+  }
   
-  // Load image from file
+  // Make a stashed document the active one
+  function restoreDocumentState(documentId) {
+    const doc = documents.get(documentId);
+    
+    activeDocumentId = documentId;
+    originalImage = doc.originalImage;
+    currentImage = doc.currentImage;
+    originalWidth = doc.originalWidth;
+    originalHeight = doc.originalHeight;
+    currentAdjustments = doc.adjustments;
+    currentLevels = doc.levels || getDefaultLevels();
+    currentCurves = doc.curves || getDefaultCurves();
+    currentFilter = doc.filter;
+    currentFilterParams = doc.filterParams || {};
+    currentRotation = doc.rotation;
+    currentTransform = doc.transform || getDefaultTransform();
+    stopPerspectiveEditing();
+    historyManager = doc.historyManager;
+    previewImage = doc.previewImage || null;
+    previewDocumentId = doc.previewDocumentId || null;
+  }
+  
+  // Report the active document's buffers and the display canvas to the memory manager
+  function registerBuffers() {
+    if (!activeDocumentId) return;
+    
+    memoryManager.registerBuffer(`${activeDocumentId}:source`, 'source', originalImage ? originalImage.data.byteLength : 0);
+    memoryManager.registerBuffer(`${activeDocumentId}:preview`, 'preview', currentImage ? currentImage.data.byteLength : 0);
+    memoryManager.registerBuffer(`${activeDocumentId}:history`, 'history', historyManager.getByteSize());
+    memoryManager.registerBuffer(`${activeDocumentId}:reduced`, 'preview', previewImage ? previewImage.data.byteLength : 0);
+    memoryManager.registerBuffer('canvas', 'preview', canvas.width * canvas.height * 4);
+  }
+  
+  // Stop counting a closed document's buffers
+  function unregisterBuffers(documentId) {
+    memoryManager.unregisterBuffer(`${documentId}:source`);
+    memoryManager.unregisterBuffer(`${documentId}:preview`);
+    memoryManager.unregisterBuffer(`${documentId}:history`);
+    memoryManager.unregisterBuffer(`${documentId}:reduced`);
+  }
+  
+  // Page a downscaled copy of the source when the preview is reduced, or drop it
+  async function updatePreviewPages() {
+    if (previewScale >= 1 || !originalImage) {
+      if (previewDocumentId) {
+        await memoryManager.closeDocument(previewDocumentId);
+      }
+      previewImage = null;
+      previewDocumentId = null;
+      return;
+    }
+    
+    const width = Math.max(1, Math.round(originalWidth * previewScale));
+    const height = Math.max(1, Math.round(originalHeight * previewScale));
+    
+    const srcCanvas = document.createElement('canvas');
+    srcCanvas.width = originalWidth;
+    srcCanvas.height = originalHeight;
+    srcCanvas.getContext('2d').putImageData(originalImage, 0, 0);
+    
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = width;
+    tempCanvas.height = height;
+    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+    tempCtx.drawImage(srcCanvas, 0, 0, width, height);
+    
+    previewImage = tempCtx.getImageData(0, 0, width, height);
+    
+    if (!previewDocumentId) {
+      const { name } = documents.get(activeDocumentId) || {};
+      previewDocumentId = memoryManager.createDocument(`${name || 'Untitled'} (preview)`);
+    }
+    await memoryManager.storeImage(previewImage, previewDocumentId);
+  }
+  
+  // Change the preview resolution (1 = full size) and redraw
+  async function setPreviewScale(scale) {
+    const nextScale = Math.min(1, Math.max(MIN_PREVIEW_SCALE, scale));
+    if (nextScale === previewScale) return;
+    
+    previewScale = nextScale;
+    
+    await updatePreviewPages();
+    await renderImage();
+    
+    eventBus.emit('editor:preview:scaled', { scale: previewScale });
+  }
+  
+  // Resize the chunk worker pool (0 runs the kernels on the main thread)
+  function setWorkerCount(count) {
+    if (!(Number.isInteger(count) && count >= 0)) {
+      throw new Error(`Invalid worker count: ${count}`);
+    }
+    
+    imageProcessor.setPoolSize(count);
+  }
+  
+  // Full-resolution result, rendering it if the preview is reduced
+  async function getFullResolutionImage() {
+    if (!previewImage) return currentImage;
+    
+    return imageProcessor.processImage(
+      originalImage,
+      getPipelineAdjustments(),
+      getFilterSpec(),
+      getTransformSpec(),
+      activeDocumentId
+    );
+  }
+  
+  // Tell listeners about the active document's editing state
+  function emitDocumentSwitched() {
+    eventBus.emit('document:switched', {
+      id: activeDocumentId,
+      adjustments: { ...currentAdjustments },
+      levels: currentLevels,
+      curves: currentCurves,
+      filter: currentFilter,
+      filterParams: getFilterParams(),
+      rotation: currentRotation,
+      transform: { ...currentTransform }
+    });
+    eventBus.emit('history:updated', {
+      canUndo: historyManager.canUndo(),
+      canRedo: historyManager.canRedo()
+    });
+  }
+  
+  // Switch to another open document
+  async function switchDocument(documentId) {
+    if (documentId === activeDocumentId || !documents.has(documentId)) return;
+    
+    saveDocumentState();
+    restoreDocumentState(documentId);
+    memoryManager.setActiveDocument(documentId);
+    
+    // Documents opened before the preview was reduced don't have reduced pages yet
+    if (previewScale < 1 && !previewImage) {
+      await updatePreviewPages();
+    }
+    
+    await renderImage();
+    emitDocumentSwitched();
+  }
+  
+  // Close a document, switching to another one if it was active
+  async function closeDocument(documentId) {
+    if (!documents.has(documentId)) return;
+    
+    saveDocumentState();
+    const { previewDocumentId: closingPreviewId } = documents.get(documentId);
+    documents.delete(documentId);
+    unregisterBuffers(documentId);
+    await memoryManager.closeDocument(documentId);
+    if (closingPreviewId) {
+      await memoryManager.closeDocument(closingPreviewId);
+    }
+    
+    eventBus.emit('document:closed', { id: documentId });
+    
+    if (documentId !== activeDocumentId) return;
+    
+    const next = documents.keys().next();
+    if (!next.done) {
+      restoreDocumentState(next.value);
+      memoryManager.setActiveDocument(next.value);
+      await renderImage();
+    } else {
+      // Nothing left open
+      activeDocumentId = null;
+      originalImage = null;
+      currentImage = null;
+      originalWidth = 0;
+      originalHeight = 0;
+      historyManager = new HistoryManager(10);
+      previewImage = null;
+      previewDocumentId = null;
+      clearCanvas();
+      memoryManager.unregisterBuffer('canvas');
+    }
+    
+    emitDocumentSwitched();
+  }
+  
+  // List open documents in the order they were opened
+  function getDocuments() {
+    return Array.from(documents.entries()).map(([id, doc]) => ({
+      id,
+      name: doc.name,
+      active: id === activeDocumentId
+    }));
+  }
+  
+  // Load image from file into a new document
   async function loadImage(file) {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -44,6 +304,15 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
         try {
           const img = new Image();
           img.onload = async () => {
+            // Keep the current document's state and open a new one
+            saveDocumentState();
+            activeDocumentId = memoryManager.createDocument(file.name);
+            memoryManager.setActiveDocument(activeDocumentId);
+            documents.set(activeDocumentId, { name: file.name });
+            historyManager = new HistoryManager(10);
+            previewImage = null;
+            previewDocumentId = null;
+            
             originalWidth = img.width;
             originalHeight = img.height;
             
@@ -56,16 +325,19 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
             
             originalImage = tempCtx.getImageData(0, 0, originalWidth, originalHeight);
             
-            // Store the image in memory chunks
-            await memoryManager.storeImage(originalImage);
+            // Store the image in the new document's address space
+            await memoryManager.storeImage(originalImage, activeDocumentId);
+            await updatePreviewPages();
             
             // Reset adjustments
-            currentAdjustments = {
-              brightness: 0,
-              contrast: 0
-            };
-            currentFilter = 'none';
+            currentAdjustments = getDefaultAdjustments();
+            currentLevels = getDefaultLevels();
+            currentCurves = getDefaultCurves();
+            currentFilter = NO_FILTER;
+            currentFilterParams = {};
             currentRotation = 0;
+            currentTransform = getDefaultTransform();
+            stopPerspectiveEditing();
             
             // Clear history
             historyManager.clear();
@@ -76,6 +348,10 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
             // Render the image
             await renderImage();
             
+            saveDocumentState();
+            eventBus.emit('document:opened', { id: activeDocumentId, name: file.name });
+            emitDocumentSwitched();
+            
             // Notify that image is loaded
             eventBus.emit('image:loaded', {
               width: originalWidth,
@@ -109,27 +385,46 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     if (!originalImage) return;
     
     eventBus.emit('image:rendering:start');
+    const documentId = activeDocumentId;
+    
+    // Render from the downscaled pages while the preview is reduced
+    const source = previewImage || originalImage;
+    const sourceDocumentId = previewImage ? previewDocumentId : activeDocumentId;
+    
+    const renderHistogram = createHistogram();
     
     try {
       // Process the image with current adjustments and filters
-      currentImage = await imageProcessor.processImage(
-        originalImage,
-        currentAdjustments,
-        currentFilter,
-        currentRotation
+      const processedImage = await imageProcessor.processImage(
+        source,
+        getPipelineAdjustments(),
+        getFilterSpec(),
+        getTransformSpec(),
+        sourceDocumentId,
+        renderHistogram
       );
       
-      // Adjust canvas size based on rotation
-      const isRotated90or270 = currentRotation % 180 !== 0;
-      const displayWidth = isRotated90or270 ? originalHeight : originalWidth;
-      const displayHeight = isRotated90or270 ? originalWidth : originalHeight;
+      // The user switched documents while this render was in flight
+      if (documentId !== activeDocumentId) {
+        eventBus.emit('image:rendering:complete');
+        return;
+      }
       
-      // Set canvas size
-      setCanvasSize(displayWidth, displayHeight);
+      currentImage = processedImage;
+      
+      // Size the canvas to the result, which rotation may have changed
+      setCanvasSize(processedImage.width, processedImage.height);
+      
+      // Stretch a reduced preview back to full size on screen
+      setDisplayWidth(previewImage ? Math.round(processedImage.width * originalWidth / source.width) : null);
       
       // Draw the processed image
       drawImage(currentImage);
       
+      registerBuffers();
+      
+      histogram.publish(renderHistogram, sourceDocumentId);
+      
       eventBus.emit('image:rendering:complete');
     } catch (error) {
       console.error('Error rendering image:', error);
@@ -148,12 +443,96 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     await renderImage();
   }
   
-  // Apply filter
-  async function applyFilter(filter) {
+  // Replace the levels of the channels given
+  async function setLevels(levels) {
+    currentLevels = { ...currentLevels, ...levels };
+    await renderImage();
+  }
+  
+  // Replace the curves of the channels given
+  async function setCurves(curves) {
+    currentCurves = { ...currentCurves, ...curves };
+    await renderImage();
+  }
+  
+  // Adjustments as the chunk kernels take them, with Levels and Curves alongside
+  function getPipelineAdjustments() {
+    return { ...currentAdjustments, levels: currentLevels, curves: currentCurves };
+  }
+  
+  // Apply a registered filter, optionally changing some of its parameters
+  async function applyFilter(filter, params) {
+    if (!hasFilter(filter)) {
+      const error = new Error(`Unknown filter: ${filter}`);
+      console.error(error.message);
+      eventBus.emit('filter:error', { filter, error });
+      return;
+    }
+    
     currentFilter = filter;
+    if (params) {
+      currentFilterParams = {
+        ...currentFilterParams,
+        [filter]: { ...currentFilterParams[filter], ...params }
+      };
+    }
+    
     await renderImage();
   }
   
+  // Parameter values of the current filter, defaults filled in
+  function getFilterParams() {
+    return resolveFilterParams(currentFilter, currentFilterParams[currentFilter]);
+  }
+  
+  // The current filter as the chunk kernels take it
+  function getFilterSpec() {
+    return { id: currentFilter, params: getFilterParams() };
+  }
+  
+  // Add a filter to the registry and tell the tools panel about it
+  function registerFilter(filter) {
+    addFilter(filter);
+    eventBus.emit('filter:registered', { id: filter.id });
+  }
+  
+  // Import a .cube LUT as a filter and keep it for later sessions; returns the filter ID
+  async function importLut(text, { name, interpolation = 'tetrahedral' } = {}) {
+    const lut = parseCube(text);
+    const label = name || lut.title || 'LUT';
+    
+    // Filter IDs end up in history states and result cache keys, so a new LUT never reuses one
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'lut';
+    let id = `lut-${slug}`;
+    for (let suffix = 2; hasFilter(id); suffix++) {
+      id = `lut-${slug}-${suffix}`;
+    }
+    
+    registerFilter(lutFilter(lut, { id, label, interpolation }));
+    
+    try {
+      await lutLibrary.save({ id, name: label, interpolation, lut });
+    } catch (error) {
+      console.error(`Error saving LUT ${label}:`, error);
+    }
+    
+    return id;
+  }
+  
+  // Register the LUTs imported in earlier sessions
+  async function loadSavedLuts() {
+    try {
+      const entries = await lutLibrary.list();
+      entries.forEach(({ id, name, interpolation, lut }) => {
+        if (!hasFilter(id)) {
+          registerFilter(lutFilter(lut, { id, label: name, interpolation }));
+        }
+      });
+    } catch (error) {
+      console.error('Error loading saved LUTs:', error);
+    }
+  }
+  
   // Rotate image
   async function rotateImage(direction) {
     // Add 90 for right, subtract 90 for left
@@ -164,15 +543,87 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     await renderImage();
   }
   
+  // Mirror the image as displayed
+  async function flipImage(axis) {
+    const key = axis === 'vertical' ? 'flipV' : 'flipH';
+    currentTransform = { ...currentTransform, [key]: !currentTransform[key] };
+    
+    await renderImage();
+  }
+  
+  // Change free rotation settings: angle, interpolation, autoCrop
+  async function setTransform(transform) {
+    currentTransform = { ...currentTransform, ...transform };
+    eventBus.emit('transform:changed', { ...currentTransform });
+    
+    await renderImage();
+  }
+  
+  // Rotate so a line drawn on the displayed image becomes level
+  async function straighten({ x1, y1, x2, y2 }) {
+    const angle = currentTransform.angle + getStraightenAngle(x1, y1, x2, y2);
+    
+    await setTransform({
+      angle: Math.max(-MAX_ANGLE, Math.min(MAX_ANGLE, Math.round(angle * 10) / 10))
+    });
+  }
+  
+  // Show the image without its perspective so the corners can be edited, or with it again
+  async function setPerspectiveEditing(editing) {
+    if (editing === editingPerspective) return;
+    
+    editingPerspective = editing;
+    eventBus.emit('perspective:editing', { editing, perspective: currentTransform.perspective });
+    
+    await renderImage();
+  }
+  
+  // Leave perspective editing without rendering, for callers that render anyway
+  function stopPerspectiveEditing() {
+    if (!editingPerspective) return;
+    
+    editingPerspective = false;
+    eventBus.emit('perspective:editing', { editing: false, perspective: currentTransform.perspective });
+  }
+  
+  // Warp the quadrilateral between four corners into a rectangle, or remove the warp (null)
+  async function setPerspective(perspective) {
+    const { mode = 'perspective', corners } = perspective || {};
+    
+    stopPerspectiveEditing();
+    currentTransform = {
+      ...currentTransform,
+      perspective: corners && !isFullImage(corners)
+        ? { mode, corners: corners.map(([x, y]) => [x, y]) }
+        : null
+    };
+    eventBus.emit('transform:changed', { ...currentTransform });
+    
+    await renderImage();
+  }
+  
+  // Quarter turns, flips, free rotation and perspective as the image processor takes them
+  function getTransformSpec() {
+    const spec = { rotation: currentRotation, ...currentTransform };
+    if (editingPerspective) spec.perspective = null;
+    
+    return spec;
+  }
+  
   // Save current state to history
   function saveToHistory() {
     const state = {
       adjustments: { ...currentAdjustments },
+      levels: currentLevels,
+      curves: currentCurves,
       filter: currentFilter,
-      rotation: currentRotation
+      filterParams: currentFilterParams,
+      rotation: currentRotation,
+      transform: currentTransform
     };
     
     historyManager.addState(state);
+    registerBuffers();
     eventBus.emit('history:updated', {
       canUndo: historyManager.canUndo(),
       canRedo: historyManager.canRedo()
@@ -186,8 +637,14 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     const prevState = historyManager.undo();
     if (prevState) {
       currentAdjustments = { ...prevState.adjustments };
+      currentLevels = prevState.levels || getDefaultLevels();
+      currentCurves = prevState.curves || getDefaultCurves();
       currentFilter = prevState.filter;
+      currentFilterParams = prevState.filterParams || {};
       currentRotation = prevState.rotation;
+      currentTransform = prevState.transform || getDefaultTransform();
+      stopPerspectiveEditing();
+      eventBus.emit('transform:changed', { ...currentTransform });
       
       await renderImage();
       
@@ -205,8 +662,14 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     const nextState = historyManager.redo();
     if (nextState) {
       currentAdjustments = { ...nextState.adjustments };
+      currentLevels = nextState.levels || getDefaultLevels();
+      currentCurves = nextState.curves || getDefaultCurves();
       currentFilter = nextState.filter;
+      currentFilterParams = nextState.filterParams || {};
       currentRotation = nextState.rotation;
+      currentTransform = nextState.transform || getDefaultTransform();
+      stopPerspectiveEditing();
+      eventBus.emit('transform:changed', { ...currentTransform });
       
       await renderImage();
       
@@ -218,17 +681,17 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
   }
   
   // Save the edited image
-  function saveImage(format = 'image/jpeg', quality = 0.9) {
+  async function saveImage(format = 'image/jpeg', quality = 0.9) {
+    const fullImage = await getFullResolutionImage();
+    
     return new Promise((resolve) => {
       // Create a copy of the canvas for saving
       const saveCanvas = document.createElement('canvas');
-      const isRotated90or270 = currentRotation % 180 !== 0;
-      
-      saveCanvas.width = isRotated90or270 ? originalHeight : originalWidth;
-      saveCanvas.height = isRotated90or270 ? originalWidth : originalHeight;
+      saveCanvas.width = fullImage.width;
+      saveCanvas.height = fullImage.height;
       
       const saveCtx = saveCanvas.getContext('2d');
-      saveCtx.putImageData(currentImage, 0, 0);
+      saveCtx.putImageData(fullImage, 0, 0);
       
       // Convert to data URL
       const dataUrl = saveCanvas.toDataURL(format, quality);
@@ -245,7 +708,7 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     tempCanvas.height = height;
     
     const tempCtx = tempCanvas.getContext('2d');
-    tempCtx.putImageData(currentImage, -x, -y);
+    tempCtx.putImageData(await getFullResolutionImage(), -x, -y);
     
     const croppedImage = tempCtx.getImageData(0, 0, width, height);
     
@@ -254,42 +717,38 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     originalWidth = width;
     originalHeight = height;
     
-    // Reset rotation as it complicates cropping
+    // The crop was taken from the transformed image, so the transform is baked in
     currentRotation = 0;
+    currentTransform = getDefaultTransform();
+    stopPerspectiveEditing();
+    eventBus.emit('transform:changed', { ...currentTransform });
     
     // Save this state to history
     saveToHistory();
     
     // Store the cropped image in memory chunks
-    await memoryManager.storeImage(originalImage);
+    await memoryManager.storeImage(originalImage, activeDocumentId);
+    await updatePreviewPages();
     
     // Render the cropped image
     await renderImage();
   }
   
-  // Resize the image
-  async function resizeImage(width, height) {
+  // Resize the image with one of the resampling methods
+  async function resizeImage(width, height, method = DEFAULT_RESAMPLE_METHOD) {
     if (!originalImage) return;
     
-    const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = width;
-    tempCanvas.height = height;
-    
-    // Draw the original image scaled to the new dimensions
-    const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-    
-    // Create a temporary canvas with the original image
-    const srcCanvas = document.createElement('canvas');
-    srcCanvas.width = originalWidth;
-    srcCanvas.height = originalHeight;
-    const srcCtx = srcCanvas.getContext('2d');
-    srcCtx.putImageData(originalImage, 0, 0);
-    
-    // Draw the resized version
-    tempCtx.drawImage(srcCanvas, 0, 0, originalWidth, originalHeight, 0, 0, width, height);
-    
-    // Get the resized image data
-    const resizedImage = tempCtx.getImageData(0, 0, width, height);
+    // Resample from the pages, a band of rows at a time
+    const resizedImage = await resampleImage(
+      {
+        width: originalWidth,
+        height: originalHeight,
+        readRows: (y, count) => memoryManager.readPixels({ x: 0, y, w: originalWidth, h: count }, activeDocumentId)
+      },
+      width,
+      height,
+      method
+    );
     
     // Update the original image with the resized version
     originalImage = resizedImage;
@@ -300,27 +759,66 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
     saveToHistory();
     
     // Store the resized image in memory chunks
-    await memoryManager.storeImage(originalImage);
+    await memoryManager.storeImage(originalImage, activeDocumentId);
+    await updatePreviewPages();
     
     // Render the resized image
     await renderImage();
   }
   
+  // Render a smaller preview when the memory manager asks for it
+  eventBus.on('memory:thrashing', async ({ response }) => {
+    if (response !== 'reduce-preview' || !originalImage) return;
+    
+    await setPreviewScale(previewScale / 2);
+  });
+  
+  // Pages were re-tiled at a new page size, redraw from the new pages
+  eventBus.on('memory:repaged', async () => {
+    await renderImage();
+  });
+  
   // Event listener for image modifications
   eventBus.on('image:modify', async ({ type, data }) => {
     switch (type) {
       case 'adjustments':
         await updateAdjustments(data);
         break;
+      case 'levels':
+        await setLevels(data);
+        break;
+      case 'curves':
+        await setCurves(data);
+        break;
       case 'filter':
-        await applyFilter(data);
+        // A filter ID, or { id, params }
+        if (typeof data === 'string') {
+          await applyFilter(data);
+        } else {
+          await applyFilter(data.id, data.params);
+        }
         break;
       case 'rotation':
         await rotateImage(data);
         break;
+      case 'flip':
+        await flipImage(data);
+        break;
+      case 'transform':
+        await setTransform(data);
+        break;
+      case 'straighten':
+        await straighten(data);
+        break;
+      case 'perspective':
+        await setPerspective(data);
+        break;
       case 'saveState':
         saveToHistory();
         break;
+      case 'previewScale':
+        await setPreviewScale(data);
+        break;
       default:
         console.warn('Unknown modification type:', type);
     }
@@ -330,14 +828,43 @@ export function setupEditor({ canvasId, memoryManager, eventBus }) {
   return {
     loadImage,
     updateAdjustments,
+    getAdjustments: listAdjustments,
+    setLevels,
+    setCurves,
+    getLevels: () => currentLevels,
+    getCurves: () => currentCurves,
+    getHistogram: histogram.getHistogram,
     applyFilter,
+    registerFilter,
+    getFilters: listFilters,
+    getFilterParams,
     rotateImage,
+    flipImage,
+    setTransform,
+    straighten,
+    getTransform: () => ({ ...currentTransform }),
+    getInterpolations: () => INTERPOLATIONS.map(interpolation => ({ ...interpolation })),
+    setPerspective,
+    setPerspectiveEditing,
+    isEditingPerspective: () => editingPerspective,
+    getPerspectiveModes: () => PERSPECTIVE_MODES.map(mode => ({ ...mode })),
     cropImage,
     resizeImage,
+    getResampleMethods: () => RESAMPLE_METHODS.map(method => ({ ...method })),
+    importLut,
+    getLutInterpolations: () => LUT_INTERPOLATIONS.map(interpolation => ({ ...interpolation })),
     undo,
     redo,
     saveImage,
     saveToHistory,
+    switchDocument,
+    closeDocument,
+    getDocuments,
+    getActiveDocument: () => activeDocumentId,
+    setPreviewScale,
+    getPreviewScale: () => previewScale,
+    setWorkerCount,
+    getWorkerCount: imageProcessor.getPoolSize,
     getCurrentImage: () => currentImage,
     hasImage: () => !!originalImage
   };
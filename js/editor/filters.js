@@ -0,0 +1,117 @@
+/**
+ * Filter registry.
+ *
+ * A filter is { id, label, params, radius, kernel }:
+ *   id     - Unique ID, used in history states and the tools panel
+ *   label  - Button text
+ *   params - Parameter descriptors: { id, label, min, max, step, default }
+ *   radius - Neighborhood in pixels, or (params) => radius; 0 for per-pixel filters
+ *   kernel - (data, params, { width, height }) => void, rewrites RGBA pixel data in place.
+ *            Filters with a radius get the tile padded by that many pixels on every side.
+ *
+ * Filters registered in builtinFilters.js are also available to the chunk
+ * workers; filters registered at runtime run on the main thread.
+ */
+
+// Filter ID used for "no filter"; never registered
+export const NO_FILTER = 'none';
+
+// Map: id => filter
+const filters = new Map();
+
+/**
+ * Add a filter to the registry
+ * @param {Object} filter - Filter definition
+ * @param {string} filter.id - Unique filter ID
+ * @param {string} filter.label - Display name
+ * @param {Object[]} [filter.params] - Parameter descriptors
+ * @param {number|Function} [filter.radius] - Neighborhood in pixels, or (params) => radius
+ * @param {Function} filter.kernel - (data, params, { width, height }) => void
+ */
+export function registerFilter({ id, label, params = [], radius = 0, kernel }) {
+  if (typeof id !== 'string' || !id || id === NO_FILTER) {
+    throw new Error(`Invalid filter ID: ${id}`);
+  }
+  if (filters.has(id)) {
+    throw new Error(`Filter already registered: ${id}`);
+  }
+  if (typeof kernel !== 'function') {
+    throw new Error(`Filter ${id} has no kernel`);
+  }
+
+  params.forEach(param => {
+    if (!param.id || !(param.max > param.min)) {
+      throw new Error(`Filter ${id} has an invalid parameter: ${JSON.stringify(param)}`);
+    }
+  });
+
+  filters.set(id, {
+    id,
+    label: label || id,
+    params: params.map(param => ({ step: 1, default: param.min, ...param })),
+    radius,
+    kernel
+  });
+}
+
+/**
+ * Look up a filter
+ * @param {string} id - Filter ID
+ * @returns {Object|null} - Filter, or null if none is registered under this ID
+ */
+export function getFilter(id) {
+  return filters.get(id) || null;
+}
+
+/**
+ * Check whether a filter ID can be applied
+ * @param {string} id - Filter ID
+ * @returns {boolean} - True for registered filters and NO_FILTER
+ */
+export function hasFilter(id) {
+  return id === NO_FILTER || filters.has(id);
+}
+
+/**
+ * Halo a filter needs around each tile
+ * @param {string} id - Filter ID
+ * @param {Object} [values] - Parameter ID => value
+ * @returns {number} - Radius in pixels (0 for per-pixel and unknown filters)
+ */
+export function getFilterRadius(id, values) {
+  const filter = filters.get(id);
+  if (!filter) return 0;
+
+  const radius = typeof filter.radius === 'function'
+    ? filter.radius(resolveFilterParams(id, values))
+    : filter.radius;
+
+  return Math.max(0, Math.ceil(radius) || 0);
+}
+
+/**
+ * Registered filters in registration order, without their kernels
+ * @returns {Array<{id: string, label: string, params: Object[]}>} - Filter descriptors
+ */
+export function listFilters() {
+  return Array.from(filters.values()).map(({ id, label, params }) => ({
+    id,
+    label,
+    params: params.map(param => ({ ...param }))
+  }));
+}
+
+/**
+ * Complete a filter's parameter values with its defaults
+ * @param {string} id - Filter ID
+ * @param {Object} [values] - Parameter ID => value
+ * @returns {Object} - Parameter ID => value, for every parameter
+ */
+export function resolveFilterParams(id, values = {}) {
+  const filter = filters.get(id);
+  if (!filter) return {};
+
+  return Object.fromEntries(
+    filter.params.map(param => [param.id, values[param.id] ?? param.default])
+  );
+}
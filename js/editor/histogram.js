@@ -0,0 +1,92 @@
+/**
+ * Tonal histograms of the rendered image.
+ *
+ * The histogram is counted during the render, from the processed tiles as the
+ * memory manager places them, so it costs no extra pass over the pages and no
+ * page faults. Only free rotation and perspective, which resample the
+ * assembled image, are counted from the result.
+ */
+
+// Histogram channels: red, green, blue and Rec. 601 luminance
+export const HISTOGRAM_CHANNELS = ['r', 'g', 'b', 'luminance'];
+
+/**
+ * Create an empty histogram
+ * @returns {Object} - { r, g, b, luminance } 256-bin counts and the pixel count
+ */
+export function createHistogram() {
+  return {
+    r: new Uint32Array(256),
+    g: new Uint32Array(256),
+    b: new Uint32Array(256),
+    luminance: new Uint32Array(256),
+    pixels: 0
+  };
+}
+
+/**
+ * Count the pixels of a tile
+ * @param {Object} histogram - Histogram to add to
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ */
+export function addToHistogram(histogram, data) {
+  const { r, g, b, luminance } = histogram;
+  let pixels = 0;
+
+  for (let i = 0; i < data.length; i += 4) {
+    // Transparent pixels (e.g. the corners free rotation leaves) aren't part of the image
+    if (data[i + 3] === 0) continue;
+
+    r[data[i]]++;
+    g[data[i + 1]]++;
+    b[data[i + 2]]++;
+    luminance[Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2])]++;
+    pixels++;
+  }
+
+  histogram.pixels += pixels;
+}
+
+/**
+ * Share of pixels clipped to black or white, per channel
+ * @param {Object} histogram - Histogram
+ * @returns {Object} - { shadows, highlights }, each channel => fraction of pixels (0 to 1)
+ */
+export function getClipping(histogram) {
+  const share = count => (histogram.pixels > 0 ? count / histogram.pixels : 0);
+
+  return {
+    shadows: Object.fromEntries(HISTOGRAM_CHANNELS.map(channel => [channel, share(histogram[channel][0])])),
+    highlights: Object.fromEntries(HISTOGRAM_CHANNELS.map(channel => [channel, share(histogram[channel][255])]))
+  };
+}
+
+/**
+ * Sets up the histogram subsystem: keeps the histogram of the last render and
+ * reports it as 'histogram:updated' { documentId, histogram, clipping }
+ * @param {Object} config - Configuration object
+ * @param {Object} config.eventBus - Event bus for communication
+ * @returns {Object} - Histogram API
+ */
+export function setupHistogram({ eventBus }) {
+  let lastHistogram = null;
+
+  /**
+   * Report the histogram a render counted
+   * @param {Object} histogram - Histogram of the rendered image
+   * @param {string} documentId - Document that was rendered
+   */
+  function publish(histogram, documentId) {
+    lastHistogram = histogram;
+    eventBus.emit('histogram:updated', {
+      documentId,
+      histogram,
+      clipping: getClipping(histogram)
+    });
+  }
+
+  return {
+    publish,
+    getHistogram: () => lastHistogram
+  };
+}
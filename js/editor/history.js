@@ -97,6 +97,14 @@ export class HistoryManager {
     return this.deepClone(this.states[this.currentIndex]);
   }
   
+  /**
+   * Estimate the memory held by the stored states
+   * @returns {number} - Size in bytes, counting serialized states as UTF-16
+   */
+  getByteSize() {
+    return this.states.reduce((total, state) => total + JSON.stringify(state).length * 2, 0);
+  }
+  
   /**
    * Get number of states in history
    * @returns {number} - Number of states
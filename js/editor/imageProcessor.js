@@ -1,23 +1,66 @@
+import './builtinFilters.js';
+import {
+  processChunk,
+  applyBrightness,
+  applyContrast,
+  applyExposure,
+  applyGamma,
+  applyTemperature,
+  applyTint,
+  applyHighlights,
+  applyShadows,
+  applyHue,
+  applySaturation,
+  applyVibrance,
+  applyGrayscale,
+  applySepia,
+  applyInvert
+} from './kernels.js';
+import { getFilterRadius } from './filters.js';
+import { rotateImageData, warpImageData } from './transform.js';
+import { addToHistogram } from './histogram.js';
+import { createWorkerPool } from './workerPool.js';
+
 /**
  * Sets up the image processor
  * @param {Object} config - Configuration object
  * @param {Object} config.memoryManager - Virtual memory manager
  * @param {Object} config.eventBus - Event bus for communication
+ * @param {number} [config.workers] - Chunk worker pool size (0 processes chunks on the main thread)
  * @returns {Object} - Image processor API
  */
-export function setupImageProcessor({ memoryManager, eventBus }) {
+export function setupImageProcessor({ memoryManager, eventBus, workers = getDefaultPoolSize() }) {
+  // Workers running the chunk kernels; null falls back to the main thread
+  let pool = null;
+  
+  // Filters the workers don't have (registered at runtime), by ID
+  const mainThreadFilters = new Set();
+  setPoolSize(workers);
   
   /**
-   * Process image with the given adjustments, filter, and rotation
+   * Process image with the given adjustments, filter, and transform
    * @param {ImageData} originalImage - Original image data
    * @param {Object} adjustments - Image adjustments
-   * @param {string} filter - Filter to apply
-   * @param {number} rotation - Rotation angle in degrees
+   * @param {string|Object} filter - Filter ID, or { id, params }
+   * @param {number|Object} transform - Rotation in degrees (quarter turns), or
+   *   { rotation, flipH, flipV, angle, interpolation, autoCrop, perspective }
+   * @param {string} [documentId] - Document whose pages to process
+   * @param {Object} [histogram] - Histogram to count the result into (see createHistogram)
    * @returns {Promise<ImageData>} - Processed image data
    */
-  async function processImage(originalImage, adjustments, filter, rotation) {
+  async function processImage(originalImage, adjustments, filter, transform, documentId, histogram) {
     if (!originalImage) return null;
     
+    const {
+      rotation = 0,
+      flipH = false,
+      flipV = false,
+      angle = 0,
+      interpolation,
+      autoCrop,
+      perspective = null
+    } = typeof transform === 'number' ? { rotation: transform } : transform;
+    
     // Get image dimensions
     const { width, height } = originalImage;
     
@@ -31,154 +74,124 @@ export function setupImageProcessor({ memoryManager, eventBus }) {
     
     const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
     
-    // Get processed image data through the memory manager
-    const processedData = await memoryManager.processImageChunks(
-      originalImage,
-      adjustments,
-      filter,
-      rotation
-    );
-    
-    // Draw processed image data
-    tempCtx.putImageData(processedData, 0, 0);
-    
-    // Return the processed image data
-    return tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-  }
-  
-  /**
-   * Apply brightness adjustment to an image chunk
-   * @param {Uint8ClampedArray} data - Pixel data
-   * @param {number} brightness - Brightness adjustment (-100 to 100)
-   */
-  function applyBrightness(data, brightness) {
-    const factor = brightness / 100 * 255;
+    // The canvas and the assembled output (and the freely rotated or warped copy) exist only while we render
+    memoryManager.registerBuffer('processing', 'scratch', width * height * 4 * (angle || perspective ? 3 : 2));
     
-    for (let i = 0; i < data.length; i += 4) {
-      data[i] = clamp(data[i] + factor); // R
-      data[i + 1] = clamp(data[i + 1] + factor); // G
-      data[i + 2] = clamp(data[i + 2] + factor); // B
-      // Alpha channel (i + 3) remains unchanged
-    }
-  }
-  
-  /**
-   * Apply contrast adjustment to an image chunk
-   * @param {Uint8ClampedArray} data - Pixel data
-   * @param {number} contrast - Contrast adjustment (-100 to 100)
-   */
-  function applyContrast(data, contrast) {
-    const factor = (259 * (contrast + 100)) / (255 * (259 - contrast));
+    // Quarter turns and flips only move pixels, so the tiles can be counted as they are placed
+    const countTiles = histogram && !angle && !perspective;
     
-    for (let i = 0; i < data.length; i += 4) {
-      data[i] = clamp(factor * (data[i] - 128) + 128); // R
-      data[i + 1] = clamp(factor * (data[i + 1] - 128) + 128); // G
-      data[i + 2] = clamp(factor * (data[i + 2] - 128) + 128); // B
-      // Alpha channel (i + 3) remains unchanged
-    }
-  }
-  
-  /**
-   * Apply grayscale filter to an image chunk
-   * @param {Uint8ClampedArray} data - Pixel data
-   */
-  function applyGrayscale(data) {
-    for (let i = 0; i < data.length; i += 4) {
-      const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
-      data[i] = avg; // R
-      data[i + 1] = avg; // G
-      data[i + 2] = avg; // B
-      // Alpha channel (i + 3) remains unchanged
-    }
-  }
-  
-  /**
-   * Apply sepia filter to an image chunk
-   * @param {Uint8ClampedArray} data - Pixel data
-   */
-  function applySepia(data) {
-    for (let i = 0; i < data.length; i += 4) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
+    try {
+      // Get processed image data through the memory manager
+      const processedData = await memoryManager.processImageChunks(
+        originalImage,
+        adjustments,
+        filter,
+        { rotation, flipH, flipV },
+        documentId,
+        countTiles ? chunkData => addToHistogram(histogram, chunkData) : undefined
+      );
       
-      data[i] = clamp(r * 0.393 + g * 0.769 + b * 0.189); // R
-      data[i + 1] = clamp(r * 0.349 + g * 0.686 + b * 0.168); // G
-      data[i + 2] = clamp(r * 0.272 + g * 0.534 + b * 0.131); // B
-      // Alpha channel (i + 3) remains unchanged
-    }
-  }
-  
-  /**
-   * Apply invert filter to an image chunk
-   * @param {Uint8ClampedArray} data - Pixel data
-   */
-  function applyInvert(data) {
-    for (let i = 0; i < data.length; i += 4) {
-      data[i] = 255 - data[i]; // R
-      data[i + 1] = 255 - data[i + 1]; // G
-      data[i + 2] = 255 - data[i + 2]; // B
-      // Alpha channel (i + 3) remains unchanged
+      // Draw processed image data
+      tempCtx.putImageData(processedData, 0, 0);
+      
+      // Free rotation and perspective sample across tiles, so they run on the assembled image
+      const rotated = rotateImageData(tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height), angle, {
+        interpolation,
+        autoCrop
+      });
+      
+      const result = perspective ? warpImageData(rotated, perspective.corners, { interpolation }) : rotated;
+      
+      // Resampling changes the pixels, so count what comes out
+      if (histogram && !countTiles) {
+        addToHistogram(histogram, result.data);
+      }
+      
+      return result;
+    } finally {
+      memoryManager.unregisterBuffer('processing');
     }
   }
   
   /**
-   * Process an image chunk with the given adjustments and filter
+   * Process a chunk on the worker pool, or on the main thread without one.
+   * Workers get a transferred copy, since the chunk is a resident page.
    * @param {Uint8ClampedArray} chunkData - Chunk pixel data
    * @param {Object} adjustments - Image adjustments
-   * @param {string} filter - Filter to apply
-   * @returns {Uint8ClampedArray} - Processed chunk data
+   * @param {string|Object} filter - Filter ID, or { id, params }
+   * @param {Object} [region] - Chunk geometry ({ width, height, halo })
+   * @returns {Uint8ClampedArray|Promise<Uint8ClampedArray>} - Processed chunk data
    */
-  function processChunk(chunkData, adjustments, filter) {
-    // Create a copy of the chunk data
-    const processedData = new Uint8ClampedArray(chunkData);
-    
-    // Apply adjustments
-    if (adjustments.brightness !== 0) {
-      applyBrightness(processedData, adjustments.brightness);
-    }
-    
-    if (adjustments.contrast !== 0) {
-      applyContrast(processedData, adjustments.contrast);
+  function processChunkOnPool(chunkData, adjustments, filter, region) {
+    const filterId = typeof filter === 'string' ? filter : filter.id;
+    if (!pool || mainThreadFilters.has(filterId)) {
+      return processChunk(chunkData, adjustments, filter, region);
     }
     
-    // Apply filter
-    switch (filter) {
-      case 'grayscale':
-        applyGrayscale(processedData);
-        break;
-      case 'sepia':
-        applySepia(processedData);
-        break;
-      case 'invert':
-        applyInvert(processedData);
-        break;
-      default:
-        // No filter or 'none'
-        break;
-    }
+    const copy = new Uint8ClampedArray(chunkData);
     
-    return processedData;
+    return pool.run({ buffer: copy.buffer, adjustments, filter, region }, [copy.buffer])
+      .then(({ buffer }) => new Uint8ClampedArray(buffer))
+      .catch(error => {
+        if (error.code === 'unknown-filter') {
+          mainThreadFilters.add(filterId);
+        } else if (pool && pool.isBroken()) {
+          // Stay on the main thread from now on
+          console.error('Chunk workers failed, processing on the main thread:', error);
+          pool = null;
+        }
+        return processChunk(chunkData, adjustments, filter, region);
+      });
   }
   
   /**
-   * Helper function to clamp a value between 0 and 255
-   * @param {number} value - Value to clamp
-   * @returns {number} - Clamped value
+   * Replace the worker pool
+   * @param {number} size - Number of workers (0 processes chunks on the main thread)
    */
-  function clamp(value) {
-    return Math.max(0, Math.min(255, Math.round(value)));
+  function setPoolSize(size) {
+    if (pool) {
+      pool.terminate();
+    }
+    
+    pool = createWorkerPool({
+      size,
+      createWorker: () => new Worker(new URL('./chunkWorker.js', import.meta.url), { type: 'module' })
+    });
   }
   
   // Register chunk processor with memory manager
-  memoryManager.registerChunkProcessor(processChunk);
+  memoryManager.registerChunkProcessor(processChunkOnPool, {
+    getHalo: filter => typeof filter === 'string'
+      ? getFilterRadius(filter)
+      : getFilterRadius(filter.id, filter.params)
+  });
   
   return {
     processImage,
+    setPoolSize,
+    getPoolSize: () => (pool ? pool.size : 0),
     applyBrightness,
     applyContrast,
+    applyExposure,
+    applyGamma,
+    applyTemperature,
+    applyTint,
+    applyHighlights,
+    applyShadows,
+    applyHue,
+    applySaturation,
+    applyVibrance,
     applyGrayscale,
     applySepia,
     applyInvert
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Leave one core for the main thread, and don't go beyond four workers
+ * @returns {number} - Default worker pool size
+ */
+function getDefaultPoolSize() {
+  const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
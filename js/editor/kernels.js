@@ -0,0 +1,385 @@
+import { NO_FILTER, getFilter, resolveFilterParams } from './filters.js';
+import { ADJUSTMENTS } from './adjustments.js';
+import { compileToneTables } from './tones.js';
+
+/**
+ * Per-pixel chunk kernels. They depend on nothing but their arguments, so the
+ * same code runs on the main thread and inside the chunk workers.
+ */
+
+/**
+ * Apply brightness adjustment to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} brightness - Brightness adjustment (-100 to 100)
+ */
+export function applyBrightness(data, brightness) {
+  const factor = brightness / 100 * 255;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clamp(data[i] + factor); // R
+    data[i + 1] = clamp(data[i + 1] + factor); // G
+    data[i + 2] = clamp(data[i + 2] + factor); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply contrast adjustment to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} contrast - Contrast adjustment (-100 to 100)
+ */
+export function applyContrast(data, contrast) {
+  const factor = (259 * (contrast + 100)) / (255 * (259 - contrast));
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clamp(factor * (data[i] - 128) + 128); // R
+    data[i + 1] = clamp(factor * (data[i + 1] - 128) + 128); // G
+    data[i + 2] = clamp(factor * (data[i + 2] - 128) + 128); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply exposure adjustment to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} exposure - Exposure change in stops (-3 to 3)
+ */
+export function applyExposure(data, exposure) {
+  const factor = Math.pow(2, exposure);
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clamp(data[i] * factor); // R
+    data[i + 1] = clamp(data[i + 1] * factor); // G
+    data[i + 2] = clamp(data[i + 2] * factor); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply gamma correction to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} gamma - Gamma (above 1 brightens midtones, below 1 darkens them)
+ */
+export function applyGamma(data, gamma) {
+  const table = new Uint8ClampedArray(256);
+  for (let value = 0; value < 256; value++) {
+    table[value] = 255 * Math.pow(value / 255, 1 / gamma);
+  }
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = table[data[i]]; // R
+    data[i + 1] = table[data[i + 1]]; // G
+    data[i + 2] = table[data[i + 2]]; // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply white balance temperature to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} temperature - Warmth (-100 cooler to 100 warmer)
+ */
+export function applyTemperature(data, temperature) {
+  const shift = temperature / 100 * 0.25;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clamp(data[i] * (1 + shift)); // R
+    data[i + 2] = clamp(data[i + 2] * (1 - shift)); // B
+    // Green and alpha remain unchanged
+  }
+}
+
+/**
+ * Apply white balance tint to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} tint - Tint (-100 green to 100 magenta)
+ */
+export function applyTint(data, tint) {
+  const factor = 1 - tint / 100 * 0.25;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    data[i + 1] = clamp(data[i + 1] * factor); // G
+    // Red, blue and alpha remain unchanged
+  }
+}
+
+/**
+ * Brighten or darken the highlights of an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} highlights - Highlights adjustment (-100 to 100)
+ */
+export function applyHighlights(data, highlights) {
+  applyToneRange(data, highlights, luma => Math.max(0, luma * 2 - 1));
+}
+
+/**
+ * Brighten or darken the shadows of an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} shadows - Shadows adjustment (-100 to 100)
+ */
+export function applyShadows(data, shadows) {
+  applyToneRange(data, shadows, luma => Math.max(0, 1 - luma * 2));
+}
+
+/**
+ * Shift pixels in a tonal range, weighted by how far they lie inside it
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} amount - Adjustment (-100 to 100)
+ * @param {Function} range - (luma 0-1) => position in the range (0-1)
+ */
+function applyToneRange(data, amount, range) {
+  const maxShift = amount / 100 * 96;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const weight = range(luminance(data[i], data[i + 1], data[i + 2]) / 255);
+    const shift = maxShift * weight * weight;
+    
+    data[i] = clamp(data[i] + shift); // R
+    data[i + 1] = clamp(data[i + 1] + shift); // G
+    data[i + 2] = clamp(data[i + 2] + shift); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Rotate the hue of an image chunk around the gray axis
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} hue - Hue shift in degrees (-180 to 180)
+ */
+export function applyHue(data, hue) {
+  // Luminance-preserving hue rotation matrix, as used by CSS hue-rotate()
+  const angle = hue * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const m = [
+    0.213 + cos * 0.787 - sin * 0.213, 0.715 - cos * 0.715 - sin * 0.715, 0.072 - cos * 0.072 + sin * 0.928,
+    0.213 - cos * 0.213 + sin * 0.143, 0.715 + cos * 0.285 + sin * 0.140, 0.072 - cos * 0.072 - sin * 0.283,
+    0.213 - cos * 0.213 - sin * 0.787, 0.715 - cos * 0.715 + sin * 0.715, 0.072 + cos * 0.928 + sin * 0.072
+  ];
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    
+    data[i] = clamp(m[0] * r + m[1] * g + m[2] * b); // R
+    data[i + 1] = clamp(m[3] * r + m[4] * g + m[5] * b); // G
+    data[i + 2] = clamp(m[6] * r + m[7] * g + m[8] * b); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply saturation adjustment to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} saturation - Saturation adjustment (-100 grayscale to 100 doubled)
+ */
+export function applySaturation(data, saturation) {
+  const factor = 1 + saturation / 100;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const luma = luminance(data[i], data[i + 1], data[i + 2]);
+    
+    data[i] = clamp(luma + (data[i] - luma) * factor); // R
+    data[i + 1] = clamp(luma + (data[i + 1] - luma) * factor); // G
+    data[i + 2] = clamp(luma + (data[i + 2] - luma) * factor); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply vibrance adjustment to an image chunk: like saturation, but muted
+ * colors change more than already saturated ones
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} vibrance - Vibrance adjustment (-100 to 100)
+ */
+export function applyVibrance(data, vibrance) {
+  const amount = vibrance / 100;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    
+    const max = Math.max(r, g, b);
+    const chroma = max > 0 ? (max - Math.min(r, g, b)) / max : 0;
+    const factor = 1 + amount * (1 - chroma);
+    const luma = luminance(r, g, b);
+    
+    data[i] = clamp(luma + (r - luma) * factor); // R
+    data[i + 1] = clamp(luma + (g - luma) * factor); // G
+    data[i + 2] = clamp(luma + (b - luma) * factor); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply per-channel lookup tables (compiled Levels and Curves) to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {Uint8ClampedArray[]} tables - Red, green and blue 256-entry tables
+ */
+export function applyToneTables(data, [red, green, blue]) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = red[data[i]]; // R
+    data[i + 1] = green[data[i + 1]]; // G
+    data[i + 2] = blue[data[i + 2]]; // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+// Adjustment ID => kernel
+const ADJUSTMENT_KERNELS = {
+  exposure: applyExposure,
+  temperature: applyTemperature,
+  tint: applyTint,
+  brightness: applyBrightness,
+  contrast: applyContrast,
+  highlights: applyHighlights,
+  shadows: applyShadows,
+  gamma: applyGamma,
+  hue: applyHue,
+  saturation: applySaturation,
+  vibrance: applyVibrance
+};
+
+/**
+ * Apply grayscale filter to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ */
+export function applyGrayscale(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const avg = (data[i] + data[i + 1] + data[i + 2]) / 3;
+    data[i] = avg; // R
+    data[i + 1] = avg; // G
+    data[i + 2] = avg; // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply sepia filter to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ * @param {number} [amount] - Strength (0 to 100)
+ */
+export function applySepia(data, amount = 100) {
+  const t = amount / 100;
+  
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    
+    data[i] = clamp(r + t * (r * 0.393 + g * 0.769 + b * 0.189 - r)); // R
+    data[i + 1] = clamp(g + t * (r * 0.349 + g * 0.686 + b * 0.168 - g)); // G
+    data[i + 2] = clamp(b + t * (r * 0.272 + g * 0.534 + b * 0.131 - b)); // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Apply invert filter to an image chunk
+ * @param {Uint8ClampedArray} data - Pixel data
+ */
+export function applyInvert(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = 255 - data[i]; // R
+    data[i + 1] = 255 - data[i + 1]; // G
+    data[i + 2] = 255 - data[i + 2]; // B
+    // Alpha channel (i + 3) remains unchanged
+  }
+}
+
+/**
+ * Process an image chunk with the given adjustments and filter
+ * @param {Uint8ClampedArray} chunkData - Chunk pixel data
+ * @param {Object} adjustments - Image adjustments, with optional levels and curves
+ * @param {string|Object} filter - Filter ID, or { id, params }
+ * @param {Object} [region] - Chunk geometry, required by filters with a radius
+ * @param {number} region.width - Chunk width in pixels, halo included
+ * @param {number} region.height - Chunk height in pixels, halo included
+ * @param {number} region.halo - Padding on every side, cropped from the result
+ * @returns {Uint8ClampedArray} - Processed chunk data
+ */
+export function processChunk(chunkData, adjustments, filter, region) {
+  // Work on a copy: the chunk is a resident page
+  return processChunkInPlace(new Uint8ClampedArray(chunkData), adjustments, filter, region);
+}
+
+/**
+ * Process a chunk the caller owns, overwriting its pixels
+ * @param {Uint8ClampedArray} processedData - Chunk pixel data
+ * @param {Object} adjustments - Image adjustments
+ * @param {string|Object} filter - Filter ID, or { id, params }
+ * @param {Object} [region] - Chunk geometry ({ width, height, halo }), see processChunk
+ * @returns {Uint8ClampedArray} - The same array processed, or a cropped copy if it had a halo
+ */
+export function processChunkInPlace(processedData, adjustments, filter, region) {
+  const { width, height, halo } = region || { width: processedData.length / 4, height: 1, halo: 0 };
+  
+  // Apply adjustments in pipeline order, skipping those at their default
+  ADJUSTMENTS.forEach(({ id, default: defaultValue }) => {
+    const value = adjustments[id];
+    if (value !== undefined && value !== defaultValue) {
+      ADJUSTMENT_KERNELS[id](processedData, value);
+    }
+  });
+  
+  // Levels and Curves, compiled to one lookup table per channel
+  const toneTables = compileToneTables(adjustments.levels, adjustments.curves);
+  if (toneTables) {
+    applyToneTables(processedData, toneTables);
+  }
+  
+  // Apply filter
+  const { id, params } = typeof filter === 'string' ? { id: filter, params: {} } : filter;
+  if (id !== NO_FILTER) {
+    const definition = getFilter(id);
+    if (!definition) {
+      throw new Error(`Unknown filter: ${id}`);
+    }
+    definition.kernel(processedData, resolveFilterParams(id, params), { width, height });
+  }
+  
+  return halo > 0 ? cropHalo(processedData, width, height, halo) : processedData;
+}
+
+/**
+ * Cut the halo off a padded chunk
+ * @param {Uint8ClampedArray} data - Padded pixel data
+ * @param {number} width - Padded width in pixels
+ * @param {number} height - Padded height in pixels
+ * @param {number} halo - Padding on every side
+ * @returns {Uint8ClampedArray} - Pixels of the chunk itself
+ */
+function cropHalo(data, width, height, halo) {
+  const innerWidth = width - 2 * halo;
+  const innerHeight = height - 2 * halo;
+  const cropped = new Uint8ClampedArray(innerWidth * innerHeight * 4);
+  
+  for (let row = 0; row < innerHeight; row++) {
+    const start = ((row + halo) * width + halo) * 4;
+    cropped.set(data.subarray(start, start + innerWidth * 4), row * innerWidth * 4);
+  }
+  
+  return cropped;
+}
+
+/**
+ * Helper function to clamp a value between 0 and 255
+ * @param {number} value - Value to clamp
+ * @returns {number} - Clamped value
+ */
+function clamp(value) {
+  return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+/**
+ * Rec. 601 luma of a pixel
+ * @param {number} r - Red
+ * @param {number} g - Green
+ * @param {number} b - Blue
+ * @returns {number} - Luma (0 to 255)
+ */
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
@@ -0,0 +1,263 @@
+/**
+ * 3D lookup tables in the Adobe/Resolve .cube format.
+ *
+ * A LUT is { title, size, domainMin, domainMax, table }: table holds size^3
+ * RGB outputs (0 to 1), red changing fastest. Each pixel is looked up in the
+ * cube and interpolated between the surrounding entries, either trilinearly
+ * (8 entries) or tetrahedrally (4 entries, which keeps neutrals neutral).
+ */
+
+// Interpolation methods for 3D LUTs
+export const LUT_INTERPOLATIONS = [
+  { id: 'tetrahedral', label: 'Tetrahedral' },
+  { id: 'trilinear', label: 'Trilinear' }
+];
+
+// Cube sizes the .cube specification allows
+const MIN_SIZE = 2;
+const MAX_SIZE = 256;
+
+/**
+ * Parse a .cube file
+ * @param {string} text - File contents
+ * @returns {Object} - { title, size, domainMin, domainMax, table }
+ */
+export function parseCube(text) {
+  let title = '';
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let table = null;
+  let entries = 0;
+
+  const lines = text.split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const fail = message => {
+      throw new Error(`Invalid .cube file, line ${index + 1}: ${message}`);
+    };
+
+    const [keyword, ...values] = line.split(/\s+/);
+
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice(keyword.length).trim().replace(/^"(.*)"$/, '$1');
+        return;
+      case 'LUT_1D_SIZE':
+        fail('1D LUTs are not supported');
+        return;
+      case 'LUT_3D_SIZE':
+        size = Number(values[0]);
+        if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+          fail(`unsupported LUT size ${size}`);
+        }
+        table = new Float32Array(size * size * size * 3);
+        return;
+      case 'DOMAIN_MIN':
+      case 'DOMAIN_MAX': {
+        const domain = parseTriple(values);
+        if (!domain) fail(`${keyword} needs three numbers`);
+        if (keyword === 'DOMAIN_MIN') {
+          domainMin = domain;
+        } else {
+          domainMax = domain;
+        }
+        return;
+      }
+      case 'LUT_3D_INPUT_RANGE': {
+        // Resolve's form of the domain, the same range for every channel
+        const [min, max] = values.map(Number);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) fail('LUT_3D_INPUT_RANGE needs two numbers');
+        domainMin = [min, min, min];
+        domainMax = [max, max, max];
+        return;
+      }
+    }
+
+    // Anything else is a table entry
+    const entry = parseTriple([keyword, ...values]);
+    if (!entry) fail('expected a keyword or three numbers');
+    if (!table) fail('table entries before LUT_3D_SIZE');
+    if (entries >= size * size * size) fail(`more than ${size * size * size} table entries`);
+
+    table.set(entry, entries * 3);
+    entries++;
+  });
+
+  if (!table) {
+    throw new Error('Invalid .cube file: no LUT_3D_SIZE');
+  }
+  if (entries !== size * size * size) {
+    throw new Error(`Invalid .cube file: expected ${size * size * size} table entries, found ${entries}`);
+  }
+  if (domainMin.some((min, channel) => !(domainMax[channel] > min))) {
+    throw new Error('Invalid .cube file: DOMAIN_MAX must be above DOMAIN_MIN');
+  }
+
+  return { title, size, domainMin, domainMax, table };
+}
+
+/**
+ * Apply a 3D LUT to pixel data in place
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {Object} lut - Parsed LUT
+ * @param {Object} [options] - Options
+ * @param {string} [options.interpolation] - 'tetrahedral' or 'trilinear'
+ * @param {number} [options.intensity] - Blend with the original, 0 to 100
+ */
+export function applyLut(data, lut, { interpolation = 'tetrahedral', intensity = 100 } = {}) {
+  const amount = intensity / 100;
+  if (amount <= 0) return;
+
+  const { size, table } = lut;
+  const positions = getLutPositions(lut);
+  const rgb = new Float64Array(3);
+  const lookup = interpolation === 'trilinear' ? lookupTrilinear : lookupTetrahedral;
+
+  // Table strides for one step along red, green and blue
+  const strideG = size * 3;
+  const strideB = size * size * 3;
+
+  for (let i = 0; i < data.length; i += 4) {
+    const r = positions[0][data[i]];
+    const g = positions[1][data[i + 1]];
+    const b = positions[2][data[i + 2]];
+
+    // Cell corner, and the position inside the cell (0 to 1)
+    const r0 = Math.min(Math.floor(r), size - 2);
+    const g0 = Math.min(Math.floor(g), size - 2);
+    const b0 = Math.min(Math.floor(b), size - 2);
+    const base = r0 * 3 + g0 * strideG + b0 * strideB;
+
+    lookup(table, base, strideG, strideB, r - r0, g - g0, b - b0, rgb);
+
+    for (let c = 0; c < 3; c++) {
+      const original = data[i + c];
+      data[i + c] = original + (rgb[c] * 255 - original) * amount;
+    }
+  }
+}
+
+/**
+ * Create a filter that applies a LUT, with an intensity slider
+ * @param {Object} lut - Parsed LUT
+ * @param {Object} options - Filter options
+ * @param {string} options.id - Filter ID
+ * @param {string} options.label - Button text
+ * @param {string} [options.interpolation] - 'tetrahedral' or 'trilinear'
+ * @returns {Object} - Filter definition for registerFilter
+ */
+export function lutFilter(lut, { id, label, interpolation = 'tetrahedral' }) {
+  return {
+    id,
+    label,
+    params: [{ id: 'intensity', label: 'Intensity', min: 0, max: 100, default: 100 }],
+    radius: 0,
+    kernel: (data, { intensity }) => applyLut(data, lut, { interpolation, intensity })
+  };
+}
+
+/**
+ * Position of every 8-bit value on the cube's axes, in table steps
+ * @param {Object} lut - Parsed LUT
+ * @returns {Float64Array[]} - Per channel, 256 positions from 0 to size - 1
+ */
+function getLutPositions({ size, domainMin, domainMax }) {
+  return [0, 1, 2].map(channel => {
+    const min = domainMin[channel];
+    const range = domainMax[channel] - min;
+
+    return Float64Array.from({ length: 256 }, (_, value) => {
+      const normalized = Math.min(1, Math.max(0, (value / 255 - min) / range));
+      return normalized * (size - 1);
+    });
+  });
+}
+
+/**
+ * Trilinear interpolation between the 8 corners of a cell
+ * @param {Float32Array} table - LUT entries
+ * @param {number} base - Index of the cell's lowest corner
+ * @param {number} strideG - Index step along green
+ * @param {number} strideB - Index step along blue
+ * @param {number} fr - Red position inside the cell
+ * @param {number} fg - Green position inside the cell
+ * @param {number} fb - Blue position inside the cell
+ * @param {Float64Array} out - Receives RGB (0 to 1)
+ */
+function lookupTrilinear(table, base, strideG, strideB, fr, fg, fb, out) {
+  for (let c = 0; c < 3; c++) {
+    const i = base + c;
+    const c00 = table[i] + (table[i + 3] - table[i]) * fr;
+    const c10 = table[i + strideG] + (table[i + strideG + 3] - table[i + strideG]) * fr;
+    const c01 = table[i + strideB] + (table[i + strideB + 3] - table[i + strideB]) * fr;
+    const c11 = table[i + strideG + strideB] + (table[i + strideG + strideB + 3] - table[i + strideG + strideB]) * fr;
+
+    const c0 = c00 + (c10 - c00) * fg;
+    const c1 = c01 + (c11 - c01) * fg;
+    out[c] = c0 + (c1 - c0) * fb;
+  }
+}
+
+/**
+ * Tetrahedral interpolation: the cell is split into six tetrahedra along its
+ * gray diagonal, and each pixel blends the four corners of the one it is in
+ * @param {Float32Array} table - LUT entries
+ * @param {number} base - Index of the cell's lowest corner
+ * @param {number} strideG - Index step along green
+ * @param {number} strideB - Index step along blue
+ * @param {number} fr - Red position inside the cell
+ * @param {number} fg - Green position inside the cell
+ * @param {number} fb - Blue position inside the cell
+ * @param {Float64Array} out - Receives RGB (0 to 1)
+ */
+function lookupTetrahedral(table, base, strideG, strideB, fr, fg, fb, out) {
+  const strideR = 3;
+  const last = strideR + strideG + strideB;
+
+  // Corners after the first and second largest steps, and the three weights
+  let first;
+  let second;
+  let w0;
+  let w1;
+  let w2;
+
+  if (fr > fg) {
+    if (fg > fb) {
+      first = strideR; second = strideR + strideG; w0 = fr; w1 = fg; w2 = fb;
+    } else if (fr > fb) {
+      first = strideR; second = strideR + strideB; w0 = fr; w1 = fb; w2 = fg;
+    } else {
+      first = strideB; second = strideR + strideB; w0 = fb; w1 = fr; w2 = fg;
+    }
+  } else if (fb > fg) {
+    first = strideB; second = strideG + strideB; w0 = fb; w1 = fg; w2 = fr;
+  } else if (fb > fr) {
+    first = strideG; second = strideG + strideB; w0 = fg; w1 = fb; w2 = fr;
+  } else {
+    first = strideG; second = strideR + strideG; w0 = fg; w1 = fr; w2 = fb;
+  }
+
+  for (let c = 0; c < 3; c++) {
+    const i = base + c;
+    out[c] = table[i] * (1 - w0) +
+      table[i + first] * (w0 - w1) +
+      table[i + second] * (w1 - w2) +
+      table[i + last] * w2;
+  }
+}
+
+/**
+ * Parse three numbers
+ * @param {string[]} values - Tokens
+ * @returns {number[]|null} - The numbers, or null unless there are exactly three
+ */
+function parseTriple(values) {
+  if (values.length !== 3) return null;
+
+  const numbers = values.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+}
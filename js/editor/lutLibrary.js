@@ -0,0 +1,80 @@
+import { createObjectStoreRunner } from '../utils/indexedDB.js';
+
+/**
+ * Creates a library that keeps imported LUTs in IndexedDB, so they are
+ * available again in later sessions
+ * @param {Object} [config] - Configuration object
+ * @param {string} [config.dbName] - Database name
+ * @param {string} [config.storeName] - Object store name
+ * @returns {Object} - LUT library API
+ */
+export function createIndexedDBLutLibrary({ dbName = 'memoryedit-luts', storeName = 'luts' } = {}) {
+  const runRequest = createObjectStoreRunner({ dbName, storeName, storeOptions: { keyPath: 'id' } });
+
+  return {
+    name: 'indexeddb',
+
+    /**
+     * Save a LUT, replacing any with the same ID
+     * @param {Object} entry - { id, name, interpolation, lut }
+     * @returns {Promise} - Resolves when the write is committed
+     */
+    save(entry) {
+      return runRequest('readwrite', store => store.put(entry));
+    },
+
+    /**
+     * Every saved LUT
+     * @returns {Promise<Object[]>} - Saved entries
+     */
+    list() {
+      return runRequest('readonly', store => store.getAll());
+    },
+
+    /**
+     * Remove a LUT
+     * @param {string} id - LUT filter ID
+     * @returns {Promise} - Resolves when the LUT is removed
+     */
+    remove(id) {
+      return runRequest('readwrite', store => store.delete(id));
+    }
+  };
+}
+
+/**
+ * Creates a LUT library that lasts only for the session.
+ * Useful for tests and for browsers without IndexedDB.
+ * @returns {Object} - LUT library API
+ */
+export function createMemoryLutLibrary() {
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async save(entry) {
+      entries.set(entry.id, entry);
+    },
+
+    async list() {
+      return Array.from(entries.values());
+    },
+
+    async remove(id) {
+      entries.delete(id);
+    }
+  };
+}
+
+/**
+ * Creates the default LUT library for the current environment
+ * @returns {Object} - LUT library API
+ */
+export function createDefaultLutLibrary() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDBLutLibrary();
+  }
+
+  return createMemoryLutLibrary();
+}
@@ -0,0 +1,288 @@
+/**
+ * Deterministic image resampling.
+ *
+ * Resizing is separable: each output row is a weighted sum of source rows,
+ * each of which is a weighted sum of source pixels. Weights are quantized to
+ * integers and every sum is exact, so results are bit-identical in every
+ * environment, unlike canvas scaling. When shrinking, kernels are stretched
+ * over the area each output pixel covers, so every source pixel contributes
+ * and fine detail averages out instead of aliasing.
+ *
+ * Source rows are read in bands through a callback, so a paged image is
+ * never assembled in one piece.
+ */
+
+// Resampling methods, in order of quality
+export const RESAMPLE_METHODS = [
+  { id: 'nearest', label: 'Nearest neighbor' },
+  { id: 'bilinear', label: 'Bilinear' },
+  { id: 'bicubic', label: 'Bicubic' },
+  { id: 'lanczos3', label: 'Lanczos-3' }
+];
+
+export const DEFAULT_RESAMPLE_METHOD = 'lanczos3';
+
+// Weights are integers summing to 2^WEIGHT_BITS
+const WEIGHT_BITS = 14;
+const WEIGHT_ONE = 1 << WEIGHT_BITS;
+
+// Output rows produced per band of source rows
+const BAND_ROWS = 32;
+
+// Interpolation kernels: radius in source pixels (at 1:1) and weight by distance
+const KERNELS = {
+  bilinear: {
+    radius: 1,
+    weight: x => (x < 1 ? 1 - x : 0)
+  },
+  bicubic: {
+    // Catmull-Rom, the same spline free rotation samples with
+    radius: 2,
+    weight: x => {
+      if (x < 1) return (3 * x * x * x - 5 * x * x + 2) / 2;
+      if (x < 2) return (-x * x * x + 5 * x * x - 8 * x + 4) / 2;
+      return 0;
+    }
+  },
+  lanczos3: {
+    radius: 3,
+    weight: x => (x < 3 ? sinc(x) * sinc(x / 3) : 0)
+  }
+};
+
+/**
+ * Resize an image held in memory
+ * @param {ImageData} image - Source image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} [method] - Resampling method ID
+ * @returns {Promise<ImageData>} - Resized image
+ */
+export function resampleImageData(image, width, height, method = DEFAULT_RESAMPLE_METHOD) {
+  const rowBytes = image.width * 4;
+  const readRows = async (y, count) => image.data.subarray(y * rowBytes, (y + count) * rowBytes);
+
+  return resampleImage({ width: image.width, height: image.height, readRows }, width, height, method);
+}
+
+/**
+ * Resize an image whose rows are read on demand, e.g. from pages
+ * @param {Object} source - Source image
+ * @param {number} source.width - Source width
+ * @param {number} source.height - Source height
+ * @param {Function} source.readRows - async (y, count) => RGBA pixels of full-width rows y to y + count - 1
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @param {string} [method] - Resampling method ID
+ * @returns {Promise<ImageData>} - Resized image
+ */
+export async function resampleImage(source, width, height, method = DEFAULT_RESAMPLE_METHOD) {
+  if (!RESAMPLE_METHODS.some(({ id }) => id === method)) {
+    throw new Error(`Unknown resampling method: ${method}`);
+  }
+  if (!(width >= 1 && height >= 1 && Number.isInteger(width) && Number.isInteger(height))) {
+    throw new Error(`Invalid target size: ${width}x${height}`);
+  }
+
+  const columns = getContributions(source.width, width, method);
+  const rows = getContributions(source.height, height, method);
+  const output = new Uint8ClampedArray(width * height * 4);
+
+  for (let bandStart = 0; bandStart < height; bandStart += BAND_ROWS) {
+    const bandEnd = Math.min(height, bandStart + BAND_ROWS);
+
+    // Source rows the band's output rows draw on
+    const top = rows.starts[bandStart];
+    const bottom = rows.starts[bandEnd - 1] + rows.counts[bandEnd - 1];
+    const sourceRows = await source.readRows(top, bottom - top);
+
+    const resampledRows = resampleRows(sourceRows, source.width, bottom - top, columns, width);
+    resampleColumns(resampledRows, top, rows, bandStart, bandEnd, width, output);
+  }
+
+  return new ImageData(output, width, height);
+}
+
+/**
+ * Source pixels and integer weights for every target pixel along one axis
+ * @param {number} sourceSize - Source length in pixels
+ * @param {number} targetSize - Target length in pixels
+ * @param {string} method - Resampling method ID
+ * @returns {Object} - { starts, counts, offsets, weights }; target i uses counts[i] source pixels from starts[i],
+ *   with weights from weights[offsets[i]]
+ */
+function getContributions(sourceSize, targetSize, method) {
+  const starts = new Int32Array(targetSize);
+  const counts = new Int32Array(targetSize);
+  const offsets = new Int32Array(targetSize);
+
+  if (method === 'nearest') {
+    for (let i = 0; i < targetSize; i++) {
+      // Source pixel under the target pixel's center, in integer math
+      starts[i] = Math.min(sourceSize - 1, Math.floor((2 * i + 1) * sourceSize / (2 * targetSize)));
+      counts[i] = 1;
+      offsets[i] = i;
+    }
+    return { starts, counts, offsets, weights: new Int32Array(targetSize).fill(WEIGHT_ONE) };
+  }
+
+  const kernel = KERNELS[method];
+  const scale = targetSize / sourceSize;
+
+  // Stretch the kernel over each target pixel's footprint when shrinking
+  const stretch = Math.max(1, 1 / scale);
+  const support = kernel.radius * stretch;
+
+  const weights = [];
+  for (let i = 0; i < targetSize; i++) {
+    const center = (i + 0.5) / scale - 0.5;
+    const first = Math.max(0, Math.ceil(center - support));
+    const last = Math.min(sourceSize - 1, Math.floor(center + support));
+
+    const raw = [];
+    let total = 0;
+    for (let j = first; j <= last; j++) {
+      const weight = kernel.weight(Math.abs(j - center) / stretch);
+      raw.push(weight);
+      total += weight;
+    }
+
+    starts[i] = first;
+    counts[i] = raw.length;
+    offsets[i] = weights.length;
+    weights.push(...quantizeWeights(raw, total));
+  }
+
+  return { starts, counts, offsets, weights: Int32Array.from(weights) };
+}
+
+/**
+ * Turn weights into integers that sum to exactly WEIGHT_ONE
+ * @param {number[]} raw - Kernel weights
+ * @param {number} total - Sum of the weights
+ * @returns {number[]} - Integer weights
+ */
+function quantizeWeights(raw, total) {
+  const quantized = raw.map(weight => Math.round(weight / total * WEIGHT_ONE));
+
+  // Put the rounding error on the largest weight
+  let largest = 0;
+  for (let i = 1; i < quantized.length; i++) {
+    if (quantized[i] > quantized[largest]) largest = i;
+  }
+  quantized[largest] += WEIGHT_ONE - quantized.reduce((sum, weight) => sum + weight, 0);
+
+  return quantized;
+}
+
+/**
+ * Horizontal pass: resample every row of a band to the target width
+ * @param {Uint8ClampedArray} data - Source rows, RGBA
+ * @param {number} sourceWidth - Source width
+ * @param {number} rowCount - Rows in the band
+ * @param {Object} columns - Contributions along x
+ * @param {number} width - Target width
+ * @returns {Int32Array} - Rows at the target width, scaled by WEIGHT_ONE (not rounded)
+ */
+function resampleRows(data, sourceWidth, rowCount, columns, width) {
+  const { starts, counts, offsets, weights } = columns;
+  const output = new Int32Array(rowCount * width * 4);
+
+  for (let row = 0; row < rowCount; row++) {
+    const rowStart = row * sourceWidth * 4;
+    const outputStart = row * width * 4;
+
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+
+      let index = rowStart + starts[x] * 4;
+      const offset = offsets[x];
+      for (let k = 0; k < counts[x]; k++, index += 4) {
+        const weight = weights[offset + k];
+        r += data[index] * weight;
+        g += data[index + 1] * weight;
+        b += data[index + 2] * weight;
+        a += data[index + 3] * weight;
+      }
+
+      const o = outputStart + x * 4;
+      output[o] = r;
+      output[o + 1] = g;
+      output[o + 2] = b;
+      output[o + 3] = a;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Vertical pass: combine horizontally resampled rows into output rows
+ * @param {Int32Array} data - Rows from the horizontal pass
+ * @param {number} top - Source row of the first row in data
+ * @param {Object} rows - Contributions along y
+ * @param {number} start - First output row
+ * @param {number} end - Output row after the last
+ * @param {number} width - Target width
+ * @param {Uint8ClampedArray} output - Target image pixels
+ */
+function resampleColumns(data, top, rows, start, end, width, output) {
+  const { starts, counts, offsets, weights } = rows;
+  const rowLength = width * 4;
+
+  // Both passes scale by WEIGHT_ONE; the sums stay exact integers below 2^53
+  const divisor = WEIGHT_ONE * WEIGHT_ONE;
+
+  for (let y = start; y < end; y++) {
+    const firstRow = (starts[y] - top) * rowLength;
+    const offset = offsets[y];
+    const outputStart = y * rowLength;
+
+    for (let i = 0; i < rowLength; i++) {
+      let sum = 0;
+      let index = firstRow + i;
+      for (let k = 0; k < counts[y]; k++, index += rowLength) {
+        sum += data[index] * weights[offset + k];
+      }
+
+      // Uint8ClampedArray clamps overshoot from negative lobes
+      output[outputStart + i] = Math.round(sum / divisor);
+    }
+  }
+}
+
+/**
+ * Normalized sinc, sin(pi x) / (pi x)
+ * @param {number} x - Distance in pixels
+ * @returns {number} - Weight
+ */
+function sinc(x) {
+  if (x === 0) return 1;
+  return sinPi(x) / (Math.PI * x);
+}
+
+/**
+ * sin(pi x) from a fixed polynomial. Math.sin may differ between engines in
+ * the last bit, which could change a rounded weight.
+ * @param {number} x - Argument, in half turns
+ * @returns {number} - sin(pi x)
+ */
+function sinPi(x) {
+  // Reduce to [-0.5, 0.5], where the series converges quickly
+  let t = x - 2 * Math.round(x / 2);
+  if (t > 0.5) t = 1 - t;
+  if (t < -0.5) t = -1 - t;
+
+  const angle = Math.PI * t;
+  const square = angle * angle;
+
+  // Taylor series to the x^17 term in Horner form, error below 1e-12 on the reduced range
+  let series = 1;
+  for (let n = 17; n >= 3; n -= 2) {
+    series = 1 - square / (n * (n - 1)) * series;
+  }
+  return angle * series;
+}
@@ -0,0 +1,170 @@
+/**
+ * Levels and Curves.
+ *
+ * Both are defined for the RGB composite and for each channel:
+ *   levels - { rgb, r, g, b }, each { black, gamma, white } (input black and white points, 0-255)
+ *   curves - { rgb, r, g, b }, each an array of [input, output] control points (0-255)
+ *
+ * They compile to one 256-entry lookup table per channel, so the chunk
+ * processor applies all of them in a single pass. A channel's value goes
+ * through composite levels, channel levels, the composite curve and the
+ * channel curve, in that order.
+ */
+
+// Curve and level channels; 'rgb' is the composite
+export const TONE_CHANNELS = [
+  { id: 'rgb', label: 'RGB' },
+  { id: 'r', label: 'Red' },
+  { id: 'g', label: 'Green' },
+  { id: 'b', label: 'Blue' }
+];
+
+// Lookup table that leaves values unchanged
+const IDENTITY = Uint8ClampedArray.from({ length: 256 }, (_, value) => value);
+
+/**
+ * Levels that leave the image unchanged
+ * @returns {Object} - Channel ID => { black, gamma, white }
+ */
+export function getDefaultLevels() {
+  return Object.fromEntries(TONE_CHANNELS.map(({ id }) => [id, { black: 0, gamma: 1, white: 255 }]));
+}
+
+/**
+ * Curves that leave the image unchanged
+ * @returns {Object} - Channel ID => control points
+ */
+export function getDefaultCurves() {
+  return Object.fromEntries(TONE_CHANNELS.map(({ id }) => [id, [[0, 0], [255, 255]]]));
+}
+
+/**
+ * Lookup table for one channel's levels
+ * @param {Object} level - { black, gamma, white }
+ * @returns {Uint8ClampedArray} - 256-entry table
+ */
+export function compileLevels({ black = 0, gamma = 1, white = 255 }) {
+  const range = Math.max(1, white - black);
+  const table = new Uint8ClampedArray(256);
+
+  for (let value = 0; value < 256; value++) {
+    const normalized = Math.min(1, Math.max(0, (value - black) / range));
+    table[value] = Math.round(255 * Math.pow(normalized, 1 / gamma));
+  }
+
+  return table;
+}
+
+/**
+ * Lookup table for a curve: a monotone cubic through the control points,
+ * flat beyond the first and last point
+ * @param {number[][]} points - [input, output] control points
+ * @returns {Uint8ClampedArray} - 256-entry table
+ */
+export function compileCurve(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0]);
+  if (sorted.length === 0) return IDENTITY;
+
+  const table = new Uint8ClampedArray(256);
+  if (sorted.length === 1) {
+    table.fill(sorted[0][1]);
+    return table;
+  }
+
+  const xs = sorted.map(point => point[0]);
+  const ys = sorted.map(point => point[1]);
+  const tangents = getMonotoneTangents(xs, ys);
+
+  let segment = 0;
+  for (let value = 0; value < 256; value++) {
+    if (value <= xs[0]) {
+      table[value] = Math.round(ys[0]);
+      continue;
+    }
+    if (value >= xs[xs.length - 1]) {
+      table[value] = Math.round(ys[ys.length - 1]);
+      continue;
+    }
+
+    while (value > xs[segment + 1]) segment++;
+
+    // Cubic Hermite interpolation within the segment
+    const h = xs[segment + 1] - xs[segment];
+    const t = (value - xs[segment]) / h;
+    const t2 = t * t;
+    const t3 = t2 * t;
+
+    table[value] = Math.round(
+      (2 * t3 - 3 * t2 + 1) * ys[segment] +
+      (t3 - 2 * t2 + t) * h * tangents[segment] +
+      (-2 * t3 + 3 * t2) * ys[segment + 1] +
+      (t3 - t2) * h * tangents[segment + 1]
+    );
+  }
+
+  return table;
+}
+
+/**
+ * Fritsch-Carlson tangents, so the curve doesn't overshoot between points
+ * @param {number[]} xs - Increasing inputs
+ * @param {number[]} ys - Outputs
+ * @returns {number[]} - Tangent at each point
+ */
+function getMonotoneTangents(xs, ys) {
+  const count = xs.length;
+  const slopes = [];
+
+  for (let i = 0; i < count - 1; i++) {
+    const dx = xs[i + 1] - xs[i];
+    slopes.push(dx > 0 ? (ys[i + 1] - ys[i]) / dx : 0);
+  }
+
+  const tangents = [slopes[0]];
+  for (let i = 1; i < count - 1; i++) {
+    tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2);
+  }
+  tangents.push(slopes[count - 2]);
+
+  for (let i = 0; i < count - 1; i++) {
+    if (slopes[i] === 0) {
+      tangents[i] = 0;
+      tangents[i + 1] = 0;
+      continue;
+    }
+
+    const a = tangents[i] / slopes[i];
+    const b = tangents[i + 1] / slopes[i];
+    const magnitude = a * a + b * b;
+    if (magnitude > 9) {
+      const scale = 3 / Math.sqrt(magnitude);
+      tangents[i] = scale * a * slopes[i];
+      tangents[i + 1] = scale * b * slopes[i];
+    }
+  }
+
+  return tangents;
+}
+
+/**
+ * Compile levels and curves into per-channel lookup tables
+ * @param {Object} [levels] - Channel ID => { black, gamma, white }
+ * @param {Object} [curves] - Channel ID => control points
+ * @returns {Uint8ClampedArray[]|null} - Red, green and blue tables, or null if they change nothing
+ */
+export function compileToneTables(levels = {}, curves = {}) {
+  const compositeLevels = levels.rgb ? compileLevels(levels.rgb) : IDENTITY;
+  const compositeCurve = curves.rgb ? compileCurve(curves.rgb) : IDENTITY;
+
+  const tables = ['r', 'g', 'b'].map(channel => {
+    const channelLevels = levels[channel] ? compileLevels(levels[channel]) : IDENTITY;
+    const channelCurve = curves[channel] ? compileCurve(curves[channel]) : IDENTITY;
+
+    return IDENTITY.map(value =>
+      channelCurve[compositeCurve[channelLevels[compositeLevels[value]]]]
+    );
+  });
+
+  const unchanged = tables.every(table => table.every((value, index) => value === index));
+  return unchanged ? null : tables;
+}
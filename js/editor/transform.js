@@ -0,0 +1,361 @@
+/**
+ * Geometric transforms on whole images.
+ *
+ * Quarter turns and flips are applied by the memory manager while it places
+ * tiles. Free rotation and perspective need pixels from any tile to compute
+ * any output pixel, so they run on the assembled image: every output pixel is
+ * mapped back into the source and sampled with the chosen interpolation.
+ */
+
+// Free rotation range in degrees, either way
+export const MAX_ANGLE = 45;
+
+// Interpolation methods for free rotation
+export const INTERPOLATIONS = [
+  { id: 'bilinear', label: 'Bilinear' },
+  { id: 'bicubic', label: 'Bicubic' }
+];
+
+// Perspective tool modes: four free corners, or a parallelogram for skew and shear
+export const PERSPECTIVE_MODES = [
+  { id: 'perspective', label: 'Perspective' },
+  { id: 'affine', label: 'Affine (skew)' }
+];
+
+/**
+ * Flips, free rotation and perspective that leave the image as it is.
+ * Quarter turns are kept separately, as the editor's rotation.
+ * @returns {Object} - { flipH, flipV, angle, interpolation, autoCrop, perspective }
+ */
+export function getDefaultTransform() {
+  return {
+    flipH: false,
+    flipV: false,
+    angle: 0,
+    interpolation: 'bilinear',
+    autoCrop: false,
+    perspective: null
+  };
+}
+
+/**
+ * Corners of the whole image, as fractions of its size
+ * @returns {number[][]} - Top-left, top-right, bottom-right and bottom-left [x, y]
+ */
+export function getDefaultCorners() {
+  return [[0, 0], [1, 0], [1, 1], [0, 1]];
+}
+
+/**
+ * Whether corners select the whole image, so warping would change nothing
+ * @param {number[][]} corners - Corners as fractions of the image size
+ * @returns {boolean} - True for the image's own corners
+ */
+export function isFullImage(corners) {
+  return getDefaultCorners().every(([x, y], i) => corners[i][0] === x && corners[i][1] === y);
+}
+
+/**
+ * Make corners a parallelogram by moving the corner opposite the one that moved
+ * @param {number[][]} corners - Top-left, top-right, bottom-right and bottom-left [x, y]
+ * @param {number} moved - Index of the corner the user moved
+ * @returns {number[][]} - New corners
+ */
+export function completeParallelogram(corners, moved) {
+  const opposite = (moved + 2) % 4;
+  const [nextX, nextY] = corners[(moved + 1) % 4];
+  const [previousX, previousY] = corners[(moved + 3) % 4];
+  const [x, y] = corners[moved];
+
+  const result = corners.map(corner => [...corner]);
+  result[opposite] = [nextX + previousX - x, nextY + previousY - y];
+  return result;
+}
+
+/**
+ * Homography that maps the unit square onto a quadrilateral (Heckbert's
+ * closed form). For a parallelogram it reduces to an affine map.
+ * @param {number[][]} quad - Images of (0, 0), (1, 0), (1, 1) and (0, 1)
+ * @returns {number[]} - [a, b, c, d, e, f, g, h]: x = (a u + b v + c) / (g u + h v + 1),
+ *   y = (d u + e v + f) / (g u + h v + 1)
+ */
+export function getHomography(quad) {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = quad;
+  const sumX = x0 - x1 + x2 - x3;
+  const sumY = y0 - y1 + y2 - y3;
+
+  let g = 0;
+  let h = 0;
+  if (Math.abs(sumX) > 1e-12 || Math.abs(sumY) > 1e-12) {
+    const dx1 = x1 - x2;
+    const dx2 = x3 - x2;
+    const dy1 = y1 - y2;
+    const dy2 = y3 - y2;
+    const determinant = dx1 * dy2 - dx2 * dy1;
+    if (Math.abs(determinant) < 1e-12) {
+      throw new Error('Perspective corners must not be collinear');
+    }
+
+    g = (sumX * dy2 - dx2 * sumY) / determinant;
+    h = (dx1 * sumY - sumX * dy1) / determinant;
+  }
+
+  return [
+    x1 - x0 + g * x1, x3 - x0 + h * x3, x0,
+    y1 - y0 + g * y1, y3 - y0 + h * y3, y0,
+    g, h
+  ];
+}
+
+/**
+ * Warp the quadrilateral between four corners into an upright rectangle
+ * @param {ImageData} image - Source image
+ * @param {number[][]} corners - Top-left, top-right, bottom-right and bottom-left [x, y],
+ *   as fractions of the image size
+ * @param {Object} [options] - Warp options
+ * @param {string} [options.interpolation] - 'bilinear' or 'bicubic'
+ * @returns {ImageData} - Rectangle as wide and tall as the quadrilateral's average
+ *   opposite sides; parts outside the source are transparent
+ */
+export function warpImageData(image, corners, { interpolation = 'bilinear' } = {}) {
+  if (isFullImage(corners)) return image;
+
+  const { width, height, data } = image;
+  const quad = corners.map(([x, y]) => [x * width, y * height]);
+  const [a, b, c, d, e, f, g, h] = getHomography(quad);
+
+  const length = (p, q) => Math.hypot(q[0] - p[0], q[1] - p[1]);
+  const outputWidth = Math.max(1, Math.round((length(quad[0], quad[1]) + length(quad[3], quad[2])) / 2));
+  const outputHeight = Math.max(1, Math.round((length(quad[0], quad[3]) + length(quad[1], quad[2])) / 2));
+
+  const output = new Uint8ClampedArray(outputWidth * outputHeight * 4);
+  const sample = interpolation === 'bicubic' ? sampleBicubic : sampleBilinear;
+  const pixel = new Float64Array(4);
+
+  for (let y = 0; y < outputHeight; y++) {
+    const v = (y + 0.5) / outputHeight;
+
+    for (let x = 0; x < outputWidth; x++) {
+      const u = (x + 0.5) / outputWidth;
+      const w = g * u + h * v + 1;
+      const sourceX = (a * u + b * v + c) / w - 0.5;
+      const sourceY = (d * u + e * v + f) / w - 0.5;
+
+      // Outside the source: leave transparent
+      if (!(sourceX >= -0.5 && sourceY >= -0.5 && sourceX <= width - 0.5 && sourceY <= height - 0.5)) continue;
+
+      sample(data, width, height, sourceX, sourceY, pixel);
+
+      const o = (y * outputWidth + x) * 4;
+      output[o] = pixel[0];
+      output[o + 1] = pixel[1];
+      output[o + 2] = pixel[2];
+      output[o + 3] = pixel[3];
+    }
+  }
+
+  return new ImageData(output, outputWidth, outputHeight);
+}
+
+/**
+ * Largest axis-aligned rectangle that fits inside a rotated rectangle
+ * @param {number} width - Width before rotation
+ * @param {number} height - Height before rotation
+ * @param {number} angle - Rotation in degrees
+ * @returns {{width: number, height: number}} - Rectangle size in pixels
+ */
+export function getInscribedRect(width, height, angle) {
+  const radians = angle * Math.PI / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  if (sin < 1e-10) return { width, height };
+
+  const widthIsLonger = width >= height;
+  const longSide = widthIsLonger ? width : height;
+  const shortSide = widthIsLonger ? height : width;
+
+  let innerWidth;
+  let innerHeight;
+
+  if (shortSide <= 2 * sin * cos * longSide || Math.abs(sin - cos) < 1e-10) {
+    // Two corners of the rectangle touch the long sides
+    const half = shortSide / 2;
+    innerWidth = widthIsLonger ? half / sin : half / cos;
+    innerHeight = widthIsLonger ? half / cos : half / sin;
+  } else {
+    // All four corners touch the sides
+    const cos2 = cos * cos - sin * sin;
+    innerWidth = (width * cos - height * sin) / cos2;
+    innerHeight = (height * cos - width * sin) / cos2;
+  }
+
+  return {
+    width: Math.max(1, Math.floor(innerWidth)),
+    height: Math.max(1, Math.floor(innerHeight))
+  };
+}
+
+/**
+ * Rotate an image by any angle around its center
+ * @param {ImageData} image - Source image
+ * @param {number} angle - Clockwise rotation in degrees
+ * @param {Object} [options] - Rotation options
+ * @param {string} [options.interpolation] - 'bilinear' or 'bicubic'
+ * @param {boolean} [options.autoCrop] - Crop to the largest rectangle without empty corners
+ * @returns {ImageData} - Rotated image; without auto-crop, the corners outside the source are transparent
+ */
+export function rotateImageData(image, angle, { interpolation = 'bilinear', autoCrop = false } = {}) {
+  if (!angle) return image;
+
+  const { width, height, data } = image;
+  const radians = angle * Math.PI / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+
+  let outputWidth;
+  let outputHeight;
+  if (autoCrop) {
+    ({ width: outputWidth, height: outputHeight } = getInscribedRect(width, height, angle));
+  } else {
+    // Bounding box of the rotated image; the epsilon keeps round-off from adding a pixel
+    outputWidth = Math.ceil(Math.abs(width * cos) + Math.abs(height * sin) - 1e-6);
+    outputHeight = Math.ceil(Math.abs(width * sin) + Math.abs(height * cos) - 1e-6);
+  }
+
+  const output = new Uint8ClampedArray(outputWidth * outputHeight * 4);
+  const sample = interpolation === 'bicubic' ? sampleBicubic : sampleBilinear;
+  const pixel = new Float64Array(4);
+
+  // Map output pixel centers back into the source (inverse rotation about the centers)
+  const sourceCenterX = width / 2;
+  const sourceCenterY = height / 2;
+  const outputCenterX = outputWidth / 2;
+  const outputCenterY = outputHeight / 2;
+
+  for (let y = 0; y < outputHeight; y++) {
+    const dy = y + 0.5 - outputCenterY;
+
+    for (let x = 0; x < outputWidth; x++) {
+      const dx = x + 0.5 - outputCenterX;
+      const sourceX = cos * dx + sin * dy + sourceCenterX - 0.5;
+      const sourceY = -sin * dx + cos * dy + sourceCenterY - 0.5;
+
+      // Outside the source: leave transparent
+      if (sourceX < -0.5 || sourceY < -0.5 || sourceX > width - 0.5 || sourceY > height - 0.5) continue;
+
+      sample(data, width, height, sourceX, sourceY, pixel);
+
+      const o = (y * outputWidth + x) * 4;
+      output[o] = pixel[0];
+      output[o + 1] = pixel[1];
+      output[o + 2] = pixel[2];
+      output[o + 3] = pixel[3];
+    }
+  }
+
+  return new ImageData(output, outputWidth, outputHeight);
+}
+
+/**
+ * Angle that levels a line drawn along the horizon (or a vertical edge)
+ * @param {number} x1 - Line start x
+ * @param {number} y1 - Line start y
+ * @param {number} x2 - Line end x
+ * @param {number} y2 - Line end y
+ * @returns {number} - Clockwise correction in degrees, between -45 and 45
+ */
+export function getStraightenAngle(x1, y1, x2, y2) {
+  const slope = Math.atan2(y2 - y1, x2 - x1) * 180 / Math.PI;
+
+  // Level to the nearest horizontal or vertical
+  let correction = -slope % 90;
+  if (correction > 45) correction -= 90;
+  if (correction < -45) correction += 90;
+
+  return correction;
+}
+
+/**
+ * Sample with bilinear interpolation
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - Sample position x
+ * @param {number} y - Sample position y
+ * @param {Float64Array} out - Receives RGBA
+ */
+function sampleBilinear(data, width, height, x, y, out) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = x - x0;
+  const fy = y - y0;
+
+  const left = clampIndex(x0, width);
+  const right = clampIndex(x0 + 1, width);
+  const top = clampIndex(y0, height) * width;
+  const bottom = clampIndex(y0 + 1, height) * width;
+
+  for (let c = 0; c < 4; c++) {
+    const upper = data[(top + left) * 4 + c] * (1 - fx) + data[(top + right) * 4 + c] * fx;
+    const lower = data[(bottom + left) * 4 + c] * (1 - fx) + data[(bottom + right) * 4 + c] * fx;
+    out[c] = upper * (1 - fy) + lower * fy;
+  }
+}
+
+/**
+ * Sample with bicubic (Catmull-Rom) interpolation
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - Sample position x
+ * @param {number} y - Sample position y
+ * @param {Float64Array} out - Receives RGBA
+ */
+function sampleBicubic(data, width, height, x, y, out) {
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const wx = cubicWeights(x - x0);
+  const wy = cubicWeights(y - y0);
+
+  out.fill(0);
+  for (let j = 0; j < 4; j++) {
+    const row = clampIndex(y0 - 1 + j, height) * width;
+
+    for (let i = 0; i < 4; i++) {
+      const weight = wx[i] * wy[j];
+      const index = (row + clampIndex(x0 - 1 + i, width)) * 4;
+
+      out[0] += data[index] * weight;
+      out[1] += data[index + 1] * weight;
+      out[2] += data[index + 2] * weight;
+      out[3] += data[index + 3] * weight;
+    }
+  }
+}
+
+/**
+ * Catmull-Rom weights of the four samples around a position
+ * @param {number} t - Offset from the second sample (0 to 1)
+ * @returns {number[]} - Four weights
+ */
+function cubicWeights(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+
+  return [
+    (-t3 + 2 * t2 - t) / 2,
+    (3 * t3 - 5 * t2 + 2) / 2,
+    (-3 * t3 + 4 * t2 + t) / 2,
+    (t3 - t2) / 2
+  ];
+}
+
+/**
+ * Keep a coordinate inside [0, size)
+ * @param {number} value - Coordinate
+ * @param {number} size - Extent
+ * @returns {number} - Clamped coordinate
+ */
+function clampIndex(value, size) {
+  return value < 0 ? 0 : value >= size ? size - 1 : value;
+}
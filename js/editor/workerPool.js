@@ -0,0 +1,102 @@
+/**
+ * Creates a fixed-size pool of workers that each handle one task at a time.
+ * Tasks queue until a worker is idle.
+ * @param {Object} config - Configuration object
+ * @param {number} config.size - Number of workers
+ * @param {Function} config.createWorker - Returns a new Worker
+ * @returns {Object|null} - Worker pool API, or null if workers are unavailable
+ */
+export function createWorkerPool({ size, createWorker }) {
+  if (typeof Worker === 'undefined' || !(size > 0)) return null;
+
+  let workers;
+  try {
+    workers = Array.from({ length: size }, () => createWorker());
+  } catch (error) {
+    console.error('Could not start workers:', error);
+    return null;
+  }
+
+  const idle = [...workers];
+  const queue = [];
+
+  // Map: worker => task it is running
+  const running = new Map();
+
+  let nextId = 0;
+  let broken = null;
+
+  workers.forEach(worker => {
+    worker.addEventListener('message', ({ data }) => {
+      const task = running.get(worker);
+      running.delete(worker);
+      idle.push(worker);
+
+      if (data.error) {
+        const error = new Error(data.error);
+        error.code = data.code;
+        task.reject(error);
+      } else {
+        task.resolve(data);
+      }
+
+      dispatch();
+    });
+
+    // The worker script failed to load or threw outside a task
+    worker.addEventListener('error', event => {
+      event.preventDefault();
+      fail(new Error(event.message || 'Worker failed'));
+    });
+  });
+
+  /**
+   * Start queued tasks on idle workers
+   */
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+
+      running.set(worker, task);
+      worker.postMessage({ id: task.id, ...task.message }, task.transfer);
+    }
+  }
+
+  /**
+   * Run a task on the next idle worker
+   * @param {Object} message - Task message
+   * @param {Transferable[]} [transfer] - Buffers to move to the worker
+   * @returns {Promise<Object>} - The worker's response
+   */
+  function run(message, transfer = []) {
+    if (broken) return Promise.reject(broken);
+
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, message, transfer, resolve, reject });
+      dispatch();
+    });
+  }
+
+  /**
+   * Stop every worker and reject all pending tasks
+   * @param {Error} error - Reason given to pending tasks
+   */
+  function fail(error) {
+    if (broken) return;
+    broken = error;
+
+    workers.forEach(worker => worker.terminate());
+    running.forEach(task => task.reject(error));
+    queue.forEach(task => task.reject(error));
+    running.clear();
+    queue.length = 0;
+  }
+
+  return {
+    run,
+    terminate: () => fail(new Error('Worker pool terminated')),
+    isBroken: () => !!broken,
+    size
+  };
+}
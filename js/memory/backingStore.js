@@ -0,0 +1,100 @@
+import { createObjectStoreRunner } from '../utils/indexedDB.js';
+
+/**
+ * Creates a backing store that keeps swapped-out pages in IndexedDB
+ * @param {Object} [config] - Configuration object
+ * @param {string} [config.dbName] - Database name
+ * @param {string} [config.storeName] - Object store name
+ * @returns {Object} - Backing store API
+ */
+export function createIndexedDBStore({ dbName = 'memoryedit-swap', storeName = 'pages' } = {}) {
+  const runRequest = createObjectStoreRunner({ dbName, storeName });
+
+  /**
+   * Write a page to the store
+   * @param {string} pageId - Page ID
+   * @param {Uint8ClampedArray} data - Page pixel data
+   * @returns {Promise} - Resolves when the write is committed
+   */
+  function write(pageId, data) {
+    return runRequest('readwrite', store => store.put(data, pageId));
+  }
+
+  /**
+   * Read a page from the store
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Uint8ClampedArray|null>} - Page pixel data or null if missing
+   */
+  async function read(pageId) {
+    const data = await runRequest('readonly', store => store.get(pageId));
+    return data ? new Uint8ClampedArray(data) : null;
+  }
+
+  /**
+   * Remove a page from the store
+   * @param {string} pageId - Page ID
+   * @returns {Promise} - Resolves when the page is removed
+   */
+  function remove(pageId) {
+    return runRequest('readwrite', store => store.delete(pageId));
+  }
+
+  /**
+   * Remove all pages from the store
+   * @returns {Promise} - Resolves when the store is empty
+   */
+  function clear() {
+    return runRequest('readwrite', store => store.clear());
+  }
+
+  return {
+    name: 'indexeddb',
+    write,
+    read,
+    remove,
+    clear
+  };
+}
+
+/**
+ * Creates a backing store that keeps swapped-out pages in a Map.
+ * Useful for tests and for browsers without IndexedDB.
+ * @returns {Object} - Backing store API
+ */
+export function createMemoryStore() {
+  const pages = new Map();
+
+  return {
+    name: 'memory',
+
+    async write(pageId, data) {
+      // Copy so later changes to the resident page don't leak into swap
+      pages.set(pageId, data.slice());
+    },
+
+    async read(pageId) {
+      const data = pages.get(pageId);
+      return data ? data.slice() : null;
+    },
+
+    async remove(pageId) {
+      pages.delete(pageId);
+    },
+
+    async clear() {
+      pages.clear();
+    }
+  };
+}
+
+/**
+ * Creates the default backing store for the current environment
+ * @returns {Object} - Backing store API
+ */
+export function createDefaultStore() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDBStore();
+  }
+
+  return createMemoryStore();
+}
@@ -0,0 +1,181 @@
+/**
+ * Creates an LRU cache of processed tiles with its own memory budget
+ * @param {Object} [config] - Configuration object
+ * @param {number} [config.limit] - Cache size in MB (0 disables caching)
+ * @returns {Object} - Chunk cache API
+ */
+export function createChunkCache({ limit = 0 } = {}) {
+  const limitBytes = limit * 1024 * 1024;
+
+  // Map: key => { pageId, data }, in LRU order (first = least recent)
+  const entries = new Map();
+  let bytes = 0;
+
+  const stats = {
+    hits: 0,
+    misses: 0,
+    evictions: 0
+  };
+
+  /**
+   * Build the cache key for a page under a pipeline
+   * @param {string} pageId - Page ID
+   * @param {number} version - Page content version
+   * @param {string} pipelineHash - Hash of the processing parameters
+   * @returns {string} - Cache key
+   */
+  function keyFor(pageId, version, pipelineHash) {
+    return `${pageId}@${version}:${pipelineHash}`;
+  }
+
+  /**
+   * Look up a processed tile
+   * @param {string} key - Cache key
+   * @returns {Uint8ClampedArray|null} - Processed tile data
+   */
+  function get(key) {
+    const entry = entries.get(key);
+
+    if (!entry) {
+      stats.misses++;
+      return null;
+    }
+
+    // Move to most recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.hits++;
+
+    return entry.data;
+  }
+
+  /**
+   * Check for a processed tile without touching recency or counters
+   * @param {string} key - Cache key
+   * @returns {boolean} - True if cached
+   */
+  function has(key) {
+    return entries.has(key);
+  }
+
+  /**
+   * Store a processed tile, evicting the least recently used ones to fit
+   * @param {string} key - Cache key
+   * @param {string} pageId - Page the tile was produced from
+   * @param {Uint8ClampedArray} data - Processed tile data
+   */
+  function set(key, pageId, data) {
+    if (data.byteLength > limitBytes) return;
+
+    remove(key);
+
+    while (bytes + data.byteLength > limitBytes && entries.size > 0) {
+      remove(entries.keys().next().value);
+      stats.evictions++;
+    }
+
+    entries.set(key, { pageId, data });
+    bytes += data.byteLength;
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   */
+  function remove(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    entries.delete(key);
+    bytes -= entry.data.byteLength;
+  }
+
+  /**
+   * Drop every processed tile derived from a page
+   * @param {string} pageId - Page ID
+   */
+  function invalidatePage(pageId) {
+    invalidateWhere(entryPageId => entryPageId === pageId);
+  }
+
+  /**
+   * Drop every processed tile whose source page matches a predicate
+   * @param {Function} predicate - Receives the source page ID
+   */
+  function invalidateWhere(predicate) {
+    for (const [key, entry] of entries) {
+      if (predicate(entry.pageId)) {
+        remove(key);
+      }
+    }
+  }
+
+  /**
+   * Drop everything
+   */
+  function clear() {
+    entries.clear();
+    bytes = 0;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} - Cache statistics
+   */
+  function getStats() {
+    return {
+      ...stats,
+      entries: entries.size,
+      memoryUsage: bytes / (1024 * 1024),
+      limit
+    };
+  }
+
+  return {
+    enabled: limitBytes > 0,
+    keyFor,
+    get,
+    has,
+    set,
+    invalidatePage,
+    invalidateWhere,
+    clear,
+    getStats
+  };
+}
+
+/**
+ * Hash processing parameters into a short, order-independent string
+ * @param {*} value - Parameters (plain objects, arrays and primitives)
+ * @returns {string} - Hex hash
+ */
+export function hashParameters(value) {
+  const text = stableStringify(value);
+
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0).toString(16);
+}
+
+/**
+ * JSON stringify with object keys sorted, so equal parameters hash equally
+ * @param {*} value - Value to serialize
+ * @returns {string} - Serialized value
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
@@ -0,0 +1,123 @@
+/**
+ * Page compression codecs for the compressed memory tier.
+ *
+ * Every codec implements:
+ *   name                          - Codec ID
+ *   compress(data)                - Uint8ClampedArray => Promise<Uint8Array>
+ *   decompress(bytes, byteLength) - Uint8Array => Promise<Uint8ClampedArray>
+ */
+
+// Longest run a single RLE record can describe (count is stored in one byte)
+const MAX_RUN = 255;
+
+/**
+ * Run-length codec over whole RGBA pixels. Each record is
+ * [count, r, g, b, a], so flat regions shrink to a handful of bytes.
+ * @returns {Object} - Codec
+ */
+export function createRLECodec() {
+  return {
+    name: 'rle',
+
+    async compress(data) {
+      const pixelCount = data.length / 4;
+      // Worst case is one record per pixel
+      const output = new Uint8Array(pixelCount * 5);
+      let outIndex = 0;
+      let pixel = 0;
+
+      while (pixel < pixelCount) {
+        const i = pixel * 4;
+        let run = 1;
+
+        while (
+          run < MAX_RUN &&
+          pixel + run < pixelCount &&
+          data[i] === data[i + run * 4] &&
+          data[i + 1] === data[i + run * 4 + 1] &&
+          data[i + 2] === data[i + run * 4 + 2] &&
+          data[i + 3] === data[i + run * 4 + 3]
+        ) {
+          run++;
+        }
+
+        output[outIndex] = run;
+        output[outIndex + 1] = data[i];
+        output[outIndex + 2] = data[i + 1];
+        output[outIndex + 3] = data[i + 2];
+        output[outIndex + 4] = data[i + 3];
+        outIndex += 5;
+        pixel += run;
+      }
+
+      return output.slice(0, outIndex);
+    },
+
+    async decompress(bytes, byteLength) {
+      const output = new Uint8ClampedArray(byteLength);
+      let outIndex = 0;
+
+      for (let i = 0; i < bytes.length; i += 5) {
+        const run = bytes[i];
+        for (let r = 0; r < run; r++) {
+          output[outIndex] = bytes[i + 1];
+          output[outIndex + 1] = bytes[i + 2];
+          output[outIndex + 2] = bytes[i + 3];
+          output[outIndex + 3] = bytes[i + 4];
+          outIndex += 4;
+        }
+      }
+
+      return output;
+    }
+  };
+}
+
+/**
+ * Deflate codec using the browser's CompressionStream
+ * @returns {Object} - Codec
+ */
+export function createDeflateCodec() {
+  /**
+   * Pipe bytes through a (de)compression stream
+   * @param {Uint8Array|Uint8ClampedArray} bytes - Input bytes
+   * @param {TransformStream} stream - Compression or decompression stream
+   * @returns {Promise<ArrayBuffer>} - Output bytes
+   */
+  function pipe(bytes, stream) {
+    const output = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Response(output).arrayBuffer();
+  }
+
+  return {
+    name: 'deflate',
+
+    async compress(data) {
+      return new Uint8Array(await pipe(data, new CompressionStream('deflate')));
+    },
+
+    async decompress(bytes) {
+      return new Uint8ClampedArray(await pipe(bytes, new DecompressionStream('deflate')));
+    }
+  };
+}
+
+/**
+ * Create a codec by ID. Deflate falls back to RLE where CompressionStream is missing.
+ * @param {string} name - Codec ID ('rle' or 'deflate')
+ * @returns {Object} - Codec
+ */
+export function createCodec(name) {
+  switch (name) {
+    case 'rle':
+      return createRLECodec();
+    case 'deflate':
+      if (typeof CompressionStream === 'undefined') {
+        console.warn('CompressionStream not available, using RLE for compressed pages');
+        return createRLECodec();
+      }
+      return createDeflateCodec();
+    default:
+      throw new Error(`Unknown compression codec: ${name}`);
+  }
+}
@@ -1,86 +1,369 @@
+import { createDefaultStore } from './backingStore.js';
+import { createPolicy, listPolicies } from './policies.js';
+import { createCodec } from './compression.js';
+import { createPrefetcher } from './prefetcher.js';
+import { createChunkCache, hashParameters } from './chunkCache.js';
+import { createTraceRecorder, exportTrace, parseTrace, replayTrace, getHitRatioCurve } from './trace.js';
+import { createThrashingDetector } from './thrashingDetector.js';
+import { TIERS, resolveTierConfig, simulateLatency, createCacheTier } from './tiers.js';
+import { createTLB, listTLBPolicies } from './tlb.js';
+
+// Most recent references kept for the OPT policy
+const MAX_REFERENCE_STRING = 100000;
+
+// Processed chunks waiting to be placed in the output. Chunk processors may
+// finish out of order (e.g. on workers); this bounds the copies they hold.
+const MAX_CHUNKS_IN_FLIGHT = 8;
+
+// Times a page is faulted in again when it is evicted before it can be used
+const MAX_FAULT_RETRIES = 3;
+
+// Number of memory sizes sampled for a hit-ratio curve
+const CURVE_POINTS = 16;
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Responses to thrashing: only log it, re-page with larger pages, or ask the
+// editor to render a smaller preview
+const THRASHING_RESPONSES = ['log', 'repage', 'reduce-preview'];
+
+// Thrashing decisions kept for the memory panel
+const MAX_THRASHING_LOG = 20;
+
+// Priority hints; eviction only considers the lowest class with resident pages
+const PRIORITIES = {
+  low: 0,
+  normal: 1,
+  high: 2
+};
+
 /**
  * Sets up the virtual memory manager
  * @param {Object} config - Configuration object
  * @param {number} config.memoryLimit - Memory limit in MB
- * @param {number} config.pageSize - Page size in MB
+ * @param {number} config.pageSize - Page size in MB, used for square tiles when no tile size is given
+ * @param {number} [config.tileWidth] - Tile width in pixels
+ * @param {number} [config.tileHeight] - Tile height in pixels
+ * @param {Object} [config.backingStore] - Swap device for evicted pages (defaults to IndexedDB)
+ * @param {string|Object} [config.policy] - Replacement policy ID or policy object
+ * @param {Object} [config.compression] - Compressed tier settings, omit to disable
+ * @param {string} [config.compression.codec] - 'rle' or 'deflate'
+ * @param {number} [config.compression.limit] - Compressed tier size in MB
+ * @param {number} [config.compression.minRatio] - Pages compressing worse than this go to the backing store
+ * @param {number} [config.prefetchWindow] - Pages to read ahead on sequential or strided access (0 disables)
+ * @param {number} [config.resultCacheLimit] - Budget in MB for cached processed tiles (0 disables)
+ * @param {number} [config.traceLimit] - Maximum number of recorded trace events (0 disables tracing)
+ * @param {Object} [config.thrashing] - Thrashing detection settings
+ * @param {number} [config.thrashing.window] - References in the sliding window
+ * @param {number} [config.thrashing.threshold] - Fault rate (0-1) that counts as thrashing
+ * @param {number} [config.thrashing.recovery] - Fault rate (0-1) that ends thrashing
+ * @param {string} [config.thrashing.response] - 'log', 'repage' or 'reduce-preview'
+ * @param {Object} [config.tiers] - Simulated latency (ms) per tier, keyed 'cache', 'ram', 'compressed' and 'disk'
+ * @param {number} [config.tiers.cache.capacity] - Cache size in MB (0 disables the cache); main memory
+ *   is sized by memoryLimit and the compressed tier by compression.limit
+ * @param {Object} [config.tlb] - TLB in front of the page tables, omit to disable
+ * @param {number} [config.tlb.entries] - Number of TLB entries
+ * @param {number} [config.tlb.associativity] - Ways per set (1 = direct-mapped, entries = fully associative)
+ * @param {string} [config.tlb.policy] - Replacement policy within a set
  * @param {Object} config.eventBus - Event bus for communication
  * @returns {Object} - Memory manager API
  */
-export function setupMemoryManager({ memoryLimit = 100, pageSize = 1, eventBus }) {
-  // Initialize page table
-  // Map: pageId (string) => { data, status, lastAccessed }
-  const pageTable = new Map();
+export function setupMemoryManager({
+  memoryLimit = 100,
+  pageSize = 1,
+  tileWidth,
+  tileHeight,
+  backingStore = createDefaultStore(),
+  policy: initialPolicy = 'lru',
+  compression = null,
+  prefetchWindow = 0,
+  resultCacheLimit = 0,
+  traceLimit = MAX_REFERENCE_STRING,
+  thrashing = {},
+  tiers = {},
+  tlb: tlbConfig = null,
+  eventBus
+}) {
+  // Tiles default to squares holding one page worth of RGBA pixels
+  const defaultTileSide = Math.floor(Math.sqrt((pageSize * 1024 * 1024) / 4));
+  tileWidth = tileWidth || defaultTileSide;
+  tileHeight = tileHeight || defaultTileSide;
+  pageSize = (tileWidth * tileHeight * 4) / (1024 * 1024);
+  
+  // Address spaces, one per open document, each with its own page table.
+  // Page IDs are namespaced as `${documentId}:page_${index}`.
+  // Map: documentId => { id, name, pageTable, width, height, tileColumns, tileRows }
+  //
+  // Page table entries: { data, compressed, status, dirty, pinCount, accessCount, priority, lastAccessed, x, y, w, h }
+  // status: 'active' (resident), 'compressed' (compressed tier) or 'inactive' (backing store)
+  // dirty: the backing store has no up-to-date copy, so eviction must write the page back
+  // pinCount: pinned pages stay resident until every pin is released
+  // accessCount: references in progress; the page can't be evicted between its fault and its reference
+  // priority: eviction hint, one of the PRIORITIES keys
+  const documents = new Map();
+  let activeDocumentId = null;
+  let documentCounter = 0;
+  
+  // Pages an earlier session swapped out are stale, and their IDs will be reused:
+  // empty the backing store before this session writes to it
+  const backingStoreReady = backingStore.clear()
+    .catch(error => console.error('Error clearing the backing store:', error));
+  
+  // Compressed tier, like zswap: evicted pages wait here before going to the backing store
+  const codec = compression ? createCodec(compression.codec || 'rle') : null;
+  const compressedLimitBytes = compression ? (compression.limit || 25) * 1024 * 1024 : 0;
+  const compressionMinRatio = compression ? compression.minRatio || 1.25 : 0;
+  
+  // Compressed page IDs, oldest first
+  const compressedTier = new Map();
   
   // Statistics
-  let stats = {
-    activePages: 0,
-    inactivePages: 0,
-    pageHits: 0,
-    pageFaults: 0,
-    memoryUsage: 0
-  };
+  let stats = createEmptyStats();
+  
+  // Hit/fault counters per policy, kept across policy switches for comparison
+  // Map: policy name => { hits, faults }
+  const policyStats = new Map();
+  
+  // Page IDs of the latest references, oldest first (trace for OPT); at
+  // runtime OPT takes them as its future, so it only approximates Belady
+  let referenceString = [];
+  
+  // Timestamped accesses, hits, faults, evictions and swap-ins for export and replay
+  const trace = createTraceRecorder({ limit: traceLimit });
+  
+  // Sliding-window fault rate, the decisions taken when it crossed the threshold,
+  // and the decision still waiting for a render to measure its effect
+  const thrashingDetector = createThrashingDetector(thrashing);
+  let thrashingResponse = thrashing.response || 'log';
+  let thrashingPending = false;
+  let thrashingLog = [];
+  let awaitingEffect = null;
+  
+  // Capacity and latency of each tier, and the cache above main memory
+  const tierConfig = resolveTierConfig(tiers);
+  const cacheTier = createCacheTier({ capacity: tierConfig.cache.capacity });
+  
+  // Caches page table lookups; only translations of resident pages are kept
+  let tlb = tlbConfig ? createTLB(tlbConfig) : null;
+  
+  // Active replacement policy
+  let policy = resolvePolicy(initialPolicy);
+  
+  // Read-ahead predictor and the swap-ins it has started
+  // Map: pageId => Promise
+  const prefetcher = createPrefetcher({ window: prefetchWindow });
+  const prefetchesInFlight = new Map();
+  
+  // Processed tiles keyed by page, page version and pipeline parameters
+  const chunkCache = createChunkCache({ limit: resultCacheLimit });
   
   // Chunk processor function (will be registered by imageProcessor)
   let processChunkFn = null;
   
+  // (filter) => halo in pixels the processor needs around each tile
+  let getHaloFn = () => 0;
+  
+  // Set while a page size change re-tiles every document
+  let repaging = null;
+  
+  // Passes walking a document's pages; re-paging renames every page, so it waits for them
+  const passesInFlight = new Set();
+  
+  // Buffers held outside the page table (editor images, history, scratch canvases)
+  // Map: id => { category, bytes }
+  const externalBuffers = new Map();
+  
   /**
    * Register a chunk processor function
-   * @param {Function} processor - Chunk processor function
+   * @param {Function} processor - (chunkData, adjustments, filter, region) => processed data, or a promise of it.
+   *   It must not modify chunkData, which may be the resident page itself. With a halo, chunkData is
+   *   the tile padded on every side (region: { width, height, halo }) and the result must be cropped to the tile.
+   * @param {Object} [options] - Processor options
+   * @param {Function} [options.getHalo] - (filter) => pixels of neighboring tiles the filter reads
    */
-  function registerChunkProcessor(processor) {
+  function registerChunkProcessor(processor, { getHalo } = {}) {
     processChunkFn = processor;
+    getHaloFn = getHalo || (() => 0);
+  }
+  
+  /**
+   * Create a new document with an empty address space
+   * @param {string} [name] - Display name
+   * @returns {string} - Document ID
+   */
+  function createDocument(name) {
+    documentCounter++;
+    const documentId = `doc${documentCounter}`;
+    
+    documents.set(documentId, {
+      id: documentId,
+      name: name || `Untitled ${documentCounter}`,
+      pageTable: new Map(),
+      width: 0,
+      height: 0,
+      tileColumns: 0,
+      tileRows: 0
+    });
+    
+    if (!activeDocumentId) {
+      activeDocumentId = documentId;
+    }
+    
+    eventBus.emit('memory:document:created', { documentId });
+    updateMemoryStats();
+    
+    return documentId;
+  }
+  
+  /**
+   * Close a document, releasing its pages from every tier
+   * @param {string} documentId - Document ID
+   */
+  async function closeDocument(documentId) {
+    const doc = documents.get(documentId);
+    if (!doc) return;
+    
+    await clearDocumentPages(doc);
+    documents.delete(documentId);
+    
+    if (activeDocumentId === documentId) {
+      const next = documents.keys().next();
+      activeDocumentId = next.done ? null : next.value;
+    }
+    
+    eventBus.emit('memory:document:closed', { documentId });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Make a document the default target for storeImage, processImageChunks and writePixels
+   * @param {string} documentId - Document ID
+   */
+  function setActiveDocument(documentId) {
+    if (!documents.has(documentId)) {
+      throw new Error(`Unknown document: ${documentId}`);
+    }
+    
+    activeDocumentId = documentId;
+    updateMemoryStats();
+  }
+  
+  /**
+   * Look up a document, creating a default one when none exists yet
+   * @param {string} [documentId] - Document ID (defaults to the active document)
+   * @returns {Object} - Document
+   */
+  function resolveDocument(documentId = activeDocumentId) {
+    if (!documentId) {
+      documentId = createDocument();
+    }
+    
+    const doc = documents.get(documentId);
+    if (!doc) {
+      throw new Error(`Unknown document: ${documentId}`);
+    }
+    
+    return doc;
+  }
+  
+  /**
+   * Look up a page in the address space its ID belongs to
+   * @param {string} pageId - Namespaced page ID
+   * @returns {Object|undefined} - Page object
+   */
+  function getPage(pageId) {
+    const doc = documents.get(pageId.slice(0, pageId.indexOf(':')));
+    return doc ? doc.pageTable.get(pageId) : undefined;
+  }
+  
+  /**
+   * Iterate the pages of every document
+   * @returns {Iterable<Array>} - [pageId, page] pairs
+   */
+  function* allPageEntries() {
+    for (const doc of documents.values()) {
+      yield* doc.pageTable.entries();
+    }
   }
   
   /**
-   * Store an image in memory chunks
+   * Store an image in memory as a grid of rectangular tiles
    * @param {ImageData} imageData - Image data to store
+   * @param {string} [documentId] - Target document (defaults to the active document)
    */
-  async function storeImage(imageData) {
+  async function storeImage(imageData, documentId) {
     if (!imageData) return;
     
-    // Clear existing pages
-    clearAllPages();
+    if (repaging) await repaging;
+    
+    await pageImage(resolveDocument(documentId), imageData);
+  }
+  
+  /**
+   * Split an image into tiles and page it into a document's address space
+   * @param {Object} doc - Document
+   * @param {ImageData} imageData - Image data to store
+   */
+  async function pageImage(doc, imageData) {
+    // Clear the document's existing pages
+    await clearDocumentPages(doc);
     
     const { width, height, data } = imageData;
-    const pixelsPerPage = Math.floor((pageSize * 1024 * 1024) / 4); // 4 bytes per pixel (RGBA)
-    const totalPixels = width * height;
-    const totalPages = Math.ceil(totalPixels / pixelsPerPage);
+    const tileColumns = Math.ceil(width / tileWidth);
+    const tileRows = Math.ceil(height / tileHeight);
+    const totalPages = tileColumns * tileRows;
     
     // Store image metadata
-    stats.totalWidth = width;
-    stats.totalHeight = height;
-    stats.totalPixels = totalPixels;
-    stats.totalPages = totalPages;
+    doc.width = width;
+    doc.height = height;
+    doc.tileColumns = tileColumns;
+    doc.tileRows = tileRows;
     
-    // Split image data into chunks and store in page table
+    // Split image data into tiles, row-major, and store in page table
     for (let i = 0; i < totalPages; i++) {
-      const startPixel = i * pixelsPerPage;
-      const endPixel = Math.min((i + 1) * pixelsPerPage, totalPixels);
-      const startIndex = startPixel * 4;
-      const endIndex = endPixel * 4;
+      const x = (i % tileColumns) * tileWidth;
+      const y = Math.floor(i / tileColumns) * tileHeight;
+      const w = Math.min(tileWidth, width - x);
+      const h = Math.min(tileHeight, height - y);
       
-      // Create a copy of the chunk data
-      const chunkData = new Uint8ClampedArray(data.slice(startIndex, endIndex));
+      // Copy the tile rows out of the image
+      const chunkData = new Uint8ClampedArray(w * h * 4);
+      for (let row = 0; row < h; row++) {
+        const srcStart = ((y + row) * width + x) * 4;
+        chunkData.set(data.subarray(srcStart, srcStart + w * 4), row * w * 4);
+      }
       
-      // Store the chunk in the page table
-      const pageId = `page_${i}`;
-      pageTable.set(pageId, {
+      // Store the tile in the document's page table
+      const pageId = `${doc.id}:page_${i}`;
+      doc.pageTable.set(pageId, {
         data: chunkData,
         status: 'active',
+        // New pages start dirty: the backing store has no copy yet
+        dirty: true,
+        prefetched: false,
+        // Bumped on every pixel write so cached results go stale
+        version: 0,
+        pinCount: 0,
+        accessCount: 0,
+        priority: 'normal',
         lastAccessed: Date.now(),
-        startPixel,
-        endPixel,
-        startIndex,
-        endIndex
+        documentId: doc.id,
+        index: i,
+        x,
+        y,
+        w,
+        h
       });
       
-      // Update stats
+      policy.insert(pageId);
+      
+      // Update stats, counting the partial tiles on the right and bottom edges at their real size
       stats.activePages++;
-      stats.memoryUsage += pageSize;
+      stats.residentBytes += chunkData.byteLength;
       
       // Check if we need to swap out pages
-      if (stats.memoryUsage > memoryLimit) {
-        swapOutLRUPage();
+      if (stats.residentBytes > memoryLimit * BYTES_PER_MB) {
+        await swapOutVictimPage();
       }
     }
     
@@ -92,15 +375,54 @@ export function setupMemoryManager({ memoryLimit = 100, pageSize = 1, eventBus }
    * Process image chunks with adjustments and filters
    * @param {ImageData} originalImage - Original image data
    * @param {Object} adjustments - Image adjustments
-   * @param {string} filter - Filter to apply
-   * @param {number} rotation - Rotation angle in degrees
+   * @param {string|Object} filter - Filter ID, or { id, params }
+   * @param {number|Object} orientation - Rotation in degrees (0, 90, 180, 270), or { rotation, flipH, flipV }
+   * @param {string} [documentId] - Document to render (defaults to the active document)
+   * @param {Function} [onChunk] - (processedChunkData) => void, called with every processed tile (e.g. to count a histogram)
+   * @returns {Promise<ImageData>} - Processed image data
+   */
+  async function processImageChunks(originalImage, adjustments, filter, orientation, documentId = activeDocumentId, onChunk) {
+    if (repaging) await repaging;
+    
+    return trackPass(renderImageChunks(originalImage, adjustments, filter, orientation, documentId, onChunk));
+  }
+  
+  /**
+   * Keep track of a pass until it settles, so re-paging can wait for it
+   * @param {Promise} pass - Running pass
+   * @returns {Promise} - The pass's result
+   */
+  async function trackPass(pass) {
+    passesInFlight.add(pass);
+    try {
+      return await pass;
+    } finally {
+      passesInFlight.delete(pass);
+    }
+  }
+  
+  /**
+   * Render a document page by page, as processImageChunks describes
+   * @param {ImageData} originalImage - Original image data
+   * @param {Object} adjustments - Image adjustments
+   * @param {string|Object} filter - Filter ID, or { id, params }
+   * @param {number|Object} orientation - Rotation in degrees, or { rotation, flipH, flipV }
+   * @param {string} documentId - Document to render
+   * @param {Function} [onChunk] - Called with every processed tile
    * @returns {Promise<ImageData>} - Processed image data
    */
-  async function processImageChunks(originalImage, adjustments, filter, rotation) {
-    if (!originalImage || !processChunkFn) return originalImage;
+  async function renderImageChunks(originalImage, adjustments, filter, orientation, documentId, onChunk) {
+    if (!originalImage || !processChunkFn || !documents.has(documentId)) return originalImage;
+    
+    const doc = documents.get(documentId);
+    const { pageTable } = doc;
     
     const { width, height } = originalImage;
-    const totalPixels = width * height;
+    
+    // Flips apply to the rotated image
+    const { rotation = 0, flipH = false, flipV = false } = typeof orientation === 'number'
+      ? { rotation: orientation }
+      : orientation;
     
     // Create a new rotated canvas if needed
     let newWidth = width;
@@ -118,32 +440,117 @@ export function setupMemoryManager({ memoryLimit = 100, pageSize = 1, eventBus }
     // Get page IDs for processing
     const pageIds = Array.from(pageTable.keys());
     
-    // Process each page
-    for (const pageId of pageIds) {
-      // Check if the page is in memory, if not, swap it in
-      if (!pageTable.has(pageId) || pageTable.get(pageId).status === 'inactive') {
-        await swapInPage(pageId);
-        stats.pageFaults++;
-      } else {
-        stats.pageHits++;
+    const renderStart = performance.now();
+    const referencesBefore = stats.pageHits + stats.pageFaults;
+    const faultsBefore = stats.pageFaults;
+    let faultWaitTime = 0;
+    prefetcher.reset();
+    
+    // Rotation and flips are applied when tiles are placed, so cached tiles serve every orientation
+    const pipelineHash = hashParameters({ adjustments, filter });
+    
+    // Neighborhood filters read this many pixels of the adjacent tiles
+    const halo = getHaloFn(filter);
+    
+    // Chunks handed to the processor, placed in page order as they complete
+    // Array of { pageId, page, version, result }
+    const inFlight = [];
+    
+    /**
+     * Wait for the oldest chunk in flight and place it in the output
+     */
+    async function placeOldestChunk() {
+      const { pageId, page, version, result } = inFlight.shift();
+      const processedChunkData = await result;
+      
+      if (chunkCache.enabled && version !== null) {
+        chunkCache.set(chunkCache.keyFor(pageId, version, pipelineHash), pageId, processedChunkData);
       }
       
-      const page = pageTable.get(pageId);
-      if (!page || !page.data) continue;
+      // Apply the chunk to the output buffer
+      applyChunkToOutput(processedChunkData, outputData, page, width, height, { rotation, flipH, flipV });
       
-      // Update last accessed time
-      page.lastAccessed = Date.now();
+      if (onChunk) {
+        onChunk(processedChunkData);
+      }
+    }
+    
+    // Process each page
+    for (const pageId of pageIds) {
+      const page = pageTable.get(pageId);
+      if (!page) continue;
       
-      // Process the chunk
-      const processedChunkData = processChunkFn(page.data, adjustments, filter);
+      // A cached result needs neither the source page nor the kernel
+      const cacheKey = chunkCache.keyFor(pageId, getResultVersion(doc, page, halo), pipelineHash);
+      const cachedChunkData = chunkCache.enabled ? chunkCache.get(cacheKey) : null;
+      if (cachedChunkData) {
+        inFlight.push({ pageId, page, version: null, result: cachedChunkData });
+      } else {
+        // Start reading ahead before we block on this page
+        schedulePrefetch(pageId, pipelineHash, halo);
+        
+        // Never skip a tile: it would come out blank
+        const waitStart = performance.now();
+        const residentPage = await requirePage(pageId);
+        
+        const version = getResultVersion(doc, residentPage, halo);
+        const chunkData = halo > 0
+          ? await readNeighborhood(doc, residentPage, halo)
+          : residentPage.data;
+        faultWaitTime += performance.now() - waitStart;
+        
+        // Process the chunk; the processor may return a promise and keep
+        // working while we fault in the next page
+        const region = {
+          width: residentPage.w + 2 * halo,
+          height: residentPage.h + 2 * halo,
+          halo
+        };
+        const result = processChunkFn(chunkData, adjustments, filter, region);
+        
+        // A failure surfaces when the chunk is placed; don't let it count as
+        // unhandled while earlier chunks are still being waited on
+        if (result instanceof Promise) {
+          result.catch(() => {});
+        }
+        
+        inFlight.push({ pageId, page: residentPage, version, result });
+      }
       
-      // Apply the chunk to the output buffer
-      applyChunkToOutput(processedChunkData, outputData, page, width, height, rotation);
+      if (inFlight.length >= MAX_CHUNKS_IN_FLIGHT) {
+        await placeOldestChunk();
+      }
+    }
+    
+    while (inFlight.length > 0) {
+      await placeOldestChunk();
     }
     
     // Create the output image data
     const outputImageData = new ImageData(outputData, newWidth, newHeight);
     
+    stats.lastRenderTime = performance.now() - renderStart;
+    stats.lastFaultWaitTime = faultWaitTime;
+    
+    const references = stats.pageHits + stats.pageFaults - referencesBefore;
+    if (references > 0) {
+      stats.lastRenderFaultRate = (stats.pageFaults - faultsBefore) / references;
+      
+      // The first render after a response shows whether it helped
+      if (awaitingEffect) {
+        awaitingEffect.faultRateAfter = stats.lastRenderFaultRate;
+        awaitingEffect = null;
+      }
+    }
+    
+    // Respond between renders, never in the middle of one
+    if (thrashingPending) {
+      thrashingPending = false;
+      respondToThrashing().catch(error => {
+        console.error('Error responding to thrashing:', error);
+      });
+    }
+    
     // Update memory stats
     updateMemoryStats();
     
@@ -151,214 +558,1721 @@ export function setupMemoryManager({ memoryLimit = 100, pageSize = 1, eventBus }
   }
   
   /**
-   * Apply a processed chunk to the output buffer with rotation
-   * @param {Uint8ClampedArray} chunkData - Processed chunk data
-   * @param {Uint8ClampedArray} outputData - Output buffer
-   * @param {Object} page - Page object
-   * @param {number} width - Original image width
-   * @param {number} height - Original image height
-   * @param {number} rotation - Rotation angle in degrees
+   * Reference a page, faulting it in if needed
+   * @param {string} pageId - ID of the page
+   * @returns {Promise<Object|null>} - Resident page, or null if it could not be loaded
    */
-  function applyChunkToOutput(chunkData, outputData, page, width, height, rotation) {
-    // No rotation
-    if (rotation === 0) {
-      const startIndex = page.startIndex;
-      for (let i = 0; i < chunkData.length; i++) {
-        outputData[startIndex + i] = chunkData[i];
+  async function accessPage(pageId) {
+    recordTierAccess(getPageTier(pageId));
+    
+    // Translate through the TLB before walking the page table
+    const entry = getPage(pageId);
+    const tlbHit = tlb && entry ? tlb.lookup(pageId, entry.index) : false;
+    
+    // Check if the page is in memory, if not, swap it in
+    let hit = isResident(pageId);
+    if (!hit && entry) {
+      // Until the reference below is recorded, the policy may not know the page
+      // (LFU, OPT), so a concurrent swap-in could pick it as the victim
+      entry.accessCount++;
+      try {
+        // Prefer joining a prefetch already in flight over a second read
+        if (prefetchesInFlight.has(pageId)) {
+          await prefetchesInFlight.get(pageId);
+        }
+        if (!isResident(pageId)) {
+          await swapInPage(pageId);
+        }
+      } finally {
+        entry.accessCount--;
       }
-      return;
     }
     
-    // Calculate the rotated coordinates for each pixel in the chunk
-    const pixelsPerRow = width;
-    const startPixel = page.startPixel;
-    const chunkLength = chunkData.length / 4;
-    
-    for (let i = 0; i < chunkLength; i++) {
-      const pixelIndex = startPixel + i;
-      const x = pixelIndex % pixelsPerRow;
-      const y = Math.floor(pixelIndex / pixelsPerRow);
-      
-      let newX, newY;
-      
-      // Apply rotation
-      switch (rotation) {
-        case 90:
-          newX = height - 1 - y;
-          newY = x;
-          break;
-        case 180:
-          newX = width - 1 - x;
-          newY = height - 1 - y;
-          break;
-        case 270:
-          newX = y;
-          newY = width - 1 - x;
-          break;
-        default:
-          newX = x;
-          newY = y;
-      }
-      
-      // Calculate the new index in the output buffer
-      let newPixelIndex;
-      if (rotation === 90 || rotation === 270) {
-        newPixelIndex = newY * height + newX;
-      } else {
-        newPixelIndex = newY * width + newX;
-      }
-      
-      const newIndex = newPixelIndex * 4;
-      const srcIndex = i * 4;
+    const page = getPage(pageId);
+    if (!page || !page.data) return null;
+    
+    // The prefetcher took this fault for us
+    if (page.prefetched) {
+      page.prefetched = false;
+      stats.prefetchHits++;
+      hit = true;
+    }
+    
+    recordReference(pageId, hit);
+    cacheTier.touch(pageId, page.data.byteLength);
+    if (tlb && !tlbHit) {
+      tlb.insert(pageId, page.index);
+    }
+    
+    // Update last accessed time
+    page.lastAccessed = Date.now();
+    
+    return page;
+  }
+  
+  /**
+   * Reference a page that must be loaded, faulting it in again if it was lost
+   * before it could be used
+   * @param {string} pageId - ID of the page
+   * @returns {Promise<Object>} - Resident page
+   */
+  async function requirePage(pageId) {
+    for (let attempt = 0; attempt <= MAX_FAULT_RETRIES; attempt++) {
+      const page = await accessPage(pageId);
+      if (page) return page;
       
-      // Copy the pixel data
-      outputData[newIndex] = chunkData[srcIndex];
-      outputData[newIndex + 1] = chunkData[srcIndex + 1];
-      outputData[newIndex + 2] = chunkData[srcIndex + 2];
-      outputData[newIndex + 3] = chunkData[srcIndex + 3];
+      // A page that left the page table (document closed or re-paged) won't come back
+      const entry = getPage(pageId);
+      if (!entry || entry.discarded) break;
     }
+    
+    throw new Error(`Page ${pageId} could not be loaded`);
   }
   
   /**
-   * Swap out the least recently used page
+   * Find the tier currently holding a page
+   * @param {string} pageId - ID of the page
+   * @returns {string} - Tier ID
    */
-  function swapOutLRUPage() {
-    // Find the least recently used active page
-    let oldestTime = Infinity;
-    let lruPageId = null;
+  function getPageTier(pageId) {
+    if (cacheTier.has(pageId)) return 'cache';
     
-    for (const [pageId, page] of pageTable.entries()) {
-      if (page.status === 'active' && page.lastAccessed < oldestTime) {
-        oldestTime = page.lastAccessed;
-        lruPageId = pageId;
+    const page = getPage(pageId);
+    if (page && page.status === 'active') return 'ram';
+    if (page && page.status === 'compressed') return 'compressed';
+    return 'disk';
+  }
+  
+  /**
+   * Check whether a tier takes part in the hierarchy
+   * @param {string} tierId - Tier ID
+   * @returns {boolean} - False for a disabled cache or compressed tier
+   */
+  function isTierEnabled(tierId) {
+    if (tierId === 'cache') return cacheTier.isEnabled();
+    if (tierId === 'compressed') return !!codec;
+    return true;
+  }
+  
+  /**
+   * Charge an access to the tier that served it. The access pays the latency
+   * of every enabled tier probed on the way down.
+   * @param {string} tierId - Tier that held the page
+   */
+  function recordTierAccess(tierId) {
+    let cost = 0;
+    for (const { id } of TIERS) {
+      if (isTierEnabled(id)) {
+        cost += tierConfig[id].latency;
       }
+      if (id === tierId) break;
     }
     
-    if (lruPageId) {
-      // Mark the page as inactive but keep its metadata
-      const page = pageTable.get(lruPageId);
-      page.status = 'inactive';
-      page.data = null; // Free memory
-      
-      // Update stats
-      stats.activePages--;
-      stats.inactivePages++;
-      stats.memoryUsage -= pageSize;
-      
-      // Emit page swapped out event
-      eventBus.emit('memory:page:swapped-out', { pageId: lruPageId });
-    }
+    stats.tierAccesses[tierId]++;
+    stats.tierAccessTime[tierId] += cost;
+    stats.accessTime += cost;
   }
   
   /**
-   * Swap in a page
-   * @param {string} pageId - ID of the page to swap in
+   * Check whether a page is resident
+   * @param {string} pageId - ID of the page
+   * @returns {boolean} - True if the page is active
    */
-  async function swapInPage(pageId) {
-    // Check if we need to swap out a page first
-    if (stats.memoryUsage + pageSize > memoryLimit) {
-      swapOutLRUPage();
-    }
+  function isResident(pageId) {
+    const page = getPage(pageId);
+    return !!page && page.status === 'active';
+  }
+  
+  /**
+   * Version a processed tile depends on. With a halo the result also depends on
+   * the neighboring tiles, so their versions are part of it.
+   * @param {Object} doc - Document
+   * @param {Object} page - Page object
+   * @param {number} halo - Pixels read around the tile
+   * @returns {number|string} - Result version
+   */
+  function getResultVersion(doc, page, halo) {
+    if (halo === 0) return page.version;
     
-    // Check if the page exists
-    if (!pageTable.has(pageId)) {
-      console.error(`Page ${pageId} not found in page table`);
-      return;
-    }
+    return getPageIdsForRegion(doc, expandRegion(page, halo))
+      .map(pageId => getPage(pageId).version)
+      .join('.');
+  }
+  
+  /**
+   * Grow a tile's bounds by a halo
+   * @param {Object} page - Page object with x/y/w/h tile bounds
+   * @param {number} halo - Pixels added on every side
+   * @returns {Object} - Region ({ x, y, w, h }), may extend past the image
+   */
+  function expandRegion({ x, y, w, h }, halo) {
+    return { x: x - halo, y: y - halo, w: w + 2 * halo, h: h + 2 * halo };
+  }
+  
+  /**
+   * Assemble a tile padded with a halo read from the neighboring pages.
+   * Pixels past the image edge repeat the nearest edge pixel.
+   * @param {Object} doc - Document
+   * @param {Object} page - Resident page at the center
+   * @param {number} halo - Pixels added on every side
+   * @returns {Promise<Uint8ClampedArray>} - (w + 2 * halo) x (h + 2 * halo) RGBA pixels
+   */
+  async function readNeighborhood(doc, page, halo) {
+    const region = expandRegion(page, halo);
+    const buffer = new Uint8ClampedArray(region.w * region.h * 4);
     
-    const page = pageTable.get(pageId);
+    // Copy every page as soon as it is resident: faulting in the next one may evict it
+    copyTileInto(buffer, region, page, page.data);
     
-    // If the page is already active, just update the timestamp
-    if (page.status === 'active') {
-      page.lastAccessed = Date.now();
-      return;
+    const pageId = `${doc.id}:page_${page.index}`;
+    for (const neighborId of getPageIdsForRegion(doc, region)) {
+      if (neighborId === pageId) continue;
+      
+      const neighbor = await requirePage(neighborId);
+      copyTileInto(buffer, region, neighbor, neighbor.data);
     }
     
-    // Simulate loading the page from disk
-    // In a real system, this would load from storage
-    await simulatePageLoad();
+    // Replicate the image edge into the part of the halo outside the image
+    const rowBytes = region.w * 4;
     
-    // Rebuild the page data (in a real system, this would load from storage)
-    // Here we're just creating a placeholder filled with zeros
-    const chunkSize = (page.endIndex - page.startIndex);
-    page.data = new Uint8ClampedArray(chunkSize);
+    for (let row = 0; row < region.h; row++) {
+      const sourceY = Math.min(Math.max(region.y + row, 0), doc.height - 1) - region.y;
+      if (sourceY !== row) {
+        buffer.copyWithin(row * rowBytes, sourceY * rowBytes, (sourceY + 1) * rowBytes);
+      }
+    }
     
-    // Mark the page as active
-    page.status = 'active';
-    page.lastAccessed = Date.now();
+    for (let column = 0; column < region.w; column++) {
+      const sourceX = Math.min(Math.max(region.x + column, 0), doc.width - 1) - region.x;
+      if (sourceX === column) continue;
+      
+      for (let row = 0; row < region.h; row++) {
+        const offset = row * rowBytes;
+        buffer.copyWithin(offset + column * 4, offset + sourceX * 4, offset + sourceX * 4 + 4);
+      }
+    }
     
-    // Update stats
-    stats.activePages++;
-    stats.inactivePages--;
-    stats.memoryUsage += pageSize;
+    return buffer;
+  }
+  
+  /**
+   * Copy the part of a tile that falls inside a region
+   * @param {Uint8ClampedArray} buffer - Region pixels
+   * @param {Object} region - Region bounds ({ x, y, w, h })
+   * @param {Object} tile - Tile bounds ({ x, y, w, h })
+   * @param {Uint8ClampedArray} data - Tile pixels
+   */
+  function copyTileInto(buffer, region, tile, data) {
+    const left = Math.max(region.x, tile.x);
+    const right = Math.min(region.x + region.w, tile.x + tile.w);
+    const top = Math.max(region.y, tile.y);
+    const bottom = Math.min(region.y + region.h, tile.y + tile.h);
+    if (left >= right || top >= bottom) return;
     
-    // Emit page swapped in event
-    eventBus.emit('memory:page:swapped-in', { pageId });
+    for (let y = top; y < bottom; y++) {
+      const start = ((y - tile.y) * tile.w + (left - tile.x)) * 4;
+      const end = start + (right - left) * 4;
+      buffer.set(data.subarray(start, end), ((y - region.y) * region.w + (left - region.x)) * 4);
+    }
   }
   
   /**
-   * Simulate page loading delay
-   * @returns {Promise} - Resolves when page is "loaded"
+   * Feed an access to the prefetcher and start swap-ins for the pages it predicts
+   * @param {string} pageId - ID of the page being accessed
+   * @param {string} pipelineHash - Hash of the current processing parameters
+   * @param {number} [halo] - Pixels of neighboring tiles the results depend on
    */
-  function simulatePageLoad() {
-    return new Promise(resolve => {
-      // Simulate a short delay for loading from "disk"
-      setTimeout(resolve, 5);
-    });
+  function schedulePrefetch(pageId, pipelineHash, halo = 0) {
+    const page = getPage(pageId);
+    const predicted = prefetcher.observe(page.index);
+    
+    // Leave room for the page being processed, or prefetches evict each other
+    const maxInFlight = Math.max(0, Math.floor(memoryLimit / pageSize) - 2);
+    
+    for (const index of predicted) {
+      if (prefetchesInFlight.size >= maxInFlight) break;
+      
+      const targetId = `${page.documentId}:page_${index}`;
+      const target = getPage(targetId);
+      if (!target || target.status === 'active' || prefetchesInFlight.has(targetId)) continue;
+      
+      // No need to read a page whose processed result is already cached
+      const version = getResultVersion(documents.get(page.documentId), target, halo);
+      if (chunkCache.has(chunkCache.keyFor(targetId, version, pipelineHash))) continue;
+      
+      const prefetch = prefetchPage(targetId)
+        .catch(error => console.error(`Prefetch of ${targetId} failed:`, error))
+        .finally(() => prefetchesInFlight.delete(targetId));
+      prefetchesInFlight.set(targetId, prefetch);
+    }
   }
   
   /**
-   * Clear all pages from memory
+   * Swap in a page ahead of its first reference
+   * @param {string} pageId - ID of the page
    */
-  function clearAllPages() {
-    pageTable.clear();
+  async function prefetchPage(pageId) {
+    stats.prefetches++;
     
-    stats = {
-      activePages: 0,
-      inactivePages: 0,
-      pageHits: 0,
-      pageFaults: 0,
-      memoryUsage: 0
-    };
+    const loaded = await swapInPage(pageId);
+    if (!loaded) return;
     
-    // Emit memory stats update
+    // Resident but not referenced yet
+    getPage(pageId).prefetched = true;
+    policy.insert(pageId);
+  }
+  
+  /**
+   * Change the read-ahead window at runtime
+   * @param {number} pages - Number of pages to read ahead (0 disables)
+   */
+  function setPrefetchWindow(pages) {
+    prefetcher.setWindow(pages);
     updateMemoryStats();
   }
   
   /**
-   * Get memory statistics
-   * @returns {Object} - Memory statistics
+   * Read pixels out of the paged image, faulting in the pages the region covers
+   * @param {Object} region - Rectangle in image coordinates ({ x, y, w, h }), inside the image
+   * @param {string} [documentId] - Source document (defaults to the active document)
+   * @returns {Promise<Uint8ClampedArray>} - RGBA pixels for the region, row-major
    */
-  function getMemoryStats() {
-    return { ...stats };
+  async function readPixels(region, documentId) {
+    if (repaging) await repaging;
+    
+    const doc = resolveDocument(documentId);
+    const { x, y, w, h } = region;
+    
+    if (x < 0 || y < 0 || x + w > doc.width || y + h > doc.height) {
+      throw new Error(`readPixels region ${w}x${h} at ${x},${y} is outside the ${doc.width}x${doc.height} image`);
+    }
+    
+    const buffer = new Uint8ClampedArray(w * h * 4);
+    
+    // Copy every page as soon as it is resident: faulting in the next one may evict it
+    for (const pageId of getPageIdsForRegion(doc, region)) {
+      const page = await requirePage(pageId);
+      copyTileInto(buffer, region, page, page.data);
+    }
+    
+    updateMemoryStats();
+    return buffer;
   }
   
   /**
-   * Get page table as an array
-   * @returns {Array} - Array of page objects
+   * Write pixels into the paged image, marking every page touched as dirty
+   * @param {Object} region - Target rectangle in image coordinates
+   * @param {number} region.x - Left edge
+   * @param {number} region.y - Top edge
+   * @param {number} region.w - Width
+   * @param {number} region.h - Height
+   * @param {Uint8ClampedArray} data - RGBA pixels for the region, row-major
+   * @param {string} [documentId] - Target document (defaults to the active document)
    */
-  function getPageTableArray() {
-    return Array.from(pageTable.entries()).map(([pageId, page]) => ({
-      pageId,
-      status: page.status,
-      lastAccessed: page.lastAccessed
-    }));
+  async function writePixels(region, data, documentId) {
+    const { x, y, w, h } = region;
+    
+    if (repaging) await repaging;
+    
+    const doc = resolveDocument(documentId);
+    
+    if (data.length !== w * h * 4) {
+      throw new Error(`writePixels expected ${w * h * 4} bytes for a ${w}x${h} region, got ${data.length}`);
+    }
+    
+    for (const pageId of getPageIdsForRegion(doc, region)) {
+      const page = await accessPage(pageId);
+      if (!page) continue;
+      
+      // Intersection of the region with this tile
+      const left = Math.max(x, page.x);
+      const top = Math.max(y, page.y);
+      const right = Math.min(x + w, page.x + page.w);
+      const bottom = Math.min(y + h, page.y + page.h);
+      const rowBytes = (right - left) * 4;
+      
+      for (let row = top; row < bottom; row++) {
+        const srcStart = ((row - y) * w + (left - x)) * 4;
+        const destStart = ((row - page.y) * page.w + (left - page.x)) * 4;
+        page.data.set(data.subarray(srcStart, srcStart + rowBytes), destStart);
+      }
+      
+      page.dirty = true;
+      page.version++;
+      chunkCache.invalidatePage(pageId);
+    }
+    
+    updateMemoryStats();
   }
   
   /**
-   * Update memory stats
+   * Look up pages by ID, failing on any that don't exist
+   * @param {string[]} pageIds - Page IDs
+   * @returns {Object[]} - Page objects, in the same order
    */
-  function updateMemoryStats() {
-    eventBus.emit('memory:stats:updated', getMemoryStats());
+  function getPagesOrThrow(pageIds) {
+    return pageIds.map(pageId => {
+      const page = getPage(pageId);
+      if (!page) {
+        throw new Error(`Page ${pageId} not found in page table`);
+      }
+      return page;
+    });
   }
   
-  // Return the memory manager API
-  return {
+  /**
+   * Bytes held by pinned pages
+   * @returns {number} - Pinned bytes
+   */
+  function getPinnedBytes() {
+    let bytes = 0;
+    for (const [, page] of allPageEntries()) {
+      if (page.pinCount > 0) {
+        bytes += page.w * page.h * 4;
+      }
+    }
+    return bytes;
+  }
+  
+  /**
+   * Pin pages in memory: they are faulted in now and never evicted until unpinned.
+   * Pins nest, so every pinPages call needs a matching unpinPages.
+   * @param {string[]} pageIds - Page IDs
+   */
+  async function pinPages(pageIds) {
+    if (repaging) await repaging;
+    
+    const pages = getPagesOrThrow(pageIds);
+    
+    // Only pages not pinned yet take extra frames
+    const newlyPinned = new Set(pages.filter(page => page.pinCount === 0));
+    let requestedBytes = 0;
+    for (const page of newlyPinned) {
+      requestedBytes += page.w * page.h * 4;
+    }
+    
+    const pinnedBytes = getPinnedBytes();
+    const limitBytes = memoryLimit * BYTES_PER_MB;
+    if (pinnedBytes + requestedBytes > limitBytes) {
+      throw new Error(
+        `Cannot pin ${newlyPinned.size} pages (${(requestedBytes / BYTES_PER_MB).toFixed(2)} MB): ` +
+        `${((limitBytes - pinnedBytes) / BYTES_PER_MB).toFixed(2)} MB of the ${memoryLimit} MB limit is not pinned`
+      );
+    }
+    
+    // Pin first so faulting in one page can't evict another being pinned
+    pages.forEach(page => page.pinCount++);
+    
+    for (const pageId of pageIds) {
+      if (!isResident(pageId)) {
+        if (prefetchesInFlight.has(pageId)) {
+          await prefetchesInFlight.get(pageId);
+        }
+        if (!isResident(pageId)) {
+          await swapInPage(pageId);
+        }
+      }
+    }
+    
+    eventBus.emit('memory:pages:pinned', { pageIds });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Release one pin on each page
+   * @param {string[]} pageIds - Page IDs
+   */
+  function unpinPages(pageIds) {
+    getPagesOrThrow(pageIds).forEach(page => {
+      page.pinCount = Math.max(0, page.pinCount - 1);
+    });
+    
+    eventBus.emit('memory:pages:unpinned', { pageIds });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Hint how valuable pages are to keep resident
+   * @param {string[]} pageIds - Page IDs
+   * @param {string} priority - 'low', 'normal' or 'high'
+   */
+  function setPagePriority(pageIds, priority) {
+    if (!(priority in PRIORITIES)) {
+      throw new Error(`Unknown page priority: ${priority}`);
+    }
+    
+    getPagesOrThrow(pageIds).forEach(page => {
+      page.priority = priority;
+    });
+    
+    updateMemoryStats();
+  }
+  
+  /**
+   * Find the pages covering a region, e.g. to pin the tiles under a brush stroke
+   * @param {Object} region - Rectangle in image coordinates ({ x, y, w, h })
+   * @param {string} [documentId] - Document (defaults to the active document)
+   * @returns {string[]} - Page IDs in row-major order
+   */
+  function getPageIdsInRegion(region, documentId = activeDocumentId) {
+    const doc = documents.get(documentId);
+    return doc ? getPageIdsForRegion(doc, region) : [];
+  }
+  
+  /**
+   * Find the pages of a document whose tiles intersect a region
+   * @param {Object} doc - Document
+   * @param {Object} region - Rectangle in image coordinates ({ x, y, w, h })
+   * @returns {string[]} - Page IDs in row-major order
+   */
+  function getPageIdsForRegion(doc, { x, y, w, h }) {
+    if (!doc.tileColumns) return [];
+    
+    const firstColumn = Math.max(0, Math.floor(x / tileWidth));
+    const lastColumn = Math.min(doc.tileColumns - 1, Math.floor((x + w - 1) / tileWidth));
+    const firstRow = Math.max(0, Math.floor(y / tileHeight));
+    const lastRow = Math.min(doc.tileRows - 1, Math.floor((y + h - 1) / tileHeight));
+    
+    const pageIds = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        pageIds.push(`${doc.id}:page_${row * doc.tileColumns + column}`);
+      }
+    }
+    
+    return pageIds;
+  }
+  
+  /**
+   * Apply a processed tile to the output buffer with rotation and flips
+   * @param {Uint8ClampedArray} chunkData - Processed tile data
+   * @param {Uint8ClampedArray} outputData - Output buffer
+   * @param {Object} page - Page object with x/y/w/h tile bounds
+   * @param {number} width - Original image width
+   * @param {number} height - Original image height
+   * @param {Object} orientation - { rotation, flipH, flipV }; rotation in degrees, flips after rotating
+   */
+  function applyChunkToOutput(chunkData, outputData, page, width, height, { rotation, flipH, flipV }) {
+    const { x: tileX, y: tileY, w, h } = page;
+    
+    // No rotation or horizontal flip: copy whole tile rows
+    if (rotation === 0 && !flipH) {
+      for (let row = 0; row < h; row++) {
+        const y = flipV ? height - 1 - (tileY + row) : tileY + row;
+        const destStart = (y * width + tileX) * 4;
+        outputData.set(chunkData.subarray(row * w * 4, (row + 1) * w * 4), destStart);
+      }
+      return;
+    }
+    
+    // Size of the output buffer after rotation
+    const outputWidth = rotation === 90 || rotation === 270 ? height : width;
+    const outputHeight = rotation === 90 || rotation === 270 ? width : height;
+    
+    for (let ty = 0; ty < h; ty++) {
+      const y = tileY + ty;
+      
+      for (let tx = 0; tx < w; tx++) {
+        const x = tileX + tx;
+        
+        let newX, newY;
+        
+        // Apply rotation
+        switch (rotation) {
+          case 90:
+            newX = height - 1 - y;
+            newY = x;
+            break;
+          case 180:
+            newX = width - 1 - x;
+            newY = height - 1 - y;
+            break;
+          case 270:
+            newX = y;
+            newY = width - 1 - x;
+            break;
+          default:
+            newX = x;
+            newY = y;
+        }
+        
+        if (flipH) newX = outputWidth - 1 - newX;
+        if (flipV) newY = outputHeight - 1 - newY;
+        
+        const newIndex = (newY * outputWidth + newX) * 4;
+        const srcIndex = (ty * w + tx) * 4;
+        
+        // Copy the pixel data
+        outputData[newIndex] = chunkData[srcIndex];
+        outputData[newIndex + 1] = chunkData[srcIndex + 1];
+        outputData[newIndex + 2] = chunkData[srcIndex + 2];
+        outputData[newIndex + 3] = chunkData[srcIndex + 3];
+      }
+    }
+  }
+  
+  /**
+   * Record a page reference with the policy and the hit/fault counters
+   * @param {string} pageId - ID of the referenced page
+   * @param {boolean} hit - Whether the page was resident
+   */
+  function recordReference(pageId, hit) {
+    const counters = getPolicyCounters(policy.name);
+    
+    if (hit) {
+      stats.pageHits++;
+      counters.hits++;
+    } else {
+      stats.pageFaults++;
+      counters.faults++;
+    }
+    
+    policy.reference(pageId, hit);
+    
+    trace.record('access', pageId);
+    trace.record(hit ? 'hit' : 'fault', pageId);
+    
+    const change = thrashingDetector.record(pageId, !hit);
+    if (change === 'thrashing') {
+      thrashingPending = true;
+    } else if (change === 'recovered') {
+      logThrashing({ faultRate: thrashingDetector.getFaultRate(), response: 'recovered', detail: 'Fault rate back to normal' });
+      eventBus.emit('memory:thrashing:resolved', { faultRate: thrashingDetector.getFaultRate() });
+    }
+    
+    // Keep recording past the limit, dropping the oldest references in batches
+    referenceString.push(pageId);
+    if (referenceString.length >= 2 * MAX_REFERENCE_STRING) {
+      referenceString = referenceString.slice(-MAX_REFERENCE_STRING);
+    }
+  }
+  
+  /**
+   * React to a sustained high fault rate with the configured response
+   */
+  async function respondToThrashing() {
+    const faultRate = thrashingDetector.getFaultRate();
+    
+    // Bytes of the distinct pages referenced in the window
+    let workingSetBytes = 0;
+    for (const pageId of thrashingDetector.getWorkingSet()) {
+      const page = getPage(pageId);
+      if (page) {
+        workingSetBytes += page.w * page.h * 4;
+      }
+    }
+    
+    const entry = logThrashing({
+      faultRate,
+      workingSet: workingSetBytes / BYTES_PER_MB,
+      response: thrashingResponse,
+      detail: 'Logged only'
+    });
+    
+    if (thrashingResponse === 'repage') {
+      // Fewer, larger faults per pass; keep at least four frames
+      const largerPageSize = pageSize * 4;
+      if (largerPageSize <= memoryLimit / 4) {
+        const previousPageSize = pageSize;
+        await setPageSize(largerPageSize);
+        entry.detail = `Re-paged from ${formatPageSize(previousPageSize)} to ${formatPageSize(pageSize)} pages`;
+      } else {
+        entry.detail = `Page size ${formatPageSize(pageSize)} is already the largest that fits four frames`;
+      }
+    } else if (thrashingResponse === 'reduce-preview') {
+      entry.detail = 'Asked the editor for a smaller preview';
+    }
+    
+    eventBus.emit('memory:thrashing', { ...entry });
+    
+    // Measure the next window from scratch
+    thrashingDetector.reset();
+    awaitingEffect = entry;
+    updateMemoryStats();
+  }
+  
+  /**
+   * Append an entry to the thrashing log
+   * @param {Object} details - Entry fields (faultRate, response, detail, ...)
+   * @returns {Object} - The logged entry
+   */
+  function logThrashing(details) {
+    const entry = {
+      time: Date.now(),
+      workingSet: null,
+      memoryLimit,
+      faultRateAfter: null,
+      ...details
+    };
+    
+    thrashingLog = [...thrashingLog, entry].slice(-MAX_THRASHING_LOG);
+    
+    return entry;
+  }
+  
+  /**
+   * Choose how to respond to thrashing
+   * @param {string} response - 'log', 'repage' or 'reduce-preview'
+   */
+  function setThrashingResponse(response) {
+    if (!THRASHING_RESPONSES.includes(response)) {
+      throw new Error(`Unknown thrashing response: ${response}`);
+    }
+    
+    thrashingResponse = response;
+    updateMemoryStats();
+  }
+  
+  /**
+   * Format a page size for the thrashing log
+   * @param {number} size - Page size in MB
+   * @returns {string} - e.g. '256 KB' or '4 MB'
+   */
+  function formatPageSize(size) {
+    return size < 1 ? `${Math.round(size * 1024)} KB` : `${size} MB`;
+  }
+  
+  /**
+   * Get (creating if needed) the hit/fault counters for a policy
+   * @param {string} name - Policy name
+   * @returns {Object} - Counters
+   */
+  function getPolicyCounters(name) {
+    if (!policyStats.has(name)) {
+      policyStats.set(name, { hits: 0, faults: 0 });
+    }
+    return policyStats.get(name);
+  }
+  
+  /**
+   * Swap out the page chosen by the replacement policy, writing it to the backing store
+   * @param {string} [incomingPageId] - Page about to be swapped in, if any
+   * @returns {Promise<boolean>} - False if there was no page to evict
+   */
+  async function swapOutVictimPage(incomingPageId) {
+    // Every document competes for the same frames. Pinned pages never leave;
+    // the policy picks among the lowest-priority pages that may.
+    let candidates = [];
+    let lowestPriority = Infinity;
+    for (const [pageId, page] of allPageEntries()) {
+      if (page.status !== 'active' || page.pinCount > 0 || page.accessCount > 0) continue;
+      
+      const priority = PRIORITIES[page.priority];
+      if (priority < lowestPriority) {
+        lowestPriority = priority;
+        candidates = [];
+      }
+      if (priority === lowestPriority) {
+        candidates.push(pageId);
+      }
+    }
+    
+    const victimId = candidates.length > 0
+      ? policy.selectVictim(candidates, incomingPageId)
+      : null;
+    
+    if (victimId) {
+      policy.remove(victimId);
+      cacheTier.remove(victimId);
+      trace.record('eviction', victimId);
+      
+      // Mark the page as inactive but keep its metadata
+      const page = getPage(victimId);
+      if (tlb) {
+        tlb.invalidate(victimId, page.index);
+      }
+      const data = page.data;
+      page.status = 'inactive';
+      page.data = null; // Free memory
+      
+      // Update stats
+      stats.activePages--;
+      stats.inactivePages++;
+      stats.residentBytes -= data.byteLength;
+      stats.evictions++;
+      
+      // Read ahead for nothing
+      if (page.prefetched) {
+        page.prefetched = false;
+        stats.prefetchWasted++;
+      }
+      
+      // A swap-in of this page must wait until the eviction has landed
+      page.pendingEviction = evictPage(victimId, page, data);
+      await page.pendingEviction;
+      page.pendingEviction = null;
+    }
+    
+    return !!victimId;
+  }
+  
+  /**
+   * Move an evicted page to the compressed tier, or to the backing store
+   * if compression is disabled or doesn't pay off
+   * @param {string} pageId - ID of the page
+   * @param {Object} page - Page object
+   * @param {Uint8ClampedArray} data - Page pixel data
+   */
+  async function evictPage(pageId, page, data) {
+    if (codec && await compressPage(pageId, page, data)) {
+      return;
+    }
+    
+    // Emit page swapped out event
+    eventBus.emit('memory:page:swapped-out', { pageId });
+    
+    await writeBackPage(pageId, page, data);
+  }
+  
+  /**
+   * Write a page back to the backing store if it is dirty; clean pages
+   * already have an identical copy there and are simply dropped
+   * @param {string} pageId - ID of the page
+   * @param {Object} page - Page object
+   * @param {Uint8ClampedArray} data - Page pixel data
+   */
+  async function writeBackPage(pageId, page, data) {
+    // A page of a closed or cleared document has nothing left to keep
+    if (page.discarded) return;
+    
+    if (!page.dirty) {
+      stats.cleanDrops++;
+      return;
+    }
+    
+    await writeToBackingStore(pageId, data);
+    page.dirty = false;
+    stats.writeBacks++;
+  }
+  
+  /**
+   * Try to keep a page in the compressed tier
+   * @param {string} pageId - ID of the page
+   * @param {Object} page - Page object
+   * @param {Uint8ClampedArray} data - Page pixel data
+   * @returns {Promise<boolean>} - True if the page was kept compressed
+   */
+  async function compressPage(pageId, page, data) {
+    const start = performance.now();
+    const compressed = await codec.compress(data);
+    stats.compressions++;
+    stats.compressTime += performance.now() - start;
+    
+    // The document was closed or cleared while we were compressing, and its
+    // page already left the stats; storing the result would resurrect it
+    if (page.discarded) return false;
+    
+    if (data.byteLength / compressed.byteLength < compressionMinRatio ||
+        compressed.byteLength > compressedLimitBytes) {
+      stats.compressionRejects++;
+      return false;
+    }
+    
+    page.compressed = compressed;
+    page.status = 'compressed';
+    compressedTier.set(pageId, true);
+    
+    stats.inactivePages--;
+    stats.compressedPages++;
+    stats.compressedBytes += compressed.byteLength;
+    stats.compressedOriginalBytes += data.byteLength;
+    
+    eventBus.emit('memory:page:compressed', { pageId });
+    
+    // Make room by pushing the oldest compressed pages down to the backing store
+    while (stats.compressedBytes > compressedLimitBytes) {
+      const oldestId = compressedTier.keys().next().value;
+      const oldest = getPage(oldestId);
+      oldest.pendingEviction = demoteCompressedPage(oldestId, oldest);
+      await oldest.pendingEviction;
+      oldest.pendingEviction = null;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Take a page out of the compressed tier and return its pixels
+   * @param {string} pageId - ID of the page
+   * @param {Object} page - Page object
+   * @returns {Promise<Uint8ClampedArray>} - Page pixel data
+   */
+  async function releaseCompressedPage(pageId, page) {
+    const compressed = page.compressed;
+    page.compressed = null;
+    compressedTier.delete(pageId);
+    
+    stats.compressedPages--;
+    stats.compressedBytes -= compressed.byteLength;
+    stats.compressedOriginalBytes -= page.w * page.h * 4;
+    
+    const start = performance.now();
+    const data = await codec.decompress(compressed, page.w * page.h * 4);
+    stats.decompressions++;
+    stats.decompressTime += performance.now() - start;
+    
+    return data;
+  }
+  
+  /**
+   * Move a compressed page down to the backing store
+   * @param {string} pageId - ID of the page
+   * @param {Object} page - Page object
+   */
+  async function demoteCompressedPage(pageId, page) {
+    page.status = 'inactive';
+    stats.inactivePages++;
+    
+    const data = await releaseCompressedPage(pageId, page);
+    
+    eventBus.emit('memory:page:swapped-out', { pageId });
+    
+    await writeBackPage(pageId, page, data);
+  }
+  
+  /**
+   * Swap in a page
+   * @param {string} pageId - ID of the page to swap in
+   * @returns {Promise<boolean>} - True if this call loaded the page
+   */
+  async function swapInPage(pageId) {
+    // Check if the page exists
+    const page = getPage(pageId);
+    if (!page) {
+      console.error(`Page ${pageId} not found in page table`);
+      return false;
+    }
+    
+    // If the page is already active, just update the timestamp
+    if (page.status === 'active') {
+      page.lastAccessed = Date.now();
+      return false;
+    }
+    
+    // Make room, then reserve the frame so concurrent swap-ins can't overcommit
+    const frameBytes = page.w * page.h * 4;
+    while (stats.residentBytes + frameBytes > memoryLimit * BYTES_PER_MB) {
+      const evicted = await swapOutVictimPage(pageId);
+      if (!evicted) break;
+    }
+    stats.residentBytes += frameBytes;
+    
+    // clearAllPages starts new stats; a frame reserved before that is returned to the old ones
+    const reservedIn = stats;
+    
+    // Wait for an in-flight eviction of this page to settle
+    while (page.pendingEviction) {
+      await page.pendingEviction;
+    }
+    
+    // Its document may have been closed or cleared in the meantime
+    if (page.discarded) {
+      reservedIn.residentBytes -= frameBytes;
+      return false;
+    }
+    
+    let data;
+    const wasCompressed = page.status === 'compressed';
+    
+    if (wasCompressed) {
+      // Minor fault: the page is still in RAM, just compressed
+      data = await releaseCompressedPage(pageId, page);
+      stats.compressedHits++;
+      await simulateLatency(tierConfig.compressed.latency);
+    } else {
+      // Load the page from the backing store
+      data = await readFromBackingStore(pageId);
+      if (!data) {
+        console.error(`Page ${pageId} missing from backing store`);
+        data = new Uint8ClampedArray(page.w * page.h * 4);
+      }
+      await simulateLatency(tierConfig.disk.latency);
+    }
+    
+    // Another caller may have faulted the page in while we were reading,
+    // or its document may have been replaced or closed
+    if (page.status === 'active' || page.discarded) {
+      reservedIn.residentBytes -= frameBytes;
+      page.lastAccessed = Date.now();
+      return false;
+    }
+    
+    page.data = data;
+    
+    // A page read from the backing store matches its stored copy
+    if (!wasCompressed) {
+      page.dirty = false;
+    }
+    
+    // Mark the page as active
+    page.status = 'active';
+    page.lastAccessed = Date.now();
+    
+    // Update stats
+    stats.activePages++;
+    if (!wasCompressed) {
+      stats.inactivePages--;
+    }
+    
+    trace.record('swap-in', pageId, wasCompressed ? 'compressed' : 'backing-store');
+    
+    // Emit page swapped in event
+    eventBus.emit('memory:page:swapped-in', { pageId });
+    
+    return true;
+  }
+  
+  /**
+   * Write a page to the backing store and record the I/O cost
+   * @param {string} pageId - ID of the page
+   * @param {Uint8ClampedArray} data - Page pixel data
+   */
+  async function writeToBackingStore(pageId, data) {
+    await backingStoreReady;
+    
+    const start = performance.now();
+    await backingStore.write(pageId, data);
+    
+    stats.swapWrites++;
+    stats.swapBytesWritten += data.byteLength;
+    stats.swapWriteTime += performance.now() - start;
+  }
+  
+  /**
+   * Read a page from the backing store and record the I/O cost
+   * @param {string} pageId - ID of the page
+   * @returns {Promise<Uint8ClampedArray|null>} - Page pixel data or null if missing
+   */
+  async function readFromBackingStore(pageId) {
+    await backingStoreReady;
+    
+    const start = performance.now();
+    const data = await backingStore.read(pageId);
+    
+    stats.swapReads++;
+    stats.swapBytesRead += data ? data.byteLength : 0;
+    stats.swapReadTime += performance.now() - start;
+    
+    return data;
+  }
+  
+  /**
+   * Release a document's pages from every tier and forget them
+   * @param {Object} doc - Document
+   */
+  async function clearDocumentPages(doc) {
+    const pageIds = Array.from(doc.pageTable.keys());
+    
+    for (const [pageId, page] of doc.pageTable.entries()) {
+      // In-flight swap-ins of this page must not resurrect it
+      page.discarded = true;
+      
+      if (page.status === 'active') {
+        policy.remove(pageId);
+        cacheTier.remove(pageId);
+        if (tlb) {
+          tlb.invalidate(pageId, page.index);
+        }
+        stats.activePages--;
+        stats.residentBytes -= page.data.byteLength;
+      } else if (page.status === 'compressed') {
+        compressedTier.delete(pageId);
+        stats.compressedPages--;
+        stats.compressedBytes -= page.compressed.byteLength;
+        stats.compressedOriginalBytes -= page.w * page.h * 4;
+      } else {
+        stats.inactivePages--;
+      }
+      
+      prefetchesInFlight.delete(pageId);
+    }
+    
+    resetDocument(doc);
+    
+    const prefix = `${doc.id}:`;
+    chunkCache.invalidateWhere(pageId => pageId.startsWith(prefix));
+    
+    // The page IDs will name other tiles, so OPT must not plan around them
+    referenceString = referenceString.filter(pageId => !pageId.startsWith(prefix));
+    if (policy.name === 'opt') {
+      setPolicy('opt');
+    }
+    
+    await Promise.all(pageIds.map(pageId => backingStore.remove(pageId)));
+  }
+  
+  /**
+   * Empty a document's page table and forget its image geometry
+   * @param {Object} doc - Document
+   */
+  function resetDocument(doc) {
+    doc.pageTable.clear();
+    doc.width = 0;
+    doc.height = 0;
+    doc.tileColumns = 0;
+    doc.tileRows = 0;
+  }
+  
+  /**
+   * Clear all pages of every document from memory and from the backing store
+   */
+  async function clearAllPages() {
+    for (const doc of documents.values()) {
+      for (const page of doc.pageTable.values()) {
+        page.discarded = true;
+      }
+      resetDocument(doc);
+    }
+    compressedTier.clear();
+    cacheTier.clear();
+    if (tlb) {
+      tlb.reset();
+    }
+    prefetchesInFlight.clear();
+    prefetcher.reset();
+    chunkCache.clear();
+    policy.reset();
+    
+    // The page IDs will name other tiles, so OPT must not plan around them
+    referenceString = [];
+    if (policy.name === 'opt') {
+      policy = resolvePolicy('opt');
+    }
+    trace.clear();
+    thrashingDetector.reset();
+    thrashingPending = false;
+    awaitingEffect = null;
+    
+    stats = createEmptyStats();
+    
+    await backingStore.clear();
+    
+    // Emit memory stats update
+    updateMemoryStats();
+  }
+  
+  /**
+   * Get memory statistics
+   * @returns {Object} - Memory statistics
+   */
+  function getMemoryStats() {
+    const cacheStats = chunkCache.getStats();
+    const activeDoc = documents.get(activeDocumentId);
+    
+    const breakdown = getMemoryBreakdown();
+    const accesses = Object.values(stats.tierAccesses).reduce((total, count) => total + count, 0);
+    
+    return {
+      ...stats,
+      memoryUsage: stats.residentBytes / BYTES_PER_MB,
+      pinnedMemoryUsage: getPinnedBytes() / BYTES_PER_MB,
+      memoryBreakdown: breakdown,
+      totalMemoryUsage: Object.values(breakdown).reduce((total, usage) => total + usage, 0),
+      memoryLimit,
+      pageSize,
+      ...getDocumentMetadata(activeDoc),
+      activeDocument: activeDocumentId,
+      documents: Array.from(documents.values()).map(getResidentSet),
+      resultCacheHits: cacheStats.hits,
+      resultCacheMisses: cacheStats.misses,
+      resultCacheEntries: cacheStats.entries,
+      resultCacheUsage: cacheStats.memoryUsage,
+      resultCacheLimit: cacheStats.limit,
+      policy: policy.name,
+      policyStats: Object.fromEntries(
+        Array.from(policyStats.entries()).map(([name, counters]) => [name, { ...counters }])
+      ),
+      prefetchWindow: prefetcher.getWindow(),
+      compressionCodec: codec ? codec.name : null,
+      compressedMemoryUsage: stats.compressedBytes / (1024 * 1024),
+      compressedMemoryLimit: compressedLimitBytes / (1024 * 1024),
+      compressionRatio: stats.compressedBytes ? stats.compressedOriginalBytes / stats.compressedBytes : 0,
+      avgDecompressLatency: stats.decompressions ? stats.decompressTime / stats.decompressions : 0,
+      avgSwapReadLatency: stats.swapReads ? stats.swapReadTime / stats.swapReads : 0,
+      avgSwapWriteLatency: stats.swapWrites ? stats.swapWriteTime / stats.swapWrites : 0,
+      tierAccesses: { ...stats.tierAccesses },
+      tierAccessTime: { ...stats.tierAccessTime },
+      tiers: getTierStats(),
+      avgAccessTime: accesses > 0 ? stats.accessTime / accesses : 0,
+      tlb: tlb ? tlb.getStats() : null,
+      faultRate: thrashingDetector.getFaultRate(),
+      thrashing: thrashingDetector.isThrashing(),
+      thrashingResponse,
+      thrashingLog: thrashingLog.map(entry => ({ ...entry })),
+      traceRecording: trace.isRecording(),
+      traceEvents: trace.getEvents().length,
+      traceDropped: trace.getDropped()
+    };
+  }
+  
+  /**
+   * Per-tier capacity, occupancy, latency and the accesses each tier served
+   * @returns {Object[]} - One entry per tier, fastest first
+   */
+  function getTierStats() {
+    let diskBytes = 0;
+    for (const [, page] of allPageEntries()) {
+      if (page.status === 'inactive') {
+        diskBytes += page.w * page.h * 4;
+      }
+    }
+    
+    const capacity = {
+      cache: tierConfig.cache.capacity,
+      ram: memoryLimit,
+      compressed: compressedLimitBytes / BYTES_PER_MB,
+      disk: null
+    };
+    const pages = {
+      cache: cacheTier.getPageCount(),
+      ram: stats.activePages,
+      compressed: stats.compressedPages,
+      disk: stats.inactivePages
+    };
+    const usage = {
+      cache: cacheTier.getBytes(),
+      ram: stats.residentBytes,
+      compressed: stats.compressedBytes,
+      disk: diskBytes
+    };
+    
+    return TIERS.map(({ id, label }) => {
+      const accesses = stats.tierAccesses[id];
+      
+      return {
+        id,
+        label,
+        enabled: isTierEnabled(id),
+        capacity: capacity[id],
+        latency: tierConfig[id].latency,
+        pages: pages[id],
+        usage: usage[id] / BYTES_PER_MB,
+        accesses,
+        avgAccessTime: accesses > 0 ? stats.tierAccessTime[id] / accesses : 0
+      };
+    });
+  }
+  
+  /**
+   * Change a tier's simulated latency, or the cache's capacity
+   * @param {string} tierId - Tier ID
+   * @param {Object} settings - Settings to change
+   * @param {number} [settings.latency] - Latency in ms
+   * @param {number} [settings.capacity] - Cache capacity in MB (0 disables the cache)
+   */
+  function setTierConfig(tierId, { latency, capacity } = {}) {
+    const config = tierConfig[tierId];
+    if (!config) {
+      throw new Error(`Unknown tier: ${tierId}`);
+    }
+    
+    if (latency !== undefined) {
+      if (!(latency >= 0)) {
+        throw new Error(`Invalid latency for the ${tierId} tier: ${latency}`);
+      }
+      config.latency = latency;
+    }
+    
+    if (capacity !== undefined) {
+      // Main memory follows the memory limit and the compressed tier is sized at setup
+      if (tierId !== 'cache') {
+        throw new Error(`Only the cache capacity can be changed per tier, not ${tierId}`);
+      }
+      if (!(capacity >= 0)) {
+        throw new Error(`Invalid cache capacity: ${capacity}`);
+      }
+      config.capacity = capacity;
+      cacheTier.setCapacity(capacity);
+    }
+    
+    eventBus.emit('memory:tiers:changed', { tier: tierId, ...config });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Replace the TLB, or remove it. The new TLB starts empty with zeroed counters.
+   * @param {Object|null} config - { entries, associativity, policy }, or null to disable
+   */
+  function setTLB(config) {
+    if (config && !(config.entries >= 1)) {
+      throw new Error(`Invalid TLB size: ${config.entries}`);
+    }
+    
+    tlb = config ? createTLB(config) : null;
+    
+    eventBus.emit('memory:tlb:changed', { tlb: tlb ? tlb.getStats() : null });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Register or update a buffer held outside the page table
+   * @param {string} id - Buffer ID, unique per buffer
+   * @param {string} category - Breakdown category ('source', 'preview', 'history', ...)
+   * @param {number} bytes - Current size in bytes
+   */
+  function registerBuffer(id, category, bytes) {
+    const current = externalBuffers.get(id);
+    if (current && current.category === category && current.bytes === bytes) return;
+    
+    externalBuffers.set(id, { category, bytes });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Stop counting a buffer
+   * @param {string} id - Buffer ID
+   */
+  function unregisterBuffer(id) {
+    if (externalBuffers.delete(id)) {
+      updateMemoryStats();
+    }
+  }
+  
+  /**
+   * Memory held by category: resident pages, caches and every registered buffer
+   * @returns {Object} - Category => MB
+   */
+  function getMemoryBreakdown() {
+    const bytes = {
+      pagedImage: stats.residentBytes,
+      caches: chunkCache.getStats().memoryUsage * BYTES_PER_MB + stats.compressedBytes
+    };
+    
+    for (const { category, bytes: size } of externalBuffers.values()) {
+      bytes[category] = (bytes[category] || 0) + size;
+    }
+    
+    return Object.fromEntries(
+      Object.entries(bytes).map(([category, size]) => [category, size / BYTES_PER_MB])
+    );
+  }
+  
+  /**
+   * Image metadata for a document, in the shape the UI has always read from stats
+   * @param {Object} [doc] - Document
+   * @returns {Object} - Image metadata
+   */
+  function getDocumentMetadata(doc) {
+    if (!doc || !doc.tileColumns) return {};
+    
+    return {
+      totalWidth: doc.width,
+      totalHeight: doc.height,
+      totalPixels: doc.width * doc.height,
+      totalPages: doc.pageTable.size,
+      tileWidth,
+      tileHeight,
+      tileColumns: doc.tileColumns,
+      tileRows: doc.tileRows
+    };
+  }
+  
+  /**
+   * Summarize where a document's pages currently live
+   * @param {Object} doc - Document
+   * @returns {Object} - Resident set summary
+   */
+  function getResidentSet(doc) {
+    const summary = {
+      id: doc.id,
+      name: doc.name,
+      totalPages: doc.pageTable.size,
+      activePages: 0,
+      cachedPages: 0,
+      compressedPages: 0,
+      inactivePages: 0,
+      memoryUsage: 0
+    };
+    
+    for (const [pageId, page] of doc.pageTable.entries()) {
+      summary[`${page.status}Pages`]++;
+      if (cacheTier.has(pageId)) {
+        summary.cachedPages++;
+      }
+      if (page.status === 'active') {
+        summary.memoryUsage += page.data.byteLength / BYTES_PER_MB;
+      }
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Build a policy object from an ID or pass a custom policy through
+   * @param {string|Object} policyOrName - Policy ID or policy object
+   * @returns {Object} - Replacement policy
+   */
+  function resolvePolicy(policyOrName) {
+    if (typeof policyOrName !== 'string') return policyOrName;
+    
+    return createPolicy(policyOrName, {
+      capacity: Math.floor(memoryLimit / pageSize),
+      trace: referenceString.slice(-MAX_REFERENCE_STRING)
+    });
+  }
+  
+  /**
+   * Switch the replacement policy at runtime
+   * @param {string|Object} policyOrName - Policy ID or policy object
+   */
+  function setPolicy(policyOrName) {
+    const nextPolicy = resolvePolicy(policyOrName);
+    
+    // Seed the new policy with the resident set, oldest access first
+    const residentIds = Array.from(allPageEntries())
+      .filter(([, page]) => page.status === 'active')
+      .sort(([, a], [, b]) => a.lastAccessed - b.lastAccessed)
+      .map(([pageId]) => pageId);
+    residentIds.forEach(pageId => nextPolicy.insert(pageId));
+    
+    policy = nextPolicy;
+    
+    eventBus.emit('memory:policy:changed', { policy: policy.name });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Change the memory limit, evicting pages until the resident set fits
+   * @param {number} limit - Memory limit in MB
+   */
+  async function setMemoryLimit(limit) {
+    if (!(limit > 0)) {
+      throw new Error(`Invalid memory limit: ${limit}`);
+    }
+    
+    if (repaging) await repaging;
+    
+    const pinnedBytes = getPinnedBytes();
+    if (pinnedBytes > limit * BYTES_PER_MB) {
+      throw new Error(
+        `Cannot lower the memory limit to ${limit} MB: ${(pinnedBytes / BYTES_PER_MB).toFixed(2)} MB is pinned`
+      );
+    }
+    
+    memoryLimit = limit;
+    
+    while (stats.residentBytes > memoryLimit * BYTES_PER_MB && await swapOutVictimPage()) {
+      // Keep evicting
+    }
+    
+    // Capacity-aware policies (ARC) are sized from the limit
+    rebuildPolicy();
+    
+    eventBus.emit('memory:config:changed', { memoryLimit, pageSize });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Change the page size and re-page every open document at the new tile size.
+   * Pixels are gathered from whichever tier holds them, so written pixels survive.
+   * @param {number} size - Page size in MB (tiles are squares of this many RGBA bytes)
+   */
+  async function setPageSize(size) {
+    if (!(size > 0)) {
+      throw new Error(`Invalid page size: ${size}`);
+    }
+    
+    if (repaging) await repaging;
+    
+    repaging = repageDocuments(size);
+    try {
+      await repaging;
+    } finally {
+      repaging = null;
+    }
+    
+    eventBus.emit('memory:config:changed', { memoryLimit, pageSize });
+    eventBus.emit('memory:repaged', { pageSize, tileWidth, tileHeight });
+    updateMemoryStats();
+  }
+  
+  /**
+   * Re-tile every document at a new page size
+   * @param {number} size - Page size in MB
+   */
+  async function repageDocuments(size) {
+    // Passes already walking the old pages finish first; new ones wait for us
+    await Promise.allSettled(passesInFlight);
+    await Promise.all(prefetchesInFlight.values());
+    
+    // Reassemble each image at the old geometry before any page is released
+    const images = [];
+    for (const doc of documents.values()) {
+      if (doc.tileColumns) {
+        images.push([doc, await assembleDocumentImage(doc)]);
+      }
+    }
+    
+    // Release pages while the old page size still describes them
+    for (const [doc] of images) {
+      await clearDocumentPages(doc);
+    }
+    
+    const side = Math.max(1, Math.floor(Math.sqrt((size * 1024 * 1024) / 4)));
+    tileWidth = side;
+    tileHeight = side;
+    pageSize = (tileWidth * tileHeight * 4) / (1024 * 1024);
+    
+    // Page IDs now name different tiles, so pins and priority hints lapse too
+    prefetcher.reset();
+    referenceString = [];
+    thrashingDetector.reset();
+    rebuildPolicy();
+    
+    for (const [doc, imageData] of images) {
+      await pageImage(doc, imageData);
+    }
+  }
+  
+  /**
+   * Copy a document's pixels out of its pages, wherever they currently live
+   * @param {Object} doc - Document
+   * @returns {Promise<ImageData>} - The document's image
+   */
+  async function assembleDocumentImage(doc) {
+    const output = new Uint8ClampedArray(doc.width * doc.height * 4);
+    
+    for (const [pageId, page] of doc.pageTable.entries()) {
+      if (page.pendingEviction) {
+        await page.pendingEviction;
+      }
+      
+      let data;
+      if (page.status === 'active') {
+        data = page.data;
+      } else if (page.status === 'compressed') {
+        data = await codec.decompress(page.compressed, page.w * page.h * 4);
+      } else {
+        data = await backingStore.read(pageId);
+      }
+      
+      if (!data) {
+        throw new Error(`Page ${pageId} has no data to re-page`);
+      }
+      
+      for (let row = 0; row < page.h; row++) {
+        const dstStart = ((page.y + row) * doc.width + page.x) * 4;
+        output.set(data.subarray(row * page.w * 4, (row + 1) * page.w * 4), dstStart);
+      }
+    }
+    
+    return new ImageData(output, doc.width, doc.height);
+  }
+  
+  /**
+   * Recreate a built-in policy so it picks up the current capacity
+   */
+  function rebuildPolicy() {
+    if (listPolicies().some(({ id }) => id === policy.name)) {
+      setPolicy(policy.name);
+    }
+  }
+  
+  /**
+   * Get the recorded trace with the configuration it was recorded under
+   * @returns {Object} - Trace
+   */
+  function getTrace() {
+    return {
+      pageSize,
+      tileWidth,
+      tileHeight,
+      memoryLimit,
+      policy: policy.name,
+      dropped: trace.getDropped(),
+      events: trace.getEvents().slice()
+    };
+  }
+  
+  /**
+   * Serialize the recorded trace
+   * @param {string} [format] - 'json' or 'csv'
+   * @returns {string} - Serialized trace
+   */
+  function exportRecordedTrace(format = 'json') {
+    return exportTrace(getTrace(), format);
+  }
+  
+  /**
+   * Turn trace recording on or off
+   * @param {boolean} enabled - Whether to record
+   */
+  function setTraceRecording(enabled) {
+    trace.setRecording(enabled);
+    updateMemoryStats();
+  }
+  
+  /**
+   * Forget the recorded trace
+   */
+  function clearTrace() {
+    trace.clear();
+    updateMemoryStats();
+  }
+  
+  /**
+   * Accept a trace object or its serialized form, defaulting to the recorded trace
+   * @param {Object|string} [source] - Trace or exported trace text
+   * @returns {Object} - Trace
+   */
+  function resolveTrace(source) {
+    if (!source) return getTrace();
+    return typeof source === 'string' ? parseTrace(source) : source;
+  }
+  
+  /**
+   * Replay a trace offline; needs no image to be loaded
+   * @param {Object|string} [source] - Trace or exported trace text (defaults to the recorded trace)
+   * @param {Object} [options] - Replay options
+   * @param {string} [options.policy] - Policy ID (defaults to the active policy)
+   * @param {number} [options.memoryLimit] - Memory size in MB (defaults to the current limit)
+   * @returns {Object} - { policy, capacity, memoryLimit, hits, faults, evictions, hitRatio }
+   */
+  function replayRecordedTrace(source, { policy: policyName = policy.name, memoryLimit: limit = memoryLimit } = {}) {
+    const replayed = resolveTrace(source);
+    const tracePageSize = replayed.pageSize || pageSize;
+    const result = replayTrace(replayed, { policy: policyName, capacity: Math.floor(limit / tracePageSize) });
+    
+    return { ...result, memoryLimit: result.capacity * tracePageSize };
+  }
+  
+  /**
+   * Replay a trace at a range of memory sizes
+   * @param {Object|string} [source] - Trace or exported trace text (defaults to the recorded trace)
+   * @param {Object} [options] - Replay options
+   * @param {string} [options.policy] - Policy ID (defaults to the active policy)
+   * @param {number[]} [options.memoryLimits] - Memory sizes in MB (defaults to one page up to the trace's footprint)
+   * @returns {Object[]} - Replay results, one per memory size
+   */
+  function getTraceHitRatioCurve(source, { policy: policyName = policy.name, memoryLimits } = {}) {
+    const replayed = resolveTrace(source);
+    const tracePageSize = replayed.pageSize || pageSize;
+    
+    let capacities;
+    if (memoryLimits) {
+      capacities = memoryLimits.map(limit => Math.floor(limit / tracePageSize));
+    } else {
+      // Past the number of distinct pages every policy stops faulting after warm-up
+      const footprint = new Set(replayed.events.map(event => event.pageId)).size;
+      const step = Math.max(1, Math.ceil(footprint / CURVE_POINTS));
+      capacities = [];
+      for (let frames = 1; frames <= footprint; frames += step) {
+        capacities.push(frames);
+      }
+      if (capacities[capacities.length - 1] !== footprint && footprint > 0) {
+        capacities.push(footprint);
+      }
+    }
+    
+    return getHitRatioCurve(replayed, { policy: policyName, capacities })
+      .map(result => ({ ...result, memoryLimit: result.capacity * tracePageSize }));
+  }
+  
+  /**
+   * Get page table as an array
+   * @returns {Array} - Array of page objects
+   */
+  function getPageTableArray() {
+    return Array.from(allPageEntries()).map(([pageId, page]) => ({
+      pageId,
+      documentId: page.documentId,
+      status: page.status,
+      tier: getPageTier(pageId),
+      dirty: page.dirty,
+      pinned: page.pinCount > 0,
+      priority: page.priority,
+      lastAccessed: page.lastAccessed,
+      compressedSize: page.compressed ? page.compressed.byteLength : null,
+      x: page.x,
+      y: page.y,
+      w: page.w,
+      h: page.h
+    }));
+  }
+  
+  /**
+   * Update memory stats
+   */
+  function updateMemoryStats() {
+    eventBus.emit('memory:stats:updated', getMemoryStats());
+  }
+  
+  // Return the memory manager API
+  return {
+    createDocument,
+    closeDocument,
+    setActiveDocument,
+    getActiveDocument: () => activeDocumentId,
     storeImage,
+    readPixels,
+    writePixels,
     processImageChunks,
     registerChunkProcessor,
     getMemoryStats,
     getPageTableArray,
-    clearAllPages
+    clearAllPages,
+    setPolicy,
+    getPolicyName: () => policy.name,
+    setPrefetchWindow,
+    setMemoryLimit,
+    setPageSize,
+    registerBuffer,
+    unregisterBuffer,
+    setThrashingResponse,
+    setTierConfig,
+    setTLB,
+    getTLBPolicies: listTLBPolicies,
+    pinPages,
+    unpinPages,
+    setPagePriority,
+    getPageIdsInRegion,
+    getAvailablePolicies: listPolicies,
+    getTrace,
+    exportTrace: exportRecordedTrace,
+    setTraceRecording,
+    clearTrace,
+    replayTrace: replayRecordedTrace,
+    getHitRatioCurve: getTraceHitRatioCurve
+  };
+}
+
+/**
+ * Create a zeroed statistics object
+ * @returns {Object} - Memory statistics
+ */
+function createEmptyStats() {
+  return {
+    activePages: 0,
+    inactivePages: 0,
+    pageHits: 0,
+    pageFaults: 0,
+    residentBytes: 0,
+    swapReads: 0,
+    swapWrites: 0,
+    swapBytesRead: 0,
+    swapBytesWritten: 0,
+    swapReadTime: 0,
+    swapWriteTime: 0,
+    evictions: 0,
+    writeBacks: 0,
+    cleanDrops: 0,
+    prefetches: 0,
+    prefetchHits: 0,
+    prefetchWasted: 0,
+    lastRenderTime: 0,
+    lastFaultWaitTime: 0,
+    compressedPages: 0,
+    compressedBytes: 0,
+    compressedOriginalBytes: 0,
+    compressedHits: 0,
+    compressions: 0,
+    compressionRejects: 0,
+    compressTime: 0,
+    decompressions: 0,
+    decompressTime: 0,
+    lastRenderFaultRate: 0,
+    tierAccesses: { cache: 0, ram: 0, compressed: 0, disk: 0 },
+    tierAccessTime: { cache: 0, ram: 0, compressed: 0, disk: 0 },
+    accessTime: 0
   };
 }
\ No newline at end of file
@@ -0,0 +1,411 @@
+/**
+ * Page replacement policies.
+ *
+ * Every policy implements the same interface:
+ *   name                                 - Policy ID
+ *   insert(pageId)                       - Page became resident without being referenced (initial load)
+ *   reference(pageId, hit)               - Page was referenced; on a miss it has just been loaded
+ *   remove(pageId)                       - Page left memory
+ *   selectVictim(candidates, incomingId) - Pick the resident page to evict from `candidates`
+ *   reset()                              - Forget all state
+ */
+
+/**
+ * Pick the first ID from an ordered iterable that is also a candidate
+ * @param {Iterable<string>} ordered - Page IDs in eviction order
+ * @param {string[]} candidates - Evictable page IDs
+ * @returns {string|null} - Victim page ID
+ */
+function firstCandidate(ordered, candidates) {
+  const candidateSet = new Set(candidates);
+
+  for (const pageId of ordered) {
+    if (candidateSet.has(pageId)) return pageId;
+  }
+
+  return candidates.length > 0 ? candidates[0] : null;
+}
+
+/**
+ * Least recently used: evicts the page whose last reference is oldest
+ * @returns {Object} - Replacement policy
+ */
+export function createLRUPolicy() {
+  // Map iteration order doubles as recency order (first = least recent)
+  const recency = new Map();
+
+  function touch(pageId) {
+    recency.delete(pageId);
+    recency.set(pageId, true);
+  }
+
+  return {
+    name: 'lru',
+    insert: touch,
+    reference: touch,
+    remove(pageId) {
+      recency.delete(pageId);
+    },
+    selectVictim(candidates) {
+      return firstCandidate(recency.keys(), candidates);
+    },
+    reset() {
+      recency.clear();
+    }
+  };
+}
+
+/**
+ * First in, first out: evicts the page that has been resident longest
+ * @returns {Object} - Replacement policy
+ */
+export function createFIFOPolicy() {
+  const queue = new Map();
+
+  function enqueue(pageId) {
+    if (!queue.has(pageId)) {
+      queue.set(pageId, true);
+    }
+  }
+
+  return {
+    name: 'fifo',
+    insert: enqueue,
+    reference: enqueue,
+    remove(pageId) {
+      queue.delete(pageId);
+    },
+    selectVictim(candidates) {
+      return firstCandidate(queue.keys(), candidates);
+    },
+    reset() {
+      queue.clear();
+    }
+  };
+}
+
+/**
+ * Second chance (Clock): FIFO ring where a set reference bit buys a page another lap
+ * @returns {Object} - Replacement policy
+ */
+export function createClockPolicy() {
+  let ring = [];
+  let hand = 0;
+  const referenceBits = new Map();
+
+  function place(pageId) {
+    if (referenceBits.has(pageId)) return;
+
+    // New pages take the slot just behind the hand, like a frame being refilled
+    ring.splice(hand, 0, pageId);
+    hand = (hand + 1) % ring.length;
+    referenceBits.set(pageId, false);
+  }
+
+  return {
+    name: 'clock',
+    insert: place,
+    reference(pageId) {
+      place(pageId);
+      referenceBits.set(pageId, true);
+    },
+    remove(pageId) {
+      const index = ring.indexOf(pageId);
+      if (index === -1) return;
+
+      ring.splice(index, 1);
+      referenceBits.delete(pageId);
+
+      if (index < hand) hand--;
+      if (hand >= ring.length) hand = 0;
+    },
+    selectVictim(candidates) {
+      const candidateSet = new Set(candidates);
+
+      // Two full sweeps are enough: the first clears every reference bit
+      for (let step = 0; step < ring.length * 2; step++) {
+        const pageId = ring[hand];
+
+        if (candidateSet.has(pageId)) {
+          if (!referenceBits.get(pageId)) return pageId;
+          referenceBits.set(pageId, false);
+        }
+
+        hand = (hand + 1) % ring.length;
+      }
+
+      return candidates.length > 0 ? candidates[0] : null;
+    },
+    reset() {
+      ring = [];
+      hand = 0;
+      referenceBits.clear();
+    }
+  };
+}
+
+/**
+ * Least frequently used: evicts the page with the fewest references, oldest first on ties
+ * @returns {Object} - Replacement policy
+ */
+export function createLFUPolicy() {
+  // pageId => { count, lastReference }
+  const entries = new Map();
+  let clock = 0;
+
+  return {
+    name: 'lfu',
+    insert(pageId) {
+      if (!entries.has(pageId)) {
+        entries.set(pageId, { count: 0, lastReference: clock++ });
+      }
+    },
+    reference(pageId) {
+      const entry = entries.get(pageId) || { count: 0, lastReference: 0 };
+      entry.count++;
+      entry.lastReference = clock++;
+      entries.set(pageId, entry);
+    },
+    remove(pageId) {
+      entries.delete(pageId);
+    },
+    selectVictim(candidates) {
+      let victim = null;
+      let best = null;
+
+      for (const pageId of candidates) {
+        const entry = entries.get(pageId) || { count: 0, lastReference: -1 };
+
+        if (
+          !best ||
+          entry.count < best.count ||
+          (entry.count === best.count && entry.lastReference < best.lastReference)
+        ) {
+          victim = pageId;
+          best = entry;
+        }
+      }
+
+      return victim;
+    },
+    reset() {
+      entries.clear();
+      clock = 0;
+    }
+  };
+}
+
+/**
+ * Adaptive replacement cache (Megiddo & Modha). Balances a recency list (T1)
+ * against a frequency list (T2), steering the split with ghost lists B1 and B2.
+ * @param {Object} options - Policy options
+ * @param {number} options.capacity - Number of resident pages
+ * @returns {Object} - Replacement policy
+ */
+export function createARCPolicy({ capacity }) {
+  const c = Math.max(1, capacity);
+
+  // Each list is a Map in LRU order (first = least recent)
+  const t1 = new Map();
+  const t2 = new Map();
+  const b1 = new Map();
+  const b2 = new Map();
+  let p = 0;
+
+  // Page whose ghost hit has already adapted p during victim selection
+  let adaptedFor = null;
+
+  function pushMRU(list, pageId) {
+    list.delete(pageId);
+    list.set(pageId, true);
+  }
+
+  function dropLRU(list) {
+    const first = list.keys().next();
+    if (!first.done) list.delete(first.value);
+  }
+
+  function adapt(pageId) {
+    if (b1.has(pageId)) {
+      p = Math.min(c, p + Math.max(b2.size / b1.size, 1));
+    } else if (b2.has(pageId)) {
+      p = Math.max(0, p - Math.max(b1.size / b2.size, 1));
+    }
+  }
+
+  function trimGhosts() {
+    while (t1.size + b1.size > c && b1.size > 0) dropLRU(b1);
+    while (t1.size + t2.size + b1.size + b2.size > 2 * c && b2.size > 0) dropLRU(b2);
+  }
+
+  return {
+    name: 'arc',
+    insert(pageId) {
+      pushMRU(t1, pageId);
+      trimGhosts();
+    },
+    reference(pageId, hit) {
+      if (hit || t1.has(pageId) || t2.has(pageId)) {
+        t1.delete(pageId);
+        pushMRU(t2, pageId);
+        return;
+      }
+
+      if (adaptedFor !== pageId) {
+        adapt(pageId);
+      }
+      adaptedFor = null;
+
+      if (b1.has(pageId) || b2.has(pageId)) {
+        b1.delete(pageId);
+        b2.delete(pageId);
+        pushMRU(t2, pageId);
+      } else {
+        pushMRU(t1, pageId);
+      }
+
+      trimGhosts();
+    },
+    remove(pageId) {
+      // Evicted pages leave a ghost in the list matching where they lived
+      if (t1.delete(pageId)) {
+        pushMRU(b1, pageId);
+      } else if (t2.delete(pageId)) {
+        pushMRU(b2, pageId);
+      }
+
+      trimGhosts();
+    },
+    selectVictim(candidates, incomingId) {
+      if (incomingId && adaptedFor !== incomingId) {
+        adapt(incomingId);
+        adaptedFor = incomingId;
+      }
+
+      const preferT1 = t1.size > 0 && (t1.size > p || (b2.has(incomingId) && t1.size === p));
+      const ordered = preferT1
+        ? [...t1.keys(), ...t2.keys()]
+        : [...t2.keys(), ...t1.keys()];
+
+      return firstCandidate(ordered, candidates);
+    },
+    reset() {
+      t1.clear();
+      t2.clear();
+      b1.clear();
+      b2.clear();
+      p = 0;
+      adaptedFor = null;
+    }
+  };
+}
+
+/**
+ * Belady's optimal policy: evicts the page whose next reference lies furthest
+ * in the future. It needs the reference string in advance, so it is exact only
+ * when replaying a trace; at runtime it is given the references recorded so far
+ * and is an approximation. When the trace is exhausted it is treated as
+ * repeating, which matches the render loop walking the same pages on every pass.
+ * @param {Object} options - Policy options
+ * @param {string[]} options.trace - Recorded page reference string
+ * @returns {Object} - Replacement policy
+ */
+export function createOPTPolicy({ trace = [] }) {
+  // pageId => sorted positions in the trace
+  const positions = new Map();
+  trace.forEach((pageId, index) => {
+    if (!positions.has(pageId)) positions.set(pageId, []);
+    positions.get(pageId).push(index);
+  });
+
+  let cursor = 0;
+
+  /**
+   * Distance from the cursor to the next reference of a page
+   * @param {string} pageId - Page ID
+   * @returns {number} - Distance, or Infinity if never referenced again
+   */
+  function nextUse(pageId) {
+    const list = positions.get(pageId);
+    if (!list) return Infinity;
+
+    // Binary search for the first position at or after the cursor
+    let low = 0;
+    let high = list.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (list[mid] < cursor) low = mid + 1;
+      else high = mid;
+    }
+
+    return low < list.length
+      ? list[low] - cursor
+      : list[0] + trace.length - cursor;
+  }
+
+  return {
+    name: 'opt',
+    insert() {},
+    reference() {
+      if (trace.length > 0) {
+        cursor = (cursor + 1) % trace.length;
+      }
+    },
+    remove() {},
+    selectVictim(candidates) {
+      let victim = null;
+      let furthest = -1;
+
+      for (const pageId of candidates) {
+        const distance = nextUse(pageId);
+        if (distance > furthest) {
+          victim = pageId;
+          furthest = distance;
+        }
+        if (distance === Infinity) break;
+      }
+
+      return victim;
+    },
+    reset() {
+      cursor = 0;
+    }
+  };
+}
+
+/**
+ * Available policies by ID
+ */
+const POLICIES = {
+  lru: { label: 'LRU', create: createLRUPolicy },
+  fifo: { label: 'FIFO', create: createFIFOPolicy },
+  clock: { label: 'Second Chance (Clock)', create: createClockPolicy },
+  lfu: { label: 'LFU', create: createLFUPolicy },
+  arc: { label: 'ARC', create: createARCPolicy },
+  opt: { label: "Belady's OPT (approximate at runtime)", create: createOPTPolicy }
+};
+
+/**
+ * Create a replacement policy by ID
+ * @param {string} name - Policy ID
+ * @param {Object} [options] - Policy options
+ * @param {number} [options.capacity] - Number of resident pages (ARC)
+ * @param {string[]} [options.trace] - Recorded reference string (OPT)
+ * @returns {Object} - Replacement policy
+ */
+export function createPolicy(name, options = {}) {
+  const entry = POLICIES[name];
+  if (!entry) {
+    throw new Error(`Unknown replacement policy: ${name}`);
+  }
+
+  return entry.create(options);
+}
+
+/**
+ * List the available policies
+ * @returns {Array<{id: string, label: string}>} - Policy descriptors
+ */
+export function listPolicies() {
+  return Object.entries(POLICIES).map(([id, { label }]) => ({ id, label }));
+}
@@ -0,0 +1,57 @@
+/**
+ * Creates a stride-detecting read-ahead predictor. Once two consecutive
+ * accesses share the same non-zero stride, it predicts the next `window`
+ * pages along that stride.
+ * @param {Object} [config] - Configuration object
+ * @param {number} [config.window] - Number of pages to read ahead (0 disables)
+ * @returns {Object} - Prefetcher API
+ */
+export function createPrefetcher({ window = 4 } = {}) {
+  let readAhead = Math.max(0, Math.floor(window));
+  let lastIndex = null;
+  let lastStride = null;
+
+  /**
+   * Record an access and predict the pages that will follow it
+   * @param {number} index - Page index that was accessed
+   * @returns {number[]} - Predicted page indices, nearest first
+   */
+  function observe(index) {
+    const stride = lastIndex === null ? null : index - lastIndex;
+    const predictions = [];
+
+    if (readAhead > 0 && stride !== null && stride !== 0 && stride === lastStride) {
+      for (let k = 1; k <= readAhead; k++) {
+        predictions.push(index + stride * k);
+      }
+    }
+
+    lastIndex = index;
+    lastStride = stride;
+
+    return predictions;
+  }
+
+  /**
+   * Forget the access history
+   */
+  function reset() {
+    lastIndex = null;
+    lastStride = null;
+  }
+
+  /**
+   * Change the read-ahead window
+   * @param {number} pages - Number of pages to read ahead (0 disables)
+   */
+  function setWindow(pages) {
+    readAhead = Math.max(0, Math.floor(pages));
+  }
+
+  return {
+    observe,
+    reset,
+    setWindow,
+    getWindow: () => readAhead
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Creates a sliding-window fault rate monitor. It reports thrashing once the
+ * window is full and the fault rate reaches `threshold`, and recovery once the
+ * rate falls back to `recovery`; the gap between the two stops it flapping.
+ * @param {Object} [config] - Configuration object
+ * @param {number} [config.window] - Number of recent references considered
+ * @param {number} [config.threshold] - Fault rate (0-1) that counts as thrashing
+ * @param {number} [config.recovery] - Fault rate (0-1) that ends thrashing
+ * @returns {Object} - Thrashing detector API
+ */
+export function createThrashingDetector({ window = 256, threshold = 0.75, recovery = 0.25 } = {}) {
+  const size = Math.max(1, Math.floor(window));
+
+  // Ring buffer of the last `size` references
+  let pageIds = new Array(size);
+  let faults = new Uint8Array(size);
+  let next = 0;
+  let count = 0;
+  let faultCount = 0;
+  let thrashing = false;
+
+  /**
+   * Record a reference
+   * @param {string} pageId - Referenced page
+   * @param {boolean} fault - True if the reference faulted
+   * @returns {string|null} - 'thrashing' or 'recovered' when the state changes
+   */
+  function record(pageId, fault) {
+    if (count === size) {
+      faultCount -= faults[next];
+    } else {
+      count++;
+    }
+
+    pageIds[next] = pageId;
+    faults[next] = fault ? 1 : 0;
+    faultCount += faults[next];
+    next = (next + 1) % size;
+
+    const rate = getFaultRate();
+
+    if (!thrashing && count === size && rate >= threshold) {
+      thrashing = true;
+      return 'thrashing';
+    }
+
+    if (thrashing && rate <= recovery) {
+      thrashing = false;
+      return 'recovered';
+    }
+
+    return null;
+  }
+
+  /**
+   * Fault rate over the current window
+   * @returns {number} - Faults per reference (0-1)
+   */
+  function getFaultRate() {
+    return count > 0 ? faultCount / count : 0;
+  }
+
+  /**
+   * Distinct pages referenced in the window
+   * @returns {Set<string>} - Page IDs
+   */
+  function getWorkingSet() {
+    return new Set(count === size ? pageIds : pageIds.slice(0, count));
+  }
+
+  /**
+   * Start a fresh window, e.g. after responding to thrashing
+   */
+  function reset() {
+    pageIds = new Array(size);
+    faults = new Uint8Array(size);
+    next = 0;
+    count = 0;
+    faultCount = 0;
+    thrashing = false;
+  }
+
+  return {
+    record,
+    reset,
+    getFaultRate,
+    getWorkingSet,
+    isThrashing: () => thrashing,
+    getWindow: () => size
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Memory hierarchy: a small fast cache, main memory, compressed memory and disk.
+ *
+ * Main memory is the resident set (capacity: the memory limit), the compressed
+ * tier holds evicted pages compressed in RAM and disk is the backing store. The
+ * cache is inclusive: it tracks the most recently used resident pages, so a
+ * page leaving main memory leaves the cache too.
+ *
+ * Every access is charged the simulated latency of each enabled tier probed on
+ * the way down to the tier holding the page.
+ */
+
+// Tiers from fastest to slowest
+export const TIERS = [
+  { id: 'cache', label: 'Cache' },
+  { id: 'ram', label: 'Main Memory' },
+  { id: 'compressed', label: 'Compressed' },
+  { id: 'disk', label: 'Disk' }
+];
+
+// Simulated latencies in ms; a cache capacity of 0 disables the cache
+const DEFAULT_TIERS = {
+  cache: { capacity: 0, latency: 0.01 },
+  ram: { latency: 0.1 },
+  compressed: { latency: 0.5 },
+  disk: { latency: 0 }
+};
+
+/**
+ * Fill in missing tier settings with defaults
+ * @param {Object} [tiers] - Tier ID => { capacity, latency }
+ * @returns {Object} - Complete tier settings
+ */
+export function resolveTierConfig(tiers = {}) {
+  return Object.fromEntries(
+    TIERS.map(({ id }) => [id, { ...DEFAULT_TIERS[id], ...tiers[id] }])
+  );
+}
+
+/**
+ * Wait out a simulated latency. Timers can't resolve sub-millisecond delays,
+ * so anything shorter is only accounted for, not waited on.
+ * @param {number} latency - Latency in ms
+ * @returns {Promise<void>|null} - Resolves after the delay, or null if there is nothing to wait for
+ */
+export function simulateLatency(latency) {
+  if (!(latency >= 1)) return null;
+  return new Promise(resolve => setTimeout(resolve, latency));
+}
+
+/**
+ * Creates the cache tier, an LRU set of page IDs bounded in bytes
+ * @param {Object} config - Configuration object
+ * @param {number} config.capacity - Capacity in MB (0 disables the cache)
+ * @returns {Object} - Cache tier API
+ */
+export function createCacheTier({ capacity }) {
+  // Map: pageId => bytes, least recently used first
+  const entries = new Map();
+  let capacityBytes = capacity * 1024 * 1024;
+  let bytes = 0;
+
+  /**
+   * Make a page the most recently used cache entry, dropping the least
+   * recently used ones until it fits
+   * @param {string} pageId - Page ID
+   * @param {number} size - Page size in bytes
+   */
+  function touch(pageId, size) {
+    if (entries.has(pageId)) {
+      entries.delete(pageId);
+      entries.set(pageId, size);
+      return;
+    }
+
+    if (size > capacityBytes) return;
+
+    entries.set(pageId, size);
+    bytes += size;
+    shrink();
+  }
+
+  /**
+   * Drop a page from the cache
+   * @param {string} pageId - Page ID
+   */
+  function remove(pageId) {
+    if (!entries.has(pageId)) return;
+
+    bytes -= entries.get(pageId);
+    entries.delete(pageId);
+  }
+
+  /**
+   * Drop least recently used entries until the cache fits its capacity
+   */
+  function shrink() {
+    while (bytes > capacityBytes) {
+      remove(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Change the capacity, dropping entries that no longer fit
+   * @param {number} megabytes - Capacity in MB
+   */
+  function setCapacity(megabytes) {
+    capacityBytes = megabytes * 1024 * 1024;
+    shrink();
+  }
+
+  /**
+   * Empty the cache
+   */
+  function clear() {
+    entries.clear();
+    bytes = 0;
+  }
+
+  return {
+    touch,
+    remove,
+    clear,
+    setCapacity,
+    has: pageId => entries.has(pageId),
+    isEnabled: () => capacityBytes > 0,
+    getPageCount: () => entries.size,
+    getBytes: () => bytes
+  };
+}
@@ -0,0 +1,180 @@
+import { createPolicy, listPolicies } from './policies.js';
+
+/**
+ * Translation lookaside buffer in front of the page tables.
+ *
+ * Entries are split into sets of `associativity` ways; a page can only be
+ * cached in the set picked by its page number (page index modulo the number
+ * of sets). Associativity 1 is direct-mapped, associativity equal to the
+ * entry count is fully associative. Each set runs its own replacement policy.
+ *
+ * Only resident pages have translations, so the memory manager installs an
+ * entry after a page is faulted in and invalidates it when the page is evicted.
+ */
+
+/**
+ * Random replacement, common in hardware TLBs
+ * @returns {Object} - Replacement policy
+ */
+function createRandomPolicy() {
+  return {
+    name: 'random',
+    insert() {},
+    reference() {},
+    remove() {},
+    selectVictim(candidates) {
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    },
+    reset() {}
+  };
+}
+
+/**
+ * Replacement policies a TLB can use. OPT is left out: it needs the whole
+ * reference string up front.
+ * @returns {Array<{id: string, label: string}>} - Policy descriptors
+ */
+export function listTLBPolicies() {
+  return [
+    ...listPolicies().filter(({ id }) => id !== 'opt'),
+    { id: 'random', label: 'Random' }
+  ];
+}
+
+/**
+ * Creates a set-associative TLB
+ * @param {Object} [config] - Configuration object
+ * @param {number} [config.entries] - Total number of entries
+ * @param {number} [config.associativity] - Ways per set (1 = direct-mapped, entries = fully associative)
+ * @param {string} [config.policy] - Replacement policy ID within a set
+ * @returns {Object} - TLB API
+ */
+export function createTLB({ entries = 64, associativity = 4, policy = 'lru' } = {}) {
+  if (!listTLBPolicies().some(({ id }) => id === policy)) {
+    throw new Error(`Unknown TLB replacement policy: ${policy}`);
+  }
+
+  const size = Math.max(1, Math.floor(entries));
+  const ways = Math.min(size, Math.max(1, Math.floor(associativity)));
+  const setCount = Math.floor(size / ways);
+
+  // Each set: { entries: Set<pageId>, policy }
+  const sets = Array.from({ length: setCount }, () => ({
+    entries: new Set(),
+    policy: policy === 'random' ? createRandomPolicy() : createPolicy(policy, { capacity: ways })
+  }));
+
+  let hits = 0;
+  let misses = 0;
+  let flushes = 0;
+
+  /**
+   * Set a page maps to
+   * @param {number} pageNumber - Page index within its address space
+   * @returns {Object} - TLB set
+   */
+  function getSet(pageNumber) {
+    return sets[pageNumber % setCount];
+  }
+
+  /**
+   * Look up a page's translation
+   * @param {string} pageId - Page ID (tag)
+   * @param {number} pageNumber - Page index within its address space
+   * @returns {boolean} - True on a TLB hit
+   */
+  function lookup(pageId, pageNumber) {
+    const set = getSet(pageNumber);
+
+    if (set.entries.has(pageId)) {
+      hits++;
+      set.policy.reference(pageId, true);
+      return true;
+    }
+
+    misses++;
+    return false;
+  }
+
+  /**
+   * Install a translation after a miss, replacing an entry if the set is full
+   * @param {string} pageId - Page ID (tag)
+   * @param {number} pageNumber - Page index within its address space
+   */
+  function insert(pageId, pageNumber) {
+    const set = getSet(pageNumber);
+    if (set.entries.has(pageId)) return;
+
+    if (set.entries.size >= ways) {
+      const victimId = set.policy.selectVictim(Array.from(set.entries), pageId);
+      set.entries.delete(victimId);
+      set.policy.remove(victimId);
+    }
+
+    set.entries.add(pageId);
+    set.policy.reference(pageId, false);
+  }
+
+  /**
+   * Drop a page's translation, e.g. when it is evicted
+   * @param {string} pageId - Page ID (tag)
+   * @param {number} pageNumber - Page index within its address space
+   */
+  function invalidate(pageId, pageNumber) {
+    const set = getSet(pageNumber);
+
+    if (set.entries.delete(pageId)) {
+      set.policy.remove(pageId);
+    }
+  }
+
+  /**
+   * Drop every translation, e.g. when the page tables are rebuilt
+   */
+  function flush() {
+    sets.forEach(set => {
+      set.entries.clear();
+      set.policy.reset();
+    });
+    flushes++;
+  }
+
+  /**
+   * Flush and zero the counters
+   */
+  function reset() {
+    flush();
+    hits = 0;
+    misses = 0;
+    flushes = 0;
+  }
+
+  /**
+   * Get TLB configuration and counters
+   * @returns {Object} - TLB statistics
+   */
+  function getStats() {
+    const lookups = hits + misses;
+
+    return {
+      entries: setCount * ways,
+      associativity: ways,
+      sets: setCount,
+      policy,
+      occupancy: sets.reduce((total, set) => total + set.entries.size, 0),
+      hits,
+      misses,
+      hitRatio: lookups > 0 ? hits / lookups : 0,
+      flushes
+    };
+  }
+
+  return {
+    lookup,
+    insert,
+    invalidate,
+    flush,
+    reset,
+    getStats
+  };
+}
@@ -0,0 +1,208 @@
+import { createPolicy } from './policies.js';
+
+/**
+ * Page access traces: recording, export, import and offline replay.
+ *
+ * A trace event is { time, type, pageId, detail }:
+ *   time   - ms since recording started
+ *   type   - 'access', 'hit', 'fault', 'eviction' or 'swap-in'
+ *   pageId - Page ID
+ *   detail - Optional extra information (e.g. where a swap-in came from)
+ *
+ * Every reference produces an 'access' event followed by its 'hit' or
+ * 'fault'; replay only looks at the 'access' events.
+ */
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ['time', 'type', 'pageId', 'detail'];
+
+/**
+ * Creates a bounded trace buffer
+ * @param {Object} [config] - Configuration object
+ * @param {number} [config.limit] - Maximum number of events kept (0 disables recording)
+ * @returns {Object} - Trace recorder API
+ */
+export function createTraceRecorder({ limit = 100000 } = {}) {
+  let events = [];
+  let dropped = 0;
+  let recording = limit > 0;
+  let startTime = performance.now();
+
+  /**
+   * Append an event to the trace
+   * @param {string} type - Event type
+   * @param {string} pageId - Page ID
+   * @param {string} [detail] - Extra information
+   */
+  function record(type, pageId, detail = '') {
+    if (!recording) return;
+
+    // Keep the beginning of the run; later events are only counted
+    if (events.length >= limit) {
+      dropped++;
+      return;
+    }
+
+    events.push({
+      time: Math.round((performance.now() - startTime) * 1000) / 1000,
+      type,
+      pageId,
+      detail
+    });
+  }
+
+  /**
+   * Forget all events and restart the clock
+   */
+  function clear() {
+    events = [];
+    dropped = 0;
+    startTime = performance.now();
+  }
+
+  /**
+   * Turn recording on or off
+   * @param {boolean} enabled - Whether to record
+   */
+  function setRecording(enabled) {
+    recording = enabled && limit > 0;
+  }
+
+  return {
+    record,
+    clear,
+    setRecording,
+    isRecording: () => recording,
+    getEvents: () => events,
+    getDropped: () => dropped
+  };
+}
+
+/**
+ * Serialize a trace
+ * @param {Object} trace - Trace ({ events } plus optional metadata such as pageSize)
+ * @param {string} [format] - 'json' or 'csv'
+ * @returns {string} - Serialized trace
+ */
+export function exportTrace(trace, format = 'json') {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ format: 'memoryedit-trace', version: 1, ...trace });
+    case 'csv': {
+      const rows = trace.events.map(event => CSV_COLUMNS.map(column => event[column] ?? '').join(','));
+      return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+    default:
+      throw new Error(`Unknown trace format: ${format}`);
+  }
+}
+
+/**
+ * Parse a trace exported as JSON or CSV
+ * @param {string} text - Serialized trace
+ * @returns {Object} - Trace ({ events } plus whatever metadata the file carried)
+ */
+export function parseTrace(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    const trace = JSON.parse(trimmed);
+    if (!Array.isArray(trace.events)) {
+      throw new Error('Trace file has no events');
+    }
+    return trace;
+  }
+
+  const [header, ...lines] = trimmed.split(/\r?\n/);
+  const columns = header.split(',').map(column => column.trim());
+  if (!columns.includes('type') || !columns.includes('pageId')) {
+    throw new Error('Trace CSV needs at least "type" and "pageId" columns');
+  }
+
+  const events = lines
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const values = line.split(',');
+      const event = {};
+      columns.forEach((column, i) => {
+        event[column] = values[i] ?? '';
+      });
+      event.time = parseFloat(event.time) || 0;
+      return event;
+    });
+
+  return { events };
+}
+
+/**
+ * Extract the page reference string from a trace
+ * @param {Object} trace - Trace
+ * @returns {string[]} - Page IDs in access order
+ */
+export function getReferenceString(trace) {
+  return trace.events
+    .filter(event => event.type === 'access')
+    .map(event => event.pageId);
+}
+
+/**
+ * Replay a trace's references against a replacement policy with a fixed number of frames
+ * @param {Object} trace - Trace
+ * @param {Object} options - Replay options
+ * @param {string} options.policy - Policy ID
+ * @param {number} options.capacity - Number of resident pages
+ * @returns {Object} - { policy, capacity, hits, faults, evictions, hitRatio }
+ */
+export function replayTrace(trace, { policy: policyName, capacity }) {
+  const references = getReferenceString(trace);
+  const frames = Math.max(1, Math.floor(capacity));
+  const policy = createPolicy(policyName, { capacity: frames, trace: references });
+  const resident = new Set();
+
+  let hits = 0;
+  let faults = 0;
+  let evictions = 0;
+
+  for (const pageId of references) {
+    if (resident.has(pageId)) {
+      hits++;
+      policy.reference(pageId, true);
+      continue;
+    }
+
+    faults++;
+
+    if (resident.size >= frames) {
+      const victimId = policy.selectVictim(Array.from(resident), pageId);
+      resident.delete(victimId);
+      policy.remove(victimId);
+      evictions++;
+    }
+
+    resident.add(pageId);
+    policy.reference(pageId, false);
+  }
+
+  const total = hits + faults;
+
+  return {
+    policy: policyName,
+    capacity: frames,
+    hits,
+    faults,
+    evictions,
+    hitRatio: total > 0 ? hits / total : 0
+  };
+}
+
+/**
+ * Replay a trace at several memory sizes to get a hit-ratio curve
+ * @param {Object} trace - Trace
+ * @param {Object} options - Replay options
+ * @param {string} options.policy - Policy ID
+ * @param {number[]} options.capacities - Frame counts to try, in pages
+ * @returns {Object[]} - One replay result per capacity
+ */
+export function getHitRatioCurve(trace, { policy, capacities }) {
+  return capacities.map(capacity => replayTrace(trace, { policy, capacity }));
+}
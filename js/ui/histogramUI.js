@@ -0,0 +1,106 @@
+/**
+ * Sets up the histogram panel
+ * @param {Object} config - Configuration object
+ * @param {Object} config.eventBus - Event bus for communication
+ * @returns {Object} - Histogram UI API
+ */
+export function setupHistogramUI({ eventBus }) {
+  const canvasEl = document.getElementById('histogram-canvas');
+  const modeSelect = document.getElementById('histogram-mode');
+  const shadowsEl = document.getElementById('histogram-shadows');
+  const highlightsEl = document.getElementById('histogram-highlights');
+  const ctx = canvasEl.getContext('2d');
+
+  // Channel colors when drawn on top of each other
+  const CHANNEL_COLORS = {
+    r: 'rgba(239, 68, 68, 0.6)',
+    g: 'rgba(16, 185, 129, 0.6)',
+    b: 'rgba(59, 130, 246, 0.6)',
+    luminance: 'rgba(156, 163, 175, 0.8)'
+  };
+
+  // Last update, redrawn when the mode changes
+  let last = null;
+
+  /**
+   * Initialize the histogram UI
+   */
+  function init() {
+    eventBus.on('histogram:updated', update);
+    modeSelect.addEventListener('change', draw);
+    draw();
+  }
+
+  /**
+   * Show a new histogram
+   * @param {Object} data - Histogram update
+   * @param {Object} data.histogram - Per-channel counts
+   * @param {Object} data.clipping - Clipped shares per channel
+   */
+  function update({ histogram, clipping }) {
+    last = { histogram, clipping };
+    draw();
+    updateClipping(clipping);
+  }
+
+  /**
+   * Draw the selected channels
+   */
+  function draw() {
+    const { width, height } = canvasEl;
+    ctx.clearRect(0, 0, width, height);
+    if (!last) return;
+
+    const channels = modeSelect.value === 'rgb' ? ['r', 'g', 'b'] : [modeSelect.value];
+    const { histogram } = last;
+
+    // Scale to the tallest inner bin, so a spike of clipped pixels doesn't flatten the rest
+    let max = 1;
+    channels.forEach(channel => {
+      for (let value = 1; value < 255; value++) {
+        max = Math.max(max, histogram[channel][value]);
+      }
+    });
+
+    const binWidth = width / 256;
+    channels.forEach(channel => {
+      ctx.fillStyle = CHANNEL_COLORS[channel];
+      histogram[channel].forEach((count, value) => {
+        const barHeight = Math.min(height, count / max * height);
+        ctx.fillRect(value * binWidth, height - barHeight, Math.ceil(binWidth), barHeight);
+      });
+    });
+
+    // Mark clipped ends
+    const { shadows, highlights } = last.clipping;
+    ctx.fillStyle = 'rgba(239, 68, 68, 0.9)';
+    if (channels.some(channel => shadows[channel] > 0)) {
+      ctx.fillRect(0, 0, 3, height);
+    }
+    if (channels.some(channel => highlights[channel] > 0)) {
+      ctx.fillRect(width - 3, 0, 3, height);
+    }
+  }
+
+  /**
+   * Show how much of the image is clipped
+   * @param {Object} clipping - { shadows, highlights }, channel => share of pixels
+   */
+  function updateClipping({ shadows, highlights }) {
+    const format = share => `${(share * 100).toFixed(1)}%`;
+    const details = shares => `R ${format(shares.r)} · G ${format(shares.g)} · B ${format(shares.b)}`;
+
+    shadowsEl.textContent = format(shadows.luminance);
+    shadowsEl.title = details(shadows);
+    shadowsEl.classList.toggle('clipped', shadows.luminance > 0);
+
+    highlightsEl.textContent = format(highlights.luminance);
+    highlightsEl.title = details(highlights);
+    highlightsEl.classList.toggle('clipped', highlights.luminance > 0);
+  }
+
+  return {
+    init,
+    update
+  };
+}
@@ -1,34 +1,111 @@
+// Display order, labels and colors of the memory breakdown categories
+const BREAKDOWN_CATEGORIES = {
+  pagedImage: { label: 'Paged Image', color: 'var(--color-primary)' },
+  source: { label: 'Source Image', color: 'var(--color-primary-light)' },
+  preview: { label: 'Preview', color: 'var(--color-secondary)' },
+  history: { label: 'History', color: 'var(--color-accent)' },
+  caches: { label: 'Caches', color: 'var(--color-warning)' },
+  scratch: { label: 'Scratch', color: 'var(--color-text-tertiary)' }
+};
+
+// Page grid names for the tier holding each page
+const TIER_LABELS = {
+  cache: 'cache',
+  ram: 'main memory',
+  compressed: 'compressed',
+  disk: 'disk'
+};
+
 /**
  * Sets up the memory UI
  * @param {Object} config - Configuration object
  * @param {Object} config.memoryManager - Memory manager instance
+ * @param {Object} config.editor - Editor instance
  * @param {Object} config.eventBus - Event bus for communication
  * @returns {Object} - Memory UI API
  */
-export function setupMemoryUI({ memoryManager, eventBus }) {
+export function setupMemoryUI({ memoryManager, editor, eventBus }) {
   // DOM elements
   const memoryUsageEl = document.getElementById('memory-usage');
   const memoryUsageBarEl = document.getElementById('memory-usage-bar');
+  const memoryLimitEl = document.getElementById('memory-limit');
+  const memoryLimitInputEl = document.getElementById('memory-limit-input');
+  const totalMemoryEl = document.getElementById('total-memory');
+  const breakdownBarEl = document.getElementById('memory-breakdown-bar');
+  const breakdownListEl = document.getElementById('memory-breakdown');
+  const pageSizeSelectEl = document.getElementById('page-size-select');
   const activePagesEl = document.getElementById('active-pages');
   const inactivePagesEl = document.getElementById('inactive-pages');
   const pageHitsEl = document.getElementById('page-hits');
   const pageFaultsEl = document.getElementById('page-faults');
+  const swapReadsEl = document.getElementById('swap-reads');
+  const swapWritesEl = document.getElementById('swap-writes');
+  const compressedTierEl = document.getElementById('compressed-tier');
+  const decompressionsEl = document.getElementById('decompressions');
+  const evictionsEl = document.getElementById('evictions');
+  const writeBacksEl = document.getElementById('write-backs');
+  const pinnedMemoryEl = document.getElementById('pinned-memory');
   const pageGridEl = document.getElementById('page-grid');
+  const policySelectEl = document.getElementById('policy-select');
+  const policyStatsEl = document.getElementById('policy-stats');
+  const prefetchWindowEl = document.getElementById('prefetch-window');
+  const prefetchHitsEl = document.getElementById('prefetch-hits');
+  const workerCountEl = document.getElementById('worker-count');
+  const renderTimeEl = document.getElementById('render-time');
+  const resultCacheEl = document.getElementById('result-cache');
+  const thrashingResponseEl = document.getElementById('thrashing-response');
+  const faultRateEl = document.getElementById('fault-rate');
+  const previewResetBtn = document.getElementById('preview-reset');
+  const thrashingLogEl = document.getElementById('thrashing-log');
+  const tierStatsEl = document.getElementById('tier-stats');
+  const avgAccessTimeEl = document.getElementById('avg-access-time');
+  const tlbEntriesEl = document.getElementById('tlb-entries');
+  const tlbAssociativityEl = document.getElementById('tlb-associativity');
+  const tlbPolicyEl = document.getElementById('tlb-policy');
+  const tlbStatsEl = document.getElementById('tlb-stats');
+  
+  // Table rows of the memory hierarchy, by tier ID
+  const tierRows = new Map();
   
   /**
    * Initialize the memory UI
    */
   function init() {
+    // Populate the policy selector
+    setupPolicySelect();
+    
+    // Prefetch window input
+    setupPrefetchInput();
+    
+    // Chunk worker pool size
+    setupWorkerInput();
+    
+    // Memory limit and page size
+    setupMemorySettings();
+    
+    // Thrashing response and preview reset
+    setupThrashingControls();
+    
+    // Per-tier latency and cache capacity
+    setupTierTable();
+    
+    // TLB size, associativity and replacement
+    setupTLBControls();
+    
     // Listen for memory stats updates
     eventBus.on('memory:stats:updated', updateMemoryStats);
     
     // Listen for page swapping events
     eventBus.on('memory:page:swapped-out', ({ pageId }) => {
-      animatePageSwap(pageId, 'out');
+      animatePageSwap(pageId, 'out', 'inactive');
+    });
+    
+    eventBus.on('memory:page:compressed', ({ pageId }) => {
+      animatePageSwap(pageId, 'out', 'compressed');
     });
     
     eventBus.on('memory:page:swapped-in', ({ pageId }) => {
-      animatePageSwap(pageId, 'in');
+      animatePageSwap(pageId, 'in', 'active');
     });
     
     // Initial update
@@ -42,13 +119,49 @@ export function setupMemoryUI({ memoryManager, eventBus }) {
   function updateMemoryStats(stats) {
     // Update numeric stats
     memoryUsageEl.textContent = stats.memoryUsage.toFixed(1);
+    memoryLimitEl.textContent = stats.memoryLimit;
+    if (document.activeElement !== memoryLimitInputEl) {
+      memoryLimitInputEl.value = stats.memoryLimit;
+    }
+    pageSizeSelectEl.value = String(stats.pageSize);
     activePagesEl.textContent = stats.activePages;
     inactivePagesEl.textContent = stats.inactivePages;
     pageHitsEl.textContent = stats.pageHits;
     pageFaultsEl.textContent = stats.pageFaults;
+    swapReadsEl.textContent = formatSwapIO(stats.swapReads, stats.swapBytesRead, stats.avgSwapReadLatency);
+    swapWritesEl.textContent = formatSwapIO(stats.swapWrites, stats.swapBytesWritten, stats.avgSwapWriteLatency);
+    
+    // Compressed tier
+    if (stats.compressionCodec) {
+      compressedTierEl.textContent =
+        `${stats.compressedPages} pages, ${stats.compressedMemoryUsage.toFixed(1)} / ` +
+        `${stats.compressedMemoryLimit.toFixed(0)} MB (${stats.compressionRatio.toFixed(1)}× ${stats.compressionCodec})`;
+    } else {
+      compressedTierEl.textContent = 'Off';
+    }
+    decompressionsEl.textContent = `${stats.decompressions} (${stats.avgDecompressLatency.toFixed(2)} ms avg)`;
+    
+    // Evictions vs. dirty write-backs
+    evictionsEl.textContent = `${stats.evictions} (${stats.cleanDrops} clean dropped)`;
+    writeBacksEl.textContent = stats.writeBacks;
+    pinnedMemoryEl.textContent = `${stats.pinnedMemoryUsage.toFixed(1)} MB`;
+    
+    // Read-ahead and its effect on rendering
+    prefetchHitsEl.textContent = `${stats.prefetchHits} / ${stats.prefetches} (${stats.prefetchWasted} wasted)`;
+    renderTimeEl.textContent =
+      `${stats.lastRenderTime.toFixed(0)} ms (${stats.lastFaultWaitTime.toFixed(0)} ms on faults)`;
+    
+    // Processed tile cache
+    if (stats.resultCacheLimit > 0) {
+      resultCacheEl.textContent =
+        `${stats.resultCacheHits} hits / ${stats.resultCacheMisses} misses, ` +
+        `${stats.resultCacheUsage.toFixed(1)} / ${stats.resultCacheLimit} MB`;
+    } else {
+      resultCacheEl.textContent = 'Off';
+    }
     
     // Update memory usage bar
-    const usagePercent = (stats.memoryUsage / 100) * 100;
+    const usagePercent = Math.min(100, (stats.memoryUsage / stats.memoryLimit) * 100);
     memoryUsageBarEl.style.width = `${usagePercent}%`;
     
     // Color the usage bar based on usage level
@@ -60,38 +173,411 @@ export function setupMemoryUI({ memoryManager, eventBus }) {
       memoryUsageBarEl.style.backgroundColor = 'var(--color-primary)';
     }
     
+    // Where the memory goes
+    updateBreakdown(stats);
+    
+    // Sliding-window fault rate and the decisions taken on it
+    updateThrashing(stats);
+    
+    // Update policy comparison
+    updatePolicyStats(stats);
+    
+    // Occupancy and access times per tier
+    updateTiers(stats);
+    
+    // Translation hits and misses, separate from page hits and faults
+    updateTLB(stats);
+    
     // Update page grid
-    updatePageGrid();
+    updatePageGrid(stats);
+  }
+  
+  /**
+   * Populate the replacement policy selector and handle changes
+   */
+  function setupPolicySelect() {
+    memoryManager.getAvailablePolicies().forEach(({ id, label }) => {
+      const optionEl = document.createElement('option');
+      optionEl.value = id;
+      optionEl.textContent = label;
+      policySelectEl.appendChild(optionEl);
+    });
+    
+    policySelectEl.value = memoryManager.getPolicyName();
+    
+    policySelectEl.addEventListener('change', () => {
+      memoryManager.setPolicy(policySelectEl.value);
+    });
+  }
+  
+  /**
+   * Set up the prefetch window input
+   */
+  function setupPrefetchInput() {
+    prefetchWindowEl.value = memoryManager.getMemoryStats().prefetchWindow;
+    
+    prefetchWindowEl.addEventListener('change', () => {
+      const pages = parseInt(prefetchWindowEl.value, 10);
+      memoryManager.setPrefetchWindow(Number.isNaN(pages) ? 0 : pages);
+    });
+  }
+  
+  /**
+   * Set up the chunk worker count input
+   */
+  function setupWorkerInput() {
+    workerCountEl.value = editor.getWorkerCount();
+    
+    workerCountEl.addEventListener('change', () => {
+      const count = parseInt(workerCountEl.value, 10);
+      editor.setWorkerCount(Number.isNaN(count) ? 0 : Math.max(0, count));
+      
+      // Shows 0 when workers are unavailable and chunks run on the main thread
+      workerCountEl.value = editor.getWorkerCount();
+    });
+  }
+  
+  /**
+   * Show memory use by category as a stacked bar and a legend
+   * @param {Object} stats - Memory statistics
+   */
+  function updateBreakdown(stats) {
+    const breakdown = stats.memoryBreakdown || {};
+    const total = stats.totalMemoryUsage || 0;
+    
+    totalMemoryEl.textContent = total.toFixed(1);
+    breakdownBarEl.innerHTML = '';
+    breakdownListEl.innerHTML = '';
+    
+    // Known categories first, then anything else that registered buffers
+    const categories = [
+      ...Object.keys(BREAKDOWN_CATEGORIES),
+      ...Object.keys(breakdown).filter(category => !BREAKDOWN_CATEGORIES[category])
+    ];
+    
+    categories.forEach(category => {
+      const usage = breakdown[category] || 0;
+      const { label, color } = BREAKDOWN_CATEGORIES[category] || { label: category, color: 'var(--color-text-secondary)' };
+      
+      if (usage > 0 && total > 0) {
+        const segmentEl = document.createElement('div');
+        segmentEl.style.width = `${(usage / total) * 100}%`;
+        segmentEl.style.backgroundColor = color;
+        segmentEl.title = `${label}: ${usage.toFixed(2)} MB`;
+        breakdownBarEl.appendChild(segmentEl);
+      }
+      
+      const itemEl = document.createElement('li');
+      itemEl.innerHTML = `
+        <span class="breakdown-swatch" style="background-color: ${color}"></span>
+        <span>${label}</span>
+        <span>${usage.toFixed(2)} MB</span>
+      `;
+      breakdownListEl.appendChild(itemEl);
+    });
+  }
+  
+  /**
+   * Set up the thrashing response selector and the preview reset button
+   */
+  function setupThrashingControls() {
+    thrashingResponseEl.value = memoryManager.getMemoryStats().thrashingResponse;
+    
+    thrashingResponseEl.addEventListener('change', () => {
+      memoryManager.setThrashingResponse(thrashingResponseEl.value);
+    });
+    
+    previewResetBtn.addEventListener('click', () => {
+      eventBus.emit('image:modify', { type: 'previewScale', data: 1 });
+    });
+    
+    eventBus.on('editor:preview:scaled', ({ scale }) => {
+      previewResetBtn.textContent = `Preview at ${Math.round(scale * 100)}%: restore`;
+      previewResetBtn.classList.toggle('hidden', scale >= 1);
+    });
+  }
+  
+  /**
+   * Show the current fault rate and the thrashing log, newest first
+   * @param {Object} stats - Memory statistics
+   */
+  function updateThrashing(stats) {
+    faultRateEl.textContent =
+      `Fault rate: ${(stats.faultRate * 100).toFixed(0)}%${stats.thrashing ? ' (thrashing)' : ''}`;
+    faultRateEl.classList.toggle('thrashing', stats.thrashing);
+    
+    thrashingLogEl.innerHTML = '';
+    
+    stats.thrashingLog.slice().reverse().forEach(entry => {
+      const itemEl = document.createElement('li');
+      const time = new Date(entry.time).toLocaleTimeString();
+      const workingSet = entry.workingSet !== null
+        ? `, working set ${entry.workingSet.toFixed(1)} / ${entry.memoryLimit} MB`
+        : '';
+      const effect = entry.faultRateAfter !== null
+        ? ` → next render ${(entry.faultRateAfter * 100).toFixed(0)}% faults`
+        : '';
+      
+      itemEl.textContent =
+        `${time}: ${(entry.faultRate * 100).toFixed(0)}% faults${workingSet}. ${entry.detail}${effect}`;
+      thrashingLogEl.appendChild(itemEl);
+    });
+  }
+  
+  /**
+   * Build the memory hierarchy table, with editable latencies and cache capacity
+   */
+  function setupTierTable() {
+    memoryManager.getMemoryStats().tiers.forEach(tier => {
+      const rowEl = document.createElement('tr');
+      rowEl.innerHTML = `
+        <td>${tier.label}</td>
+        <td class="tier-capacity"></td>
+        <td><input type="number" class="tier-latency" min="0" step="any" value="${tier.latency}" /></td>
+        <td class="tier-usage"></td>
+        <td class="tier-accesses"></td>
+        <td class="tier-avg"></td>
+      `;
+      
+      // Only the cache is sized here; the other capacities follow their own settings
+      if (tier.id === 'cache') {
+        const capacityEl = document.createElement('input');
+        capacityEl.type = 'number';
+        capacityEl.className = 'tier-capacity-input';
+        capacityEl.min = '0';
+        capacityEl.step = 'any';
+        capacityEl.value = tier.capacity;
+        capacityEl.title = 'Cache capacity in MB (0 disables the cache)';
+        capacityEl.addEventListener('change', () => {
+          changeTier(tier.id, { capacity: parseFloat(capacityEl.value) });
+        });
+        rowEl.querySelector('.tier-capacity').appendChild(capacityEl);
+      }
+      
+      const latencyEl = rowEl.querySelector('.tier-latency');
+      latencyEl.addEventListener('change', () => {
+        changeTier(tier.id, { latency: parseFloat(latencyEl.value) });
+      });
+      
+      tierStatsEl.appendChild(rowEl);
+      tierRows.set(tier.id, rowEl);
+    });
+  }
+  
+  /**
+   * Apply a tier setting, logging values the memory manager rejects
+   * @param {string} tierId - Tier ID
+   * @param {Object} settings - { latency } or { capacity }
+   */
+  function changeTier(tierId, settings) {
+    try {
+      memoryManager.setTierConfig(tierId, settings);
+    } catch (error) {
+      console.error('Error changing tier settings:', error);
+    }
+  }
+  
+  /**
+   * Show occupancy and access times per tier
+   * @param {Object} stats - Memory statistics
+   */
+  function updateTiers(stats) {
+    avgAccessTimeEl.textContent = stats.avgAccessTime.toFixed(3);
+    
+    stats.tiers.forEach(tier => {
+      const rowEl = tierRows.get(tier.id);
+      if (!rowEl) return;
+      
+      rowEl.classList.toggle('disabled', !tier.enabled);
+      
+      if (tier.id !== 'cache') {
+        rowEl.querySelector('.tier-capacity').textContent = tier.capacity === null
+          ? '∞'
+          : `${tier.capacity.toFixed(0)} MB`;
+      }
+      
+      rowEl.querySelector('.tier-usage').textContent = `${tier.pages} (${tier.usage.toFixed(1)} MB)`;
+      rowEl.querySelector('.tier-accesses').textContent = tier.accesses;
+      rowEl.querySelector('.tier-avg').textContent = tier.avgAccessTime.toFixed(3);
+    });
+  }
+  
+  /**
+   * Set up the TLB controls from the current TLB configuration
+   */
+  function setupTLBControls() {
+    memoryManager.getTLBPolicies().forEach(({ id, label }) => {
+      const optionEl = document.createElement('option');
+      optionEl.value = id;
+      optionEl.textContent = label;
+      tlbPolicyEl.appendChild(optionEl);
+    });
+    
+    const { tlb } = memoryManager.getMemoryStats();
+    if (tlb) {
+      tlbEntriesEl.value = tlb.entries;
+      tlbAssociativityEl.value = tlb.sets === 1 && tlb.entries > 1 ? '0' : String(tlb.associativity);
+      tlbPolicyEl.value = tlb.policy;
+    }
+    
+    [tlbEntriesEl, tlbAssociativityEl, tlbPolicyEl].forEach(el => {
+      el.addEventListener('change', applyTLBSettings);
+    });
+  }
+  
+  /**
+   * Rebuild the TLB from the controls
+   */
+  function applyTLBSettings() {
+    const entries = parseInt(tlbEntriesEl.value, 10);
+    const associativity = parseInt(tlbAssociativityEl.value, 10);
+    
+    try {
+      memoryManager.setTLB(entries > 0
+        ? { entries, associativity: associativity || entries, policy: tlbPolicyEl.value }
+        : null);
+    } catch (error) {
+      console.error('Error changing TLB settings:', error);
+    }
+  }
+  
+  /**
+   * Show TLB hits and misses
+   * @param {Object} stats - Memory statistics
+   */
+  function updateTLB(stats) {
+    const { tlb } = stats;
+    
+    if (!tlb) {
+      tlbStatsEl.textContent = 'Off';
+      return;
+    }
+    
+    tlbStatsEl.textContent =
+      `${tlb.hits} hits / ${tlb.misses} misses (${(tlb.hitRatio * 100).toFixed(1)}%), ` +
+      `${tlb.occupancy} / ${tlb.entries} entries in ${tlb.sets} ${tlb.sets === 1 ? 'set' : 'sets'}`;
   }
   
   /**
-   * Update the page grid visualization
+   * Set up the memory limit input and page size selector
    */
-  function updatePageGrid() {
+  function setupMemorySettings() {
+    const { pageSize } = memoryManager.getMemoryStats();
+    pageSizeSelectEl.value = String(pageSize);
+    
+    memoryLimitInputEl.addEventListener('change', async () => {
+      const limit = parseFloat(memoryLimitInputEl.value);
+      if (!(limit > 0)) return;
+      
+      try {
+        await memoryManager.setMemoryLimit(limit);
+      } catch (error) {
+        console.error('Error changing memory limit:', error);
+      }
+    });
+    
+    pageSizeSelectEl.addEventListener('change', async () => {
+      pageSizeSelectEl.disabled = true;
+      
+      try {
+        await memoryManager.setPageSize(parseFloat(pageSizeSelectEl.value));
+      } catch (error) {
+        console.error('Error changing page size:', error);
+      } finally {
+        pageSizeSelectEl.disabled = false;
+      }
+    });
+  }
+  
+  /**
+   * Update the per-policy hit/fault comparison table
+   * @param {Object} stats - Memory statistics
+   */
+  function updatePolicyStats(stats) {
+    const labels = Object.fromEntries(
+      memoryManager.getAvailablePolicies().map(({ id, label }) => [id, label])
+    );
+    
+    policyStatsEl.innerHTML = '';
+    
+    Object.entries(stats.policyStats || {}).forEach(([name, { hits, faults }]) => {
+      const total = hits + faults;
+      const ratio = total > 0 ? `${((hits / total) * 100).toFixed(1)}%` : '-';
+      
+      const rowEl = document.createElement('tr');
+      rowEl.className = name === stats.policy ? 'current' : '';
+      rowEl.innerHTML = `
+        <td>${labels[name] || name}</td>
+        <td>${hits}</td>
+        <td>${faults}</td>
+        <td>${ratio}</td>
+      `;
+      policyStatsEl.appendChild(rowEl);
+    });
+  }
+  
+  /**
+   * Format swap I/O counters for display
+   * @param {number} count - Number of operations
+   * @param {number} bytes - Bytes transferred
+   * @param {number} avgLatency - Average latency in ms
+   * @returns {string} - Formatted text
+   */
+  function formatSwapIO(count, bytes, avgLatency) {
+    const megabytes = bytes / (1024 * 1024);
+    return `${count} (${megabytes.toFixed(1)} MB, ${avgLatency.toFixed(1)} ms avg)`;
+  }
+  
+  /**
+   * Update the page grid visualization, one section per document
+   * @param {Object} stats - Memory statistics
+   */
+  function updatePageGrid(stats) {
     // Get page table as an array
     const pages = memoryManager.getPageTableArray();
     
     // Clear existing grid
     pageGridEl.innerHTML = '';
     
-    // Add page elements
-    pages.forEach(page => {
-      const pageEl = document.createElement('div');
-      pageEl.className = `memory-page ${page.status}`;
-      pageEl.dataset.pageId = page.pageId;
-      pageEl.title = `${page.pageId}: ${page.status}`;
-      
-      // Extract page number for display
-      const pageNumber = page.pageId.split('_')[1];
-      pageEl.textContent = pageNumber;
+    (stats.documents || []).forEach(doc => {
+      // Document header with its resident set
+      const labelEl = document.createElement('div');
+      labelEl.className = `page-grid-label${doc.id === stats.activeDocument ? ' current' : ''}`;
+      labelEl.textContent =
+        `${doc.name}: ${doc.activePages} / ${doc.totalPages} resident ` +
+        `(${doc.memoryUsage.toFixed(1)} MB, ${doc.cachedPages} cached, ${doc.compressedPages} compressed)`;
+      pageGridEl.appendChild(labelEl);
       
-      // Add to grid
-      pageGridEl.appendChild(pageEl);
-      
-      // Add event listener for page details
-      pageEl.addEventListener('click', () => {
-        showPageDetails(page);
-      });
+      pages
+        .filter(page => page.documentId === doc.id)
+        .forEach(addPageElement);
+    });
+  }
+  
+  /**
+   * Add a page to the grid
+   * @param {Object} page - Page table entry
+   */
+  function addPageElement(page) {
+    const pageEl = document.createElement('div');
+    pageEl.className =
+      `memory-page ${page.status}${page.tier === 'cache' ? ' cached' : ''}` +
+      `${page.dirty ? ' dirty' : ''}${page.pinned ? ' pinned' : ''}`;
+    pageEl.dataset.pageId = page.pageId;
+    pageEl.title =
+      `${page.pageId}: ${TIER_LABELS[page.tier]}${page.pinned ? ', pinned' : ''}, ${page.priority} priority ` +
+      `(${page.w}×${page.h} at ${page.x},${page.y})`;
+    
+    // Extract page number for display
+    const pageNumber = page.pageId.split('_')[1];
+    pageEl.textContent = pageNumber;
+    
+    // Add to grid
+    pageGridEl.appendChild(pageEl);
+    
+    // Add event listener for page details
+    pageEl.addEventListener('click', () => {
+      showPageDetails(page);
     });
   }
   
@@ -99,8 +585,9 @@ export function setupMemoryUI({ memoryManager, eventBus }) {
    * Animate page swapping
    * @param {string} pageId - ID of the page
    * @param {string} direction - 'in' or 'out'
+   * @param {string} status - Page status once the animation completes
    */
-  function animatePageSwap(pageId, direction) {
+  function animatePageSwap(pageId, direction, status) {
     const pageEl = pageGridEl.querySelector(`[data-page-id="${pageId}"]`);
     if (!pageEl) return;
     
@@ -109,15 +596,8 @@ export function setupMemoryUI({ memoryManager, eventBus }) {
     
     // After animation completes, update the page status
     setTimeout(() => {
-      pageEl.classList.remove(`swap-${direction}`);
-      
-      if (direction === 'out') {
-        pageEl.classList.remove('active');
-        pageEl.classList.add('inactive');
-      } else {
-        pageEl.classList.remove('inactive');
-        pageEl.classList.add('active');
-      }
+      pageEl.classList.remove(`swap-${direction}`, 'active', 'inactive', 'compressed', 'cached');
+      pageEl.classList.add(status);
     }, 300); // Match the animation duration
   }
   
@@ -129,7 +609,11 @@ export function setupMemoryUI({ memoryManager, eventBus }) {
     const details = `
       <div class="page-details">
         <p><strong>Page ID:</strong> ${page.pageId}</p>
-        <p><strong>Status:</strong> ${page.status}</p>
+        <p><strong>Status:</strong> ${page.status}${page.dirty ? ' (dirty)' : ''}${page.pinned ? ' (pinned)' : ''}</p>
+        <p><strong>Tier:</strong> ${TIER_LABELS[page.tier]}</p>
+        <p><strong>Priority:</strong> ${page.priority}</p>
+        ${page.compressedSize !== null ? `<p><strong>Compressed Size:</strong> ${(page.compressedSize / 1024).toFixed(1)} KB</p>` : ''}
+        <p><strong>Tile:</strong> ${page.w}×${page.h} px at (${page.x}, ${page.y})</p>
         <p><strong>Last Accessed:</strong> ${new Date(page.lastAccessed).toLocaleTimeString()}</p>
       </div>
     `;
@@ -1,3 +1,17 @@
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Sets up the modal UI
  * @param {Object} config - Configuration object
@@ -13,6 +27,10 @@ export function setupModalUI({ eventBus }) {
   const modalCancel = document.getElementById('modal-cancel');
   const modalConfirm = document.getElementById('modal-confirm');
   
+  // Button handlers of the open modal
+  let confirmHandler = null;
+  let cancelHandler = null;
+  
   /**
    * Show a modal dialog
    * @param {Object} options - Modal options
@@ -40,26 +58,24 @@ export function setupModalUI({ eventBus }) {
       modalCancel.style.display = 'block';
     }
     
+    // Remove the previous modal's listeners
+    removeHandlers();
+    
     // Button click handlers
-    const confirmHandler = () => {
+    confirmHandler = () => {
       hideModal();
       if (typeof options.onConfirm === 'function') {
         options.onConfirm();
       }
     };
     
-    const cancelHandler = () => {
+    cancelHandler = () => {
       hideModal();
       if (typeof options.onCancel === 'function') {
         options.onCancel();
       }
     };
     
-    // Remove existing event listeners
-    modalConfirm.removeEventListener('click', confirmHandler);
-    modalCancel.removeEventListener('click', cancelHandler);
-    modalClose.removeEventListener('click', cancelHandler);
-    
     // Add new event listeners
     modalConfirm.addEventListener('click', confirmHandler);
     modalCancel.addEventListener('click', cancelHandler);
@@ -70,23 +86,39 @@ export function setupModalUI({ eventBus }) {
     modalContainer.classList.add('fade-in');
   }
   
+  /**
+   * Detach the open modal's button handlers
+   */
+  function removeHandlers() {
+    if (confirmHandler) {
+      modalConfirm.removeEventListener('click', confirmHandler);
+    }
+    if (cancelHandler) {
+      modalCancel.removeEventListener('click', cancelHandler);
+      modalClose.removeEventListener('click', cancelHandler);
+    }
+    confirmHandler = null;
+    cancelHandler = null;
+  }
+  
   /**
    * Hide the modal
    */
   function hideModal() {
+    removeHandlers();
     modalContainer.classList.add('hidden');
   }
   
   /**
    * Show an alert dialog
    * @param {string} title - Alert title
-   * @param {string} message - Alert message
+   * @param {string} message - Alert message (plain text)
    * @param {Function} callback - Callback when alert is closed
    */
   function showAlert(title, message, callback) {
     showModal({
       title,
-      content: `<p>${message}</p>`,
+      content: `<p>${escapeHtml(message)}</p>`,
       showCancel: false,
       confirmText: 'OK',
       onConfirm: callback
@@ -96,14 +128,14 @@ export function setupModalUI({ eventBus }) {
   /**
    * Show a confirmation dialog
    * @param {string} title - Confirmation title
-   * @param {string} message - Confirmation message
+   * @param {string} message - Confirmation message (plain text)
    * @param {Function} onConfirm - Callback for confirm button
    * @param {Function} onCancel - Callback for cancel button
    */
   function showConfirm(title, message, onConfirm, onCancel) {
     showModal({
       title,
-      content: `<p>${message}</p>`,
+      content: `<p>${escapeHtml(message)}</p>`,
       confirmText: 'Yes',
       cancelText: 'No',
       onConfirm,
@@ -115,7 +147,7 @@ export function setupModalUI({ eventBus }) {
    * Show a dialog with form options
    * @param {string} title - Dialog title
    * @param {string} message - Dialog message
-   * @param {Object} options - Form options
+   * @param {Object} options - Form options (text and number default values are escaped)
    * @param {Function} callback - Callback with form values
    */
   function showOptionsDialog(title, message, options, callback) {
@@ -131,7 +163,7 @@ export function setupModalUI({ eventBus }) {
         case 'text':
           formHtml += `
             <input type="text" id="${id}" name="${key}" 
-              value="${option.defaultValue || ''}"
+              value="${escapeHtml(option.defaultValue || '')}"
               ${option.placeholder ? `placeholder="${option.placeholder}"` : ''}
               ${option.required ? 'required' : ''}
             >
@@ -141,7 +173,7 @@ export function setupModalUI({ eventBus }) {
         case 'number':
           formHtml += `
             <input type="number" id="${id}" name="${key}" 
-              value="${option.defaultValue || ''}"
+              value="${escapeHtml(option.defaultValue || '')}"
               ${option.min !== undefined ? `min="${option.min}"` : ''}
               ${option.max !== undefined ? `max="${option.max}"` : ''}
               ${option.step ? `step="${option.step}"` : ''}
@@ -185,7 +217,7 @@ export function setupModalUI({ eventBus }) {
         default:
           formHtml += `
             <input type="text" id="${id}" name="${key}" 
-              value="${option.defaultValue || ''}">
+              value="${escapeHtml(option.defaultValue || '')}">
           `;
       }
       
@@ -0,0 +1,166 @@
+import { getDefaultCorners, completeParallelogram } from '../editor/transform.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Sets up the perspective tool: four corner handles dragged over the canvas
+ * @param {Object} config - Configuration object
+ * @param {Object} config.editor - Editor instance
+ * @param {Object} config.eventBus - Event bus for communication
+ * @returns {Object} - Perspective UI API
+ */
+export function setupPerspectiveUI({ editor, eventBus }) {
+  const editBtn = document.getElementById('perspective');
+  const applyBtn = document.getElementById('perspective-apply');
+  const resetBtn = document.getElementById('perspective-reset');
+  const cancelBtn = document.getElementById('perspective-cancel');
+  const modeSelect = document.getElementById('perspective-mode');
+
+  const canvasContainer = document.querySelector('.canvas-container');
+  const canvasEl = document.getElementById('preview-canvas');
+  const overlayEl = document.getElementById('perspective-overlay');
+  const outlineEl = document.getElementById('perspective-outline');
+
+  // Handle radius in pixels
+  const HANDLE_RADIUS = 7;
+
+  // Corners being edited, as fractions of the image size
+  let corners = getDefaultCorners();
+
+  const handles = corners.map((_, index) => {
+    const handle = document.createElementNS(SVG_NS, 'circle');
+    handle.setAttribute('r', HANDLE_RADIUS);
+    handle.classList.add('perspective-handle');
+    handle.dataset.corner = index;
+    overlayEl.appendChild(handle);
+    return handle;
+  });
+
+  /**
+   * Initialize the perspective UI
+   */
+  function init() {
+    editor.getPerspectiveModes().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      modeSelect.appendChild(option);
+    });
+
+    editBtn.addEventListener('click', () => editor.setPerspectiveEditing(true));
+    cancelBtn.addEventListener('click', () => editor.setPerspectiveEditing(false));
+
+    applyBtn.addEventListener('click', () => {
+      eventBus.emit('image:modify', { type: 'perspective', data: { mode: modeSelect.value, corners } });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+
+    resetBtn.addEventListener('click', () => {
+      corners = getDefaultCorners();
+      drawHandles();
+    });
+
+    modeSelect.addEventListener('change', () => {
+      if (modeSelect.value === 'affine') {
+        corners = completeParallelogram(corners, 0);
+        drawHandles();
+      }
+    });
+
+    handles.forEach(setupHandleDrag);
+
+    eventBus.on('perspective:editing', showEditing);
+    eventBus.on('transform:changed', ({ perspective }) => {
+      if (perspective) modeSelect.value = perspective.mode;
+    });
+
+    // The canvas moves and changes size when the image is redrawn
+    eventBus.on('image:rendering:complete', () => {
+      if (editor.isEditingPerspective()) drawHandles();
+    });
+  }
+
+  /**
+   * Show or hide the handles and the buttons that go with them
+   * @param {Object} state - Editing state
+   * @param {boolean} state.editing - Whether the corners are being edited
+   * @param {Object|null} state.perspective - Stored perspective ({ mode, corners }), or null
+   */
+  function showEditing({ editing, perspective }) {
+    if (editing) {
+      // Start from the stored corners, so an applied perspective can be adjusted
+      corners = perspective ? perspective.corners.map(([x, y]) => [x, y]) : getDefaultCorners();
+      if (perspective) modeSelect.value = perspective.mode;
+      drawHandles();
+    }
+
+    overlayEl.classList.toggle('hidden', !editing);
+    editBtn.classList.toggle('hidden', editing);
+    [applyBtn, resetBtn, cancelBtn].forEach(button => button.classList.toggle('hidden', !editing));
+  }
+
+  /**
+   * Let a handle be dragged; in affine mode the opposite corner follows
+   * @param {SVGCircleElement} handle - Corner handle
+   */
+  function setupHandleDrag(handle) {
+    const index = Number(handle.dataset.corner);
+    let dragging = false;
+
+    handle.addEventListener('pointerdown', event => {
+      dragging = true;
+      handle.setPointerCapture(event.pointerId);
+      event.preventDefault();
+    });
+
+    handle.addEventListener('pointermove', event => {
+      if (!dragging) return;
+
+      const rect = canvasEl.getBoundingClientRect();
+      const x = clamp((event.clientX - rect.left) / rect.width);
+      const y = clamp((event.clientY - rect.top) / rect.height);
+
+      corners = corners.map((corner, i) => (i === index ? [x, y] : corner));
+      if (modeSelect.value === 'affine') {
+        corners = completeParallelogram(corners, index);
+      }
+      drawHandles();
+    });
+
+    handle.addEventListener('pointerup', () => {
+      dragging = false;
+    });
+  }
+
+  /**
+   * Place the handles and the outline over the canvas
+   */
+  function drawHandles() {
+    const canvasRect = canvasEl.getBoundingClientRect();
+    const containerRect = canvasContainer.getBoundingClientRect();
+
+    const points = corners.map(([x, y]) => [
+      canvasRect.left - containerRect.left + x * canvasRect.width,
+      canvasRect.top - containerRect.top + y * canvasRect.height
+    ]);
+
+    points.forEach(([x, y], index) => {
+      handles[index].setAttribute('cx', x);
+      handles[index].setAttribute('cy', y);
+    });
+    outlineEl.setAttribute('points', points.map(point => point.join(',')).join(' '));
+  }
+
+  /**
+   * Keep a dragged corner on the image
+   * @param {number} value - Position as a fraction of the image size
+   * @returns {number} - Position between 0 and 1
+   */
+  function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+  }
+
+  return {
+    init
+  };
+}
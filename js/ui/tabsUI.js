@@ -0,0 +1,62 @@
+/**
+ * Sets up the document tab bar
+ * @param {Object} config - Configuration object
+ * @param {Object} config.editor - Editor instance
+ * @param {Object} config.eventBus - Event bus for communication
+ * @returns {Object} - Tabs UI API
+ */
+export function setupTabsUI({ editor, eventBus }) {
+  // DOM elements
+  const tabsEl = document.getElementById('document-tabs');
+
+  /**
+   * Initialize the tabs UI
+   */
+  function init() {
+    eventBus.on('document:opened', renderTabs);
+    eventBus.on('document:switched', renderTabs);
+    eventBus.on('document:closed', renderTabs);
+
+    renderTabs();
+  }
+
+  /**
+   * Rebuild the tab bar from the editor's open documents
+   */
+  function renderTabs() {
+    const documents = editor.getDocuments();
+
+    tabsEl.innerHTML = '';
+    tabsEl.classList.toggle('hidden', documents.length === 0);
+
+    documents.forEach(doc => {
+      const tabEl = document.createElement('div');
+      tabEl.className = `document-tab${doc.active ? ' active' : ''}`;
+      tabEl.title = doc.name;
+
+      const nameEl = document.createElement('button');
+      nameEl.className = 'document-tab-name';
+      nameEl.textContent = doc.name;
+      nameEl.addEventListener('click', () => {
+        editor.switchDocument(doc.id);
+      });
+
+      const closeEl = document.createElement('button');
+      closeEl.className = 'document-tab-close';
+      closeEl.setAttribute('aria-label', `Close ${doc.name}`);
+      closeEl.textContent = '×';
+      closeEl.addEventListener('click', () => {
+        editor.closeDocument(doc.id);
+      });
+
+      tabEl.appendChild(nameEl);
+      tabEl.appendChild(closeEl);
+      tabsEl.appendChild(tabEl);
+    });
+  }
+
+  return {
+    init,
+    renderTabs
+  };
+}
@@ -0,0 +1,309 @@
+import { TONE_CHANNELS, compileCurve } from '../editor/tones.js';
+
+/**
+ * Sets up the Levels and Curves dialogs
+ * @param {Object} config - Configuration object
+ * @param {Object} config.editor - Editor instance
+ * @param {Object} config.eventBus - Event bus for communication
+ * @param {Object} config.modalUI - Modal UI, hosts the dialogs
+ * @returns {Object} - Tones UI API
+ */
+export function setupTonesUI({ editor, eventBus, modalUI }) {
+  const levelsBtn = document.getElementById('levels');
+  const curvesBtn = document.getElementById('curves');
+
+  // Curve editor canvas size in pixels, one per input value
+  const CURVE_SIZE = 256;
+
+  // Distance in pixels within which a click grabs a control point
+  const POINT_RADIUS = 6;
+
+  // Debounce timer for live previews
+  let previewTimer = null;
+  const DEBOUNCE_DELAY = 100; // ms
+
+  // Definitions being edited in the open dialog
+  const current = { levels: null, curves: null };
+
+  /**
+   * Initialize the tones UI
+   */
+  function init() {
+    levelsBtn.addEventListener('click', showLevelsDialog);
+    curvesBtn.addEventListener('click', showCurvesDialog);
+  }
+
+  /**
+   * Preview a change while a dialog is open
+   * @param {string} type - 'levels' or 'curves'
+   * @param {Object} data - Channel ID => new definition
+   */
+  function preview(type, data) {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      eventBus.emit('image:modify', { type, data });
+    }, DEBOUNCE_DELAY);
+  }
+
+  /**
+   * Modal callbacks: Apply keeps the edit in history, Cancel goes back to where we started
+   * @param {string} type - 'levels' or 'curves'
+   * @param {Object} original - Definitions before the dialog opened
+   * @returns {Object} - { onConfirm, onCancel } modal callbacks
+   */
+  function dialogCallbacks(type, original) {
+    return {
+      onConfirm: () => {
+        clearTimeout(previewTimer);
+        eventBus.emit('image:modify', { type, data: current[type] });
+        eventBus.emit('image:modify', { type: 'saveState' });
+      },
+      onCancel: () => {
+        clearTimeout(previewTimer);
+        eventBus.emit('image:modify', { type, data: original });
+      }
+    };
+  }
+
+  /**
+   * Channel selector markup
+   * @param {string} id - Element ID
+   * @returns {string} - HTML
+   */
+  function channelSelect(id) {
+    const options = TONE_CHANNELS
+      .map(({ id: channel, label }) => `<option value="${channel}">${label}</option>`)
+      .join('');
+
+    return `<div class="form-group"><label for="${id}">Channel</label><select id="${id}">${options}</select></div>`;
+  }
+
+  /**
+   * Show the Levels dialog: input black point, gamma and white point per channel
+   */
+  function showLevelsDialog() {
+    const original = editor.getLevels();
+    current.levels = structuredClone(original);
+
+    const sliders = [
+      { id: 'black', label: 'Black point', min: 0, max: 254, step: 1 },
+      { id: 'gamma', label: 'Gamma', min: 0.1, max: 5, step: 0.05 },
+      { id: 'white', label: 'White point', min: 1, max: 255, step: 1 }
+    ];
+
+    const sliderHtml = sliders.map(({ id, label, min, max, step }) => `
+      <div class="tool-control">
+        <label for="levels-${id}">${label}</label>
+        <input type="range" id="levels-${id}" class="slider" min="${min}" max="${max}" step="${step}" />
+        <span class="slider-value"></span>
+      </div>
+    `).join('');
+
+    modalUI.showModal({
+      title: 'Levels',
+      content: `<div class="tone-dialog">${channelSelect('levels-channel')}${sliderHtml}</div>`,
+      confirmText: 'Apply',
+      ...dialogCallbacks('levels', original)
+    });
+
+    const channelEl = document.getElementById('levels-channel');
+
+    // Show the selected channel's values
+    function showChannel() {
+      const level = current.levels[channelEl.value];
+      sliders.forEach(({ id }) => {
+        const sliderEl = document.getElementById(`levels-${id}`);
+        sliderEl.value = level[id];
+        sliderEl.nextElementSibling.textContent = level[id];
+      });
+    }
+
+    channelEl.addEventListener('change', showChannel);
+
+    sliders.forEach(({ id }) => {
+      const sliderEl = document.getElementById(`levels-${id}`);
+
+      sliderEl.addEventListener('input', () => {
+        const channel = channelEl.value;
+        const level = { ...current.levels[channel], [id]: parseFloat(sliderEl.value) };
+
+        // Keep the black point below the white point
+        if (id === 'black') level.black = Math.min(level.black, level.white - 1);
+        if (id === 'white') level.white = Math.max(level.white, level.black + 1);
+
+        sliderEl.value = level[id];
+        sliderEl.nextElementSibling.textContent = level[id];
+        current.levels = { ...current.levels, [channel]: level };
+        preview('levels', { [channel]: level });
+      });
+    });
+
+    showChannel();
+  }
+
+  /**
+   * Show the Curves dialog: drag control points per channel. Click to add a
+   * point, double-click an inner point to remove it.
+   */
+  function showCurvesDialog() {
+    const original = editor.getCurves();
+    current.curves = structuredClone(original);
+
+    modalUI.showModal({
+      title: 'Curves',
+      content: `
+        <div class="tone-dialog">
+          ${channelSelect('curves-channel')}
+          <canvas id="curves-canvas" class="curves-canvas" width="${CURVE_SIZE}" height="${CURVE_SIZE}"></canvas>
+          <p class="curves-hint">Click to add a point, drag to move it, double-click to remove it.</p>
+        </div>
+      `,
+      confirmText: 'Apply',
+      ...dialogCallbacks('curves', original)
+    });
+
+    const channelEl = document.getElementById('curves-channel');
+    const canvasEl = document.getElementById('curves-canvas');
+    const ctx = canvasEl.getContext('2d');
+
+    // Index of the point being dragged
+    let dragging = null;
+
+    const points = () => current.curves[channelEl.value];
+
+    // Canvas position of an event, in curve coordinates (y up)
+    function toCurve(event) {
+      const rect = canvasEl.getBoundingClientRect();
+      const x = (event.clientX - rect.left) / rect.width * (CURVE_SIZE - 1);
+      const y = (1 - (event.clientY - rect.top) / rect.height) * (CURVE_SIZE - 1);
+      return [clampValue(x), clampValue(y)];
+    }
+
+    // Index of the point under an event, or -1
+    function findPoint(event) {
+      const [x, y] = toCurve(event);
+      const scale = canvasEl.getBoundingClientRect().width / CURVE_SIZE || 1;
+      return points().findIndex(point =>
+        Math.hypot(point[0] - x, point[1] - y) * scale <= POINT_RADIUS
+      );
+    }
+
+    // Store the edited points of the selected channel and preview them
+    function commitPoints(newPoints) {
+      const channel = channelEl.value;
+      current.curves = { ...current.curves, [channel]: newPoints };
+      draw();
+      preview('curves', { [channel]: newPoints });
+    }
+
+    canvasEl.addEventListener('pointerdown', event => {
+      let index = findPoint(event);
+
+      if (index === -1) {
+        // Add a point, keeping the list sorted by input
+        const [x, y] = toCurve(event);
+        if (points().some(point => point[0] === x)) return;
+
+        const newPoints = [...points(), [x, y]].sort((a, b) => a[0] - b[0]);
+        index = newPoints.findIndex(point => point[0] === x && point[1] === y);
+        commitPoints(newPoints);
+      }
+
+      dragging = index;
+      canvasEl.setPointerCapture(event.pointerId);
+    });
+
+    canvasEl.addEventListener('pointermove', event => {
+      if (dragging === null) return;
+
+      const existing = points();
+      const [x, y] = toCurve(event);
+
+      // A point can't pass its neighbors
+      const minX = dragging > 0 ? existing[dragging - 1][0] + 1 : 0;
+      const maxX = dragging < existing.length - 1 ? existing[dragging + 1][0] - 1 : CURVE_SIZE - 1;
+
+      const newPoints = existing.map(point => [...point]);
+      newPoints[dragging] = [Math.min(maxX, Math.max(minX, x)), y];
+      commitPoints(newPoints);
+    });
+
+    canvasEl.addEventListener('pointerup', () => {
+      dragging = null;
+    });
+
+    canvasEl.addEventListener('dblclick', event => {
+      const index = findPoint(event);
+
+      // The end points stay
+      if (index > 0 && index < points().length - 1) {
+        commitPoints(points().filter((_, i) => i !== index));
+      }
+    });
+
+    channelEl.addEventListener('change', draw);
+
+    /**
+     * Draw the grid, the identity line, the curve and its control points
+     */
+    function draw() {
+      const style = getComputedStyle(canvasEl);
+      const lineColor = style.getPropertyValue('--color-border') || '#E5E7EB';
+      const curveColor = style.getPropertyValue('--color-primary') || '#3B82F6';
+
+      ctx.clearRect(0, 0, CURVE_SIZE, CURVE_SIZE);
+
+      ctx.strokeStyle = lineColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let i = 1; i < 4; i++) {
+        const position = i * CURVE_SIZE / 4 + 0.5;
+        ctx.moveTo(position, 0);
+        ctx.lineTo(position, CURVE_SIZE);
+        ctx.moveTo(0, position);
+        ctx.lineTo(CURVE_SIZE, position);
+      }
+      ctx.moveTo(0, CURVE_SIZE);
+      ctx.lineTo(CURVE_SIZE, 0);
+      ctx.stroke();
+
+      const table = compileCurve(points());
+      ctx.strokeStyle = curveColor;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      table.forEach((value, input) => {
+        const y = CURVE_SIZE - 1 - value;
+        if (input === 0) {
+          ctx.moveTo(input, y);
+        } else {
+          ctx.lineTo(input, y);
+        }
+      });
+      ctx.stroke();
+
+      ctx.fillStyle = curveColor;
+      points().forEach(([x, y]) => {
+        ctx.beginPath();
+        ctx.arc(x, CURVE_SIZE - 1 - y, 4, 0, Math.PI * 2);
+        ctx.fill();
+      });
+    }
+
+    draw();
+  }
+
+  /**
+   * Round and clamp a curve coordinate to 0-255
+   * @param {number} value - Coordinate
+   * @returns {number} - Clamped coordinate
+   */
+  function clampValue(value) {
+    return Math.max(0, Math.min(CURVE_SIZE - 1, Math.round(value)));
+  }
+
+  return {
+    init,
+    showLevelsDialog,
+    showCurvesDialog
+  };
+}
@@ -1,3 +1,5 @@
+import { getDefaultTransform } from '../editor/transform.js';
+
 /**
  * Sets up the tools UI
  * @param {Object} config - Configuration object
@@ -6,16 +8,33 @@
  * @returns {Object} - Tools UI API
  */
 export function setupToolsUI({ editor, eventBus }) {
-  // Adjustment sliders
-  const brightnessSlider = document.getElementById('brightness');
-  const contrastSlider = document.getElementById('contrast');
+  // Adjustment sliders, built from the editor's adjustment list
+  const adjustmentSlidersEl = document.getElementById('adjustment-sliders');
   
-  // Filter buttons
-  const filterButtons = document.querySelectorAll('.filter-btn');
+  // Map: adjustment ID => { slider, valueEl, default }
+  const adjustmentSliders = new Map();
+  
+  // Filter buttons and the active filter's parameter sliders, built from the registry
+  const filterButtonsEl = document.getElementById('filter-buttons');
+  const filterParamsEl = document.getElementById('filter-params');
   
   // Tool buttons
   const rotateLeftBtn = document.getElementById('rotate-left');
   const rotateRightBtn = document.getElementById('rotate-right');
+  const flipHorizontalBtn = document.getElementById('flip-horizontal');
+  const flipVerticalBtn = document.getElementById('flip-vertical');
+  
+  // Free rotation controls
+  const angleSlider = document.getElementById('rotation-angle');
+  const interpolationSelect = document.getElementById('rotation-interpolation');
+  const autoCropCheckbox = document.getElementById('rotation-auto-crop');
+  const straightenBtn = document.getElementById('straighten');
+  
+  // Straighten line, drawn over the preview canvas
+  const canvasContainer = document.querySelector('.canvas-container');
+  const previewCanvas = document.getElementById('preview-canvas');
+  const straightenOverlay = document.getElementById('straighten-overlay');
+  const straightenLine = document.getElementById('straighten-line');
   
   // History buttons
   const undoBtn = document.getElementById('undo');
@@ -32,94 +51,161 @@ export function setupToolsUI({ editor, eventBus }) {
     // Set up sliders
     setupSliders();
     
-    // Set up filter buttons
-    setupFilterButtons();
+    // Build filter buttons from the registry
+    renderFilterButtons();
+    eventBus.on('filter:registered', renderFilterButtons);
     
     // Set up tool buttons
     setupToolButtons();
     
+    // Set up free rotation and the straighten tool
+    setupFreeRotation();
+    eventBus.on('transform:changed', showTransform);
+    
     // Set up history buttons
     setupHistoryButtons();
     
     // Listen for history updates
     listenForHistoryUpdates();
+    
+    // Show the active document's settings when switching tabs
+    eventBus.on('document:switched', syncTools);
   }
   
   /**
    * Set up adjustment sliders
    */
   function setupSliders() {
-    // Helper function to update slider value display
-    function updateSliderValue(slider, value) {
-      const valueEl = slider.nextElementSibling;
-      valueEl.textContent = value;
-    }
-    
-    // Brightness slider
-    brightnessSlider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value, 10);
-      updateSliderValue(brightnessSlider, value);
-      
-      // Debounce the actual processing
-      clearTimeout(sliderTimer);
-      sliderTimer = setTimeout(() => {
+    editor.getAdjustments().forEach(adjustment => {
+      const { controlEl, sliderEl, valueEl } = createSlider(adjustment.id, adjustment, adjustment.default, value => {
         eventBus.emit('image:modify', {
           type: 'adjustments',
-          data: { brightness: value }
+          data: { [adjustment.id]: value }
         });
-      }, DEBOUNCE_DELAY);
+      });
+      
+      adjustmentSliders.set(adjustment.id, { slider: sliderEl, valueEl, default: adjustment.default });
+      adjustmentSlidersEl.appendChild(controlEl);
     });
+  }
+  
+  /**
+   * Create a labelled range slider. Input is debounced before it is reported,
+   * and releasing the slider saves a history state.
+   * @param {string} id - Element ID of the slider
+   * @param {Object} range - { label, min, max, step }
+   * @param {number} value - Initial value
+   * @param {Function} onInput - Called with the new value
+   * @returns {Object} - { controlEl, sliderEl, valueEl }
+   */
+  function createSlider(id, { label, min, max, step }, value, onInput) {
+    const controlEl = document.createElement('div');
+    controlEl.className = 'tool-control';
+    
+    const labelEl = document.createElement('label');
+    labelEl.htmlFor = id;
+    labelEl.textContent = label;
     
-    // Contrast slider
-    contrastSlider.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value, 10);
-      updateSliderValue(contrastSlider, value);
+    const sliderEl = document.createElement('input');
+    sliderEl.type = 'range';
+    sliderEl.id = id;
+    sliderEl.className = 'slider';
+    sliderEl.min = min;
+    sliderEl.max = max;
+    sliderEl.step = step;
+    sliderEl.value = value;
+    
+    const valueEl = document.createElement('span');
+    valueEl.className = 'slider-value';
+    valueEl.textContent = sliderEl.value;
+    
+    sliderEl.addEventListener('input', () => {
+      const newValue = parseFloat(sliderEl.value);
+      valueEl.textContent = newValue;
       
       // Debounce the actual processing
       clearTimeout(sliderTimer);
-      sliderTimer = setTimeout(() => {
-        eventBus.emit('image:modify', {
-          type: 'adjustments',
-          data: { contrast: value }
-        });
-      }, DEBOUNCE_DELAY);
+      sliderTimer = setTimeout(() => onInput(newValue), DEBOUNCE_DELAY);
     });
     
-    // Save adjustments when sliders are released
-    brightnessSlider.addEventListener('change', () => {
+    sliderEl.addEventListener('change', () => {
       eventBus.emit('image:modify', { type: 'saveState' });
     });
     
-    contrastSlider.addEventListener('change', () => {
-      eventBus.emit('image:modify', { type: 'saveState' });
-    });
+    controlEl.appendChild(labelEl);
+    controlEl.appendChild(sliderEl);
+    controlEl.appendChild(valueEl);
+    
+    return { controlEl, sliderEl, valueEl };
   }
   
   /**
-   * Set up filter buttons
+   * Build a button per registered filter, plus "None", keeping the active one marked
    */
-  function setupFilterButtons() {
-    filterButtons.forEach(button => {
+  function renderFilterButtons() {
+    const activeButton = filterButtonsEl.querySelector('.filter-btn.active');
+    const current = activeButton ? activeButton.dataset.filter : 'none';
+    
+    filterButtonsEl.innerHTML = '';
+    
+    [{ id: 'none', label: 'None' }, ...editor.getFilters()].forEach(({ id, label }) => {
+      const button = document.createElement('button');
+      button.id = `filter-${id}`;
+      button.className = `btn filter-btn${id === current ? ' active' : ''}`;
+      button.dataset.filter = id;
+      button.textContent = label;
+      button.disabled = !editor.hasImage();
+      
       button.addEventListener('click', () => {
-        // Remove active class from all filter buttons
-        filterButtons.forEach(btn => btn.classList.remove('active'));
-        
-        // Add active class to clicked button
-        button.classList.add('active');
-        
-        // Get the filter name from the button ID
-        const filterId = button.id;
-        const filterName = filterId.replace('filter-', '');
+        setActiveFilterButton(id);
         
         // Apply the filter
         eventBus.emit('image:modify', {
           type: 'filter',
-          data: filterName
+          data: id
         });
         
+        renderFilterParams(id, editor.getFilterParams());
+        
         // Save state
         eventBus.emit('image:modify', { type: 'saveState' });
       });
+      
+      filterButtonsEl.appendChild(button);
+    });
+  }
+  
+  /**
+   * Mark a filter's button as the active one
+   * @param {string} filterId - Filter ID
+   */
+  function setActiveFilterButton(filterId) {
+    filterButtonsEl.querySelectorAll('.filter-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.filter === filterId);
+    });
+  }
+  
+  /**
+   * Show sliders for a filter's parameters
+   * @param {string} filterId - Filter ID
+   * @param {Object} values - Parameter ID => current value
+   */
+  function renderFilterParams(filterId, values) {
+    filterParamsEl.innerHTML = '';
+    
+    const filter = editor.getFilters().find(({ id }) => id === filterId);
+    if (!filter) return;
+    
+    filter.params.forEach(param => {
+      const range = { ...param, label: param.label || param.id };
+      const { controlEl } = createSlider(`filter-param-${param.id}`, range, values[param.id] ?? param.default, value => {
+        eventBus.emit('image:modify', {
+          type: 'filter',
+          data: { id: filterId, params: { [param.id]: value } }
+        });
+      });
+      
+      filterParamsEl.appendChild(controlEl);
     });
   }
   
@@ -148,6 +234,121 @@ export function setupToolsUI({ editor, eventBus }) {
       // Save state
       eventBus.emit('image:modify', { type: 'saveState' });
     });
+    
+    // Flips mirror the image as displayed
+    flipHorizontalBtn.addEventListener('click', () => {
+      eventBus.emit('image:modify', { type: 'flip', data: 'horizontal' });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+    
+    flipVerticalBtn.addEventListener('click', () => {
+      eventBus.emit('image:modify', { type: 'flip', data: 'vertical' });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+  }
+  
+  /**
+   * Set up the free rotation controls and the straighten tool
+   */
+  function setupFreeRotation() {
+    editor.getInterpolations().forEach(({ id, label }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = label;
+      interpolationSelect.appendChild(option);
+    });
+    
+    angleSlider.addEventListener('input', () => {
+      const angle = parseFloat(angleSlider.value);
+      angleSlider.nextElementSibling.textContent = angle;
+      
+      // Debounce the actual processing
+      clearTimeout(sliderTimer);
+      sliderTimer = setTimeout(() => {
+        eventBus.emit('image:modify', { type: 'transform', data: { angle } });
+      }, DEBOUNCE_DELAY);
+    });
+    
+    angleSlider.addEventListener('change', () => {
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+    
+    interpolationSelect.addEventListener('change', () => {
+      eventBus.emit('image:modify', { type: 'transform', data: { interpolation: interpolationSelect.value } });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+    
+    autoCropCheckbox.addEventListener('change', () => {
+      eventBus.emit('image:modify', { type: 'transform', data: { autoCrop: autoCropCheckbox.checked } });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+    
+    // Straighten: click the button, then drag along something that should be level
+    let lineStart = null;
+    
+    straightenBtn.addEventListener('click', () => {
+      const active = canvasContainer.classList.toggle('straightening');
+      straightenBtn.classList.toggle('active', active);
+    });
+    
+    // Pointer position relative to the container, for the overlay
+    function toContainer(event) {
+      const rect = canvasContainer.getBoundingClientRect();
+      return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+    
+    previewCanvas.addEventListener('pointerdown', event => {
+      if (!canvasContainer.classList.contains('straightening')) return;
+      
+      lineStart = toContainer(event);
+      previewCanvas.setPointerCapture(event.pointerId);
+      
+      straightenLine.setAttribute('x1', lineStart.x);
+      straightenLine.setAttribute('y1', lineStart.y);
+      straightenLine.setAttribute('x2', lineStart.x);
+      straightenLine.setAttribute('y2', lineStart.y);
+      straightenOverlay.classList.remove('hidden');
+    });
+    
+    previewCanvas.addEventListener('pointermove', event => {
+      if (!lineStart) return;
+      
+      const { x, y } = toContainer(event);
+      straightenLine.setAttribute('x2', x);
+      straightenLine.setAttribute('y2', y);
+    });
+    
+    previewCanvas.addEventListener('pointerup', event => {
+      if (!lineStart) return;
+      
+      const lineEnd = toContainer(event);
+      const start = lineStart;
+      lineStart = null;
+      
+      straightenOverlay.classList.add('hidden');
+      canvasContainer.classList.remove('straightening');
+      straightenBtn.classList.remove('active');
+      
+      // Ignore clicks without a line
+      if (Math.hypot(lineEnd.x - start.x, lineEnd.y - start.y) < 10) return;
+      
+      eventBus.emit('image:modify', {
+        type: 'straighten',
+        data: { x1: start.x, y1: start.y, x2: lineEnd.x, y2: lineEnd.y }
+      });
+      eventBus.emit('image:modify', { type: 'saveState' });
+    });
+  }
+  
+  /**
+   * Show free rotation settings in the controls
+   * @param {Object} transform - { angle, interpolation, autoCrop }
+   */
+  function showTransform({ angle, interpolation, autoCrop }) {
+    angleSlider.value = angle;
+    angleSlider.nextElementSibling.textContent = angle;
+    interpolationSelect.value = interpolation;
+    autoCropCheckbox.checked = autoCrop;
   }
   
   /**
@@ -179,21 +380,42 @@ export function setupToolsUI({ editor, eventBus }) {
    * Reset all tools to default state
    */
   function resetTools() {
-    // Reset sliders
-    brightnessSlider.value = 0;
-    contrastSlider.value = 0;
-    
-    // Update slider value displays
-    brightnessSlider.nextElementSibling.textContent = '0';
-    contrastSlider.nextElementSibling.textContent = '0';
+    // Reset sliders and their value displays
+    adjustmentSliders.forEach(({ slider, valueEl, default: defaultValue }) => {
+      slider.value = defaultValue;
+      valueEl.textContent = slider.value;
+    });
     
     // Reset filter buttons
-    filterButtons.forEach(btn => btn.classList.remove('active'));
-    document.getElementById('filter-none').classList.add('active');
+    setActiveFilterButton('none');
+    renderFilterParams('none', {});
+    
+    // Reset free rotation
+    showTransform(getDefaultTransform());
+  }
+  
+  /**
+   * Show a document's adjustments and filter in the controls
+   * @param {Object} state - Editing state
+   * @param {Object} state.adjustments - Adjustment ID => value
+   * @param {string} state.filter - Active filter
+   * @param {Object} state.filterParams - Active filter's parameter values
+   * @param {Object} state.transform - Flips and free rotation
+   */
+  function syncTools({ adjustments, filter, filterParams, transform }) {
+    adjustmentSliders.forEach(({ slider, valueEl, default: defaultValue }, id) => {
+      slider.value = adjustments[id] ?? defaultValue;
+      valueEl.textContent = slider.value;
+    });
+    
+    setActiveFilterButton(filter);
+    renderFilterParams(filter, filterParams || {});
+    showTransform(transform || getDefaultTransform());
   }
   
   return {
     init,
-    resetTools
+    resetTools,
+    syncTools
   };
 }
\ No newline at end of file
@@ -0,0 +1,175 @@
+// SVG namespace for the hit-ratio curve
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Plot area inside the curve's 240×120 viewBox
+const PLOT = { left: 24, right: 232, top: 8, bottom: 104 };
+
+/**
+ * Sets up the trace recording, export and replay panel
+ * @param {Object} config - Configuration object
+ * @param {Object} config.memoryManager - Memory manager instance
+ * @param {Object} config.eventBus - Event bus for communication
+ * @returns {Object} - Trace UI API
+ */
+export function setupTraceUI({ memoryManager, eventBus }) {
+  // DOM elements
+  const recordingEl = document.getElementById('trace-recording');
+  const statusEl = document.getElementById('trace-status');
+  const exportJsonBtn = document.getElementById('trace-export-json');
+  const exportCsvBtn = document.getElementById('trace-export-csv');
+  const clearBtn = document.getElementById('trace-clear');
+  const replayPolicyEl = document.getElementById('trace-replay-policy');
+  const replayMemoryEl = document.getElementById('trace-replay-memory');
+  const replayRecordedBtn = document.getElementById('trace-replay-recorded');
+  const replayFileBtn = document.getElementById('trace-replay-file');
+  const traceFileEl = document.getElementById('trace-file');
+  const resultEl = document.getElementById('trace-replay-result');
+  const curveEl = document.getElementById('trace-curve');
+
+  /**
+   * Initialize the trace UI
+   */
+  function init() {
+    memoryManager.getAvailablePolicies().forEach(({ id, label }) => {
+      const optionEl = document.createElement('option');
+      optionEl.value = id;
+      optionEl.textContent = label;
+      replayPolicyEl.appendChild(optionEl);
+    });
+    replayPolicyEl.value = memoryManager.getPolicyName();
+    replayMemoryEl.value = memoryManager.getTrace().memoryLimit;
+
+    recordingEl.addEventListener('change', () => {
+      memoryManager.setTraceRecording(recordingEl.checked);
+    });
+
+    exportJsonBtn.addEventListener('click', () => downloadTrace('json'));
+    exportCsvBtn.addEventListener('click', () => downloadTrace('csv'));
+    clearBtn.addEventListener('click', () => memoryManager.clearTrace());
+
+    replayRecordedBtn.addEventListener('click', () => replay());
+    replayFileBtn.addEventListener('click', () => traceFileEl.click());
+    traceFileEl.addEventListener('change', async (e) => {
+      if (e.target.files.length === 0) return;
+
+      const text = await e.target.files[0].text();
+      replay(text, e.target.files[0].name);
+      traceFileEl.value = '';
+    });
+
+    eventBus.on('memory:stats:updated', updateStatus);
+    updateStatus(memoryManager.getMemoryStats());
+  }
+
+  /**
+   * Show how much of the trace has been recorded
+   * @param {Object} stats - Memory statistics
+   */
+  function updateStatus(stats) {
+    recordingEl.checked = stats.traceRecording;
+    statusEl.textContent = stats.traceDropped > 0
+      ? `${stats.traceEvents} events (${stats.traceDropped} dropped)`
+      : `${stats.traceEvents} events`;
+  }
+
+  /**
+   * Download the recorded trace
+   * @param {string} format - 'json' or 'csv'
+   */
+  function downloadTrace(format) {
+    const text = memoryManager.exportTrace(format);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const url = URL.createObjectURL(new Blob([text], { type }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `memory_trace.${format}`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Replay a trace at the chosen settings and plot its hit-ratio curve
+   * @param {string} [text] - Exported trace text (defaults to the recorded trace)
+   * @param {string} [name] - Where the trace came from
+   */
+  function replay(text, name = 'recorded trace') {
+    const policy = replayPolicyEl.value;
+    const memoryLimit = parseFloat(replayMemoryEl.value);
+
+    try {
+      const result = memoryManager.replayTrace(text, { policy, memoryLimit });
+      const curve = memoryManager.getHitRatioCurve(text, { policy });
+
+      resultEl.textContent =
+        `${name}: ${result.hits} hits / ${result.faults} faults ` +
+        `(${(result.hitRatio * 100).toFixed(1)}%) with ${result.capacity} frames`;
+
+      drawCurve(curve, result);
+    } catch (error) {
+      console.error('Error replaying trace:', error);
+      resultEl.textContent = `Could not replay ${name}: ${error.message}`;
+      curveEl.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Plot hit ratio against memory size
+   * @param {Object[]} curve - Replay results ordered by memory size
+   * @param {Object} selected - Replay result at the chosen memory size
+   */
+  function drawCurve(curve, selected) {
+    curveEl.innerHTML = '';
+
+    if (curve.length === 0) {
+      curveEl.classList.add('hidden');
+      return;
+    }
+
+    const maxMemory = Math.max(selected.memoryLimit, curve[curve.length - 1].memoryLimit) || 1;
+    const toX = memory => PLOT.left + (memory / maxMemory) * (PLOT.right - PLOT.left);
+    const toY = ratio => PLOT.bottom - ratio * (PLOT.bottom - PLOT.top);
+
+    const lineEl = document.createElementNS(SVG_NS, 'polyline');
+    lineEl.setAttribute('class', 'curve-line');
+    lineEl.setAttribute('points', curve.map(point => `${toX(point.memoryLimit)},${toY(point.hitRatio)}`).join(' '));
+    curveEl.appendChild(lineEl);
+
+    const pointEl = document.createElementNS(SVG_NS, 'circle');
+    pointEl.setAttribute('class', 'curve-point');
+    pointEl.setAttribute('cx', toX(selected.memoryLimit));
+    pointEl.setAttribute('cy', toY(selected.hitRatio));
+    pointEl.setAttribute('r', 3);
+    curveEl.appendChild(pointEl);
+
+    // Axis labels
+    addLabel('100%', 2, PLOT.top + 3);
+    addLabel('0%', 2, PLOT.bottom);
+    addLabel(`${maxMemory.toFixed(1)} MB`, PLOT.right - 30, 116);
+
+    curveEl.classList.remove('hidden');
+  }
+
+  /**
+   * Add a text label to the curve
+   * @param {string} text - Label text
+   * @param {number} x - X position in viewBox units
+   * @param {number} y - Baseline position in viewBox units
+   */
+  function addLabel(text, x, y) {
+    const labelEl = document.createElementNS(SVG_NS, 'text');
+    labelEl.setAttribute('class', 'curve-label');
+    labelEl.setAttribute('x', x);
+    labelEl.setAttribute('y', y);
+    labelEl.textContent = text;
+    curveEl.appendChild(labelEl);
+  }
+
+  return {
+    init,
+    replay
+  };
+}
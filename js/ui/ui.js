@@ -1,6 +1,11 @@
 import { setupMemoryUI } from './memoryUI.js';
 import { setupToolsUI } from './toolsUI.js';
 import { setupModalUI } from './modalUI.js';
+import { setupTabsUI } from './tabsUI.js';
+import { setupTraceUI } from './traceUI.js';
+import { setupTonesUI } from './tonesUI.js';
+import { setupHistogramUI } from './histogramUI.js';
+import { setupPerspectiveUI } from './perspectiveUI.js';
 
 /**
  * Sets up the UI components
@@ -11,9 +16,14 @@ import { setupModalUI } from './modalUI.js';
  */
 export function setupUI({ editor, memoryManager, eventBus }) {
   // Setup UI components
-  const memoryUI = setupMemoryUI({ memoryManager, eventBus });
+  const memoryUI = setupMemoryUI({ memoryManager, editor, eventBus });
   const toolsUI = setupToolsUI({ editor, eventBus });
   const modalUI = setupModalUI({ eventBus });
+  const tabsUI = setupTabsUI({ editor, eventBus });
+  const traceUI = setupTraceUI({ memoryManager, eventBus });
+  const tonesUI = setupTonesUI({ editor, eventBus, modalUI });
+  const histogramUI = setupHistogramUI({ eventBus });
+  const perspectiveUI = setupPerspectiveUI({ editor, eventBus });
   
   // Upload button
   const uploadBtn = document.getElementById('upload-btn');
@@ -151,6 +161,10 @@ export function setupUI({ editor, memoryManager, eventBus }) {
     document.getElementById('loading-indicator').classList.add('hidden');
   });
   
+  eventBus.on('filter:error', ({ error }) => {
+    modalUI.showAlert('Unknown filter', error.message);
+  });
+  
   eventBus.on('image:rendering:error', (error) => {
     console.error('Rendering error:', error);
     document.getElementById('loading-indicator').classList.add('hidden');
@@ -194,6 +208,12 @@ export function setupUI({ editor, memoryManager, eventBus }) {
           type: 'checkbox',
           label: 'Maintain aspect ratio',
           defaultValue: true
+        },
+        method: {
+          type: 'select',
+          label: 'Resampling',
+          options: editor.getResampleMethods().map(({ id, label }) => ({ value: id, label })),
+          defaultValue: 'lanczos3'
         }
       },
       async (values) => {
@@ -204,7 +224,7 @@ export function setupUI({ editor, memoryManager, eventBus }) {
           const height = parseInt(values.height, 10);
           
           // Resize the image
-          await editor.resizeImage(width, height);
+          await editor.resizeImage(width, height, values.method);
         } catch (error) {
           console.error('Error resizing image:', error);
           modalUI.showAlert('Error', 'Failed to resize image. Please try again.');
@@ -213,6 +233,55 @@ export function setupUI({ editor, memoryManager, eventBus }) {
     );
   });
   
+  // Import a .cube LUT as a filter
+  const importLutBtn = document.getElementById('import-lut');
+  const lutUpload = document.getElementById('lut-upload');
+  
+  importLutBtn.addEventListener('click', () => {
+    lutUpload.click();
+  });
+  
+  lutUpload.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    // Let the same file be picked again later
+    lutUpload.value = '';
+    
+    const text = await file.text();
+    
+    modalUI.showOptionsDialog(
+      'Import LUT',
+      'Add the LUT as a filter:',
+      {
+        name: {
+          type: 'text',
+          label: 'Name',
+          defaultValue: file.name.replace(/\.cube$/i, '')
+        },
+        interpolation: {
+          type: 'select',
+          label: 'Interpolation',
+          options: editor.getLutInterpolations().map(({ id, label }) => ({ value: id, label })),
+          defaultValue: 'tetrahedral'
+        }
+      },
+      async (values) => {
+        if (!values) return;
+        
+        try {
+          await editor.importLut(text, {
+            name: values.name.trim(),
+            interpolation: values.interpolation
+          });
+        } catch (error) {
+          console.error('Error importing LUT:', error);
+          modalUI.showAlert('Error', `Failed to import LUT. ${error.message}`);
+        }
+      }
+    );
+  });
+  
   // Handle crop functionality
   // Note: For a real implementation, this would involve drawing a crop rectangle on the canvas,
   // but for this example, we'll use a simple dialog for dimensions
@@ -275,4 +344,9 @@ export function setupUI({ editor, memoryManager, eventBus }) {
   // Initialize UI
   toolsUI.init();
   memoryUI.init();
+  tabsUI.init();
+  traceUI.init();
+  tonesUI.init();
+  histogramUI.init();
+  perspectiveUI.init();
 }
\ No newline at end of file
@@ -0,0 +1,52 @@
+/**
+ * Runs requests against a single IndexedDB object store. The database is
+ * opened on the first request, creating the store if it doesn't exist yet.
+ * @param {Object} config - Configuration object
+ * @param {string} config.dbName - Database name
+ * @param {string} config.storeName - Object store name
+ * @param {Object} [config.storeOptions] - Options for createObjectStore (e.g. { keyPath })
+ * @returns {Function} - runRequest(mode, operation)
+ */
+export function createObjectStoreRunner({ dbName, storeName, storeOptions }) {
+  let dbPromise = null;
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>} - Open database
+   */
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(storeName, storeOptions);
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
+    return dbPromise;
+  }
+
+  /**
+   * Run a single request inside a transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns an IDBRequest
+   * @returns {Promise<*>} - Request result
+   */
+  return async function runRequest(mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+}
@@ -8,16 +8,41 @@ import { EventBus } from './js/utils/eventBus.js';
 const eventBus = new EventBus();
 
 // Initialize the memory manager with a 100MB limit and 1MB page size
+// (both adjustable from the memory panel), keeping up to 25MB of evicted
+// pages compressed in RAM, reading 4 pages ahead on sequential access
+// and caching 50MB of processed tiles. An 8MB cache sits above main
+// memory, and a fault on disk waits 5ms on top of the real read. Page
+// lookups go through a 64-entry, 4-way set-associative TLB.
 const memoryManager = setupMemoryManager({
   memoryLimit: 100,
   pageSize: 1,
+  compression: {
+    codec: 'deflate',
+    limit: 25
+  },
+  prefetchWindow: 4,
+  resultCacheLimit: 50,
+  tiers: {
+    cache: { capacity: 8, latency: 0.01 },
+    ram: { latency: 0.1 },
+    compressed: { latency: 0.5 },
+    disk: { latency: 5 }
+  },
+  tlb: {
+    entries: 64,
+    associativity: 4,
+    policy: 'lru'
+  },
   eventBus
 });
 
-// Initialize the image editor with the memory manager and event bus
+// Initialize the image editor with the memory manager and event bus.
+// Chunk kernels run on a pool of 4 Web Workers (adjustable from the
+// memory panel, 0 runs them on the main thread).
 const editor = setupEditor({
   canvasId: 'preview-canvas',
   memoryManager,
+  workers: 4,
   eventBus
 });
 
@@ -39,4 +64,5 @@ document.getElementById('theme-toggle').addEventListener('click', () => {
 });
 
 // Log startup message
-console.log('MemoryEdit initialized with 100MB virtual memory and 1MB page size');
\ No newline at end of file
+const { memoryLimit, pageSize } = memoryManager.getMemoryStats();
+console.log(`MemoryEdit initialized with ${memoryLimit}MB virtual memory and ${pageSize}MB page size`);
\ No newline at end of file
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import '../js/editor/builtinFilters.js';
+import { processChunk } from '../js/editor/kernels.js';
+import { getFilterRadius } from '../js/editor/filters.js';
+import { setupMemoryManager } from '../js/memory/memoryManager.js';
+import { createMemoryStore } from '../js/memory/backingStore.js';
+
+// The memory manager builds its output as ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+};
+
+const eventBus = { on() {}, off() {}, emit() {} };
+
+/**
+ * Image of pseudo-random pixels, the same on every call
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} - Image
+ */
+function createNoiseImage(width, height) {
+  let seed = 11;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    data[i] = i % 4 === 3 ? 255 : seed % 256;
+  }
+  return new ImageData(data, width, height);
+}
+
+const FILTERS = [
+  { id: 'gaussian-blur', params: { sigma: 2 } },
+  { id: 'gaussian-blur', params: { sigma: 6.5 } },
+  { id: 'box-blur', params: { radius: 3 } },
+  { id: 'sharpen', params: { amount: 80 } },
+  { id: 'edges', params: {} },
+  { id: 'emboss', params: {} }
+];
+
+for (const filter of FILTERS) {
+  test(`${filter.id} ${JSON.stringify(filter.params)} on a paged image matches the whole image`, async () => {
+    // Tiles that don't divide the image, and room for only a few of them
+    const memoryManager = setupMemoryManager({
+      memoryLimit: 0.01,
+      tileWidth: 16,
+      tileHeight: 12,
+      backingStore: createMemoryStore(),
+      eventBus
+    });
+    memoryManager.registerChunkProcessor(processChunk, {
+      getHalo: ({ id, params }) => getFilterRadius(id, params)
+    });
+
+    const image = createNoiseImage(101, 67);
+    await memoryManager.storeImage(image);
+
+    const paged = await memoryManager.processImageChunks(image, {}, filter, 0);
+    const whole = processChunk(image.data, {}, filter, { width: image.width, height: image.height, halo: 0 });
+
+    assert.ok(memoryManager.getMemoryStats().evictions > 0, 'the render should page');
+    assert.deepEqual(paged.data, whole);
+  });
+}
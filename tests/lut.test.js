@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCube, applyLut } from '../js/editor/lut.js';
+
+/**
+ * Write a .cube file, red changing fastest
+ * @param {number} size - Cube size
+ * @param {Function} entry - (r, g, b) => [r, g, b] output for a lattice point, 0 to 1
+ * @param {string[]} [header] - Extra header lines
+ * @returns {string} - File contents
+ */
+function writeCube(size, entry, header = []) {
+  const lines = ['TITLE "Test"', `LUT_3D_SIZE ${size}`, ...header];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        lines.push(entry(r / (size - 1), g / (size - 1), b / (size - 1)).join(' '));
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Pixels covering every gray level plus a spread of colors
+ * @returns {Uint8ClampedArray} - RGBA pixel data
+ */
+function createSamplePixels() {
+  const pixels = [];
+  for (let value = 0; value < 256; value++) {
+    pixels.push(value, value, value, 255);
+  }
+  for (let r = 0; r < 256; r += 15) {
+    for (let g = 0; g < 256; g += 15) {
+      for (let b = 0; b < 256; b += 15) {
+        pixels.push(r, g, b, 255);
+      }
+    }
+  }
+  return Uint8ClampedArray.from(pixels);
+}
+
+test('parseCube reads the title, the domain and the table', () => {
+  const lut = parseCube(writeCube(2, (r, g, b) => [r, g, b], ['DOMAIN_MIN 0 0.1 0', 'DOMAIN_MAX 1 0.9 2']));
+
+  assert.equal(lut.title, 'Test');
+  assert.equal(lut.size, 2);
+  assert.deepEqual(lut.domainMin, [0, 0.1, 0]);
+  assert.deepEqual(lut.domainMax, [1, 0.9, 2]);
+  assert.equal(lut.table.length, 2 * 2 * 2 * 3);
+  assert.deepEqual(Array.from(lut.table.slice(3, 6)), [1, 0, 0]);
+});
+
+test('parseCube rejects a malformed header or size', () => {
+  assert.throws(() => parseCube('LUT_3D_SIZE abc\n0 0 0'), /line 1: unsupported LUT size/);
+  assert.throws(() => parseCube('LUT_3D_SIZE 1\n0 0 0'), /unsupported LUT size 1/);
+  assert.throws(() => parseCube('LUT_3D_SIZE 257'), /unsupported LUT size 257/);
+  assert.throws(() => parseCube('LUT_1D_SIZE 16'), /1D LUTs are not supported/);
+  assert.throws(() => parseCube('# no size\n0 0 0'), /table entries before LUT_3D_SIZE/);
+  assert.throws(() => parseCube('TITLE "Empty"'), /no LUT_3D_SIZE/);
+  assert.throws(() => parseCube(writeCube(2, (r, g, b) => [r, g, b], ['DOMAIN_MIN 0 0'])), /DOMAIN_MIN needs three numbers/);
+  assert.throws(() => parseCube(writeCube(2, (r, g, b) => [r, g, b], ['LUT_3D_GAIN 2'])), /expected a keyword or three numbers/);
+});
+
+test('parseCube rejects a table with the wrong number of entries', () => {
+  const cube = writeCube(2, (r, g, b) => [r, g, b]);
+
+  assert.throws(() => parseCube(cube.split('\n').slice(0, -1).join('\n')), /expected 8 table entries, found 7/);
+  assert.throws(() => parseCube(`${cube}\n0 0 0`), /line 11: more than 8 table entries/);
+});
+
+test('parseCube rejects a DOMAIN_MAX that is not above DOMAIN_MIN', () => {
+  const cube = writeCube(2, (r, g, b) => [r, g, b], ['DOMAIN_MIN 0 0.5 0', 'DOMAIN_MAX 1 0.5 1']);
+
+  assert.throws(() => parseCube(cube), /DOMAIN_MAX must be above DOMAIN_MIN/);
+});
+
+test('the domain maps input values onto the cube', () => {
+  // Inputs 0 to 1 cover only the lower half of a 0 to 2 domain
+  const lut = parseCube(writeCube(2, (r, g, b) => [r, g, b], ['DOMAIN_MIN 0 0 0', 'DOMAIN_MAX 2 2 2']));
+  const data = Uint8ClampedArray.from([255, 0, 102, 255]);
+
+  applyLut(data, lut, { interpolation: 'trilinear' });
+  assert.deepEqual(Array.from(data), [128, 0, 51, 255]);
+});
+
+for (const interpolation of ['trilinear', 'tetrahedral']) {
+  test(`an identity LUT leaves every pixel unchanged (${interpolation})`, () => {
+    for (const size of [2, 17, 33]) {
+      const lut = parseCube(writeCube(size, (r, g, b) => [r, g, b]));
+      const data = createSamplePixels();
+      const original = data.slice();
+
+      applyLut(data, lut, { interpolation });
+      assert.deepEqual(data, original, `size ${size}`);
+    }
+  });
+}
+
+test('tetrahedral and trilinear interpolation agree on lattice points', () => {
+  // A size-16 cube puts a lattice point on every multiple of 17
+  const size = 16;
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const lut = parseCube(writeCube(size, () => [random(), random(), random()]));
+
+  const pixels = [];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        pixels.push(r * 17, g * 17, b * 17, 255);
+      }
+    }
+  }
+  const trilinear = Uint8ClampedArray.from(pixels);
+  const tetrahedral = Uint8ClampedArray.from(pixels);
+
+  applyLut(trilinear, lut, { interpolation: 'trilinear' });
+  applyLut(tetrahedral, lut, { interpolation: 'tetrahedral' });
+  assert.deepEqual(tetrahedral, trilinear);
+
+  // ...and both return the table entry there
+  const entry = Array.from(lut.table.slice(0, 3), value => Math.round(value * 255));
+  assert.deepEqual(Array.from(trilinear.slice(0, 3)), entry);
+});
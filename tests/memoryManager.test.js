@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMemoryManager } from '../js/memory/memoryManager.js';
+import { createMemoryStore } from '../js/memory/backingStore.js';
+import { listPolicies } from '../js/memory/policies.js';
+
+// The memory manager builds its output as ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+};
+
+const eventBus = { on() {}, off() {}, emit() {} };
+
+/**
+ * Opaque test image with a different value in every tile
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} - Image
+ */
+function createImage(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const pixel = i / 4;
+    data[i] = 1 + (pixel % width) % 254;
+    data[i + 1] = 1 + Math.floor(pixel / width) % 254;
+    data[i + 2] = 128;
+    data[i + 3] = 255;
+  }
+  return new ImageData(data, width, height);
+}
+
+for (const { id: policy } of listPolicies()) {
+  test(`renders every tile with read-ahead under the ${policy} policy`, async () => {
+    // Room for a handful of 20x20 tiles, so read-ahead competes with the faults it serves
+    const memoryManager = setupMemoryManager({
+      memoryLimit: 0.02,
+      tileWidth: 20,
+      tileHeight: 20,
+      prefetchWindow: 4,
+      policy,
+      backingStore: createMemoryStore(),
+      eventBus
+    });
+    memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+    const image = createImage(400, 150);
+    await memoryManager.storeImage(image);
+
+    for (let pass = 0; pass < 3; pass++) {
+      const output = await memoryManager.processImageChunks(image, {}, 'none', 0);
+      assert.deepEqual(output.data, image.data, `pass ${pass} dropped pixels`);
+    }
+  });
+}
+
+test('a render hands every processed tile to its observer without an extra pass', async () => {
+  const memoryManager = setupMemoryManager({
+    memoryLimit: 0.02,
+    tileWidth: 20,
+    tileHeight: 20,
+    backingStore: createMemoryStore(),
+    eventBus
+  });
+  memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+  const image = createImage(400, 150);
+  await memoryManager.storeImage(image);
+
+  const before = memoryManager.getMemoryStats();
+  let chunks = 0;
+  let pixels = 0;
+  await memoryManager.processImageChunks(image, {}, 'none', 0, undefined, chunkData => {
+    chunks++;
+    pixels += chunkData.length / 4;
+  });
+
+  // 20 x 8 tiles, each referenced once, by the render itself
+  const after = memoryManager.getMemoryStats();
+  assert.equal(chunks, 20 * 8);
+  assert.equal(pixels, 400 * 150);
+  assert.equal(after.pageHits + after.pageFaults - before.pageHits - before.pageFaults, chunks);
+});
+
+test('clearing pages while one is being compressed leaves no stale compressed page', async () => {
+  const memoryManager = setupMemoryManager({
+    memoryLimit: 0.02,
+    tileWidth: 20,
+    tileHeight: 20,
+    compression: { codec: 'deflate', minRatio: 1 },
+    backingStore: createMemoryStore(),
+    eventBus
+  });
+  memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+  const image = createImage(400, 150);
+  await memoryManager.storeImage(image);
+
+  // Clear as soon as the render evicts a page, while its compression is still running
+  const { activePages } = memoryManager.getMemoryStats();
+  const render = memoryManager.processImageChunks(image, {}, 'none', 0).catch(() => null);
+  while (memoryManager.getMemoryStats().activePages === activePages) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  await memoryManager.clearAllPages();
+  await render;
+
+  const stats = memoryManager.getMemoryStats();
+  assert.equal(stats.compressedPages, 0);
+  assert.equal(stats.compressedBytes, 0);
+  assert.equal(stats.inactivePages, 0);
+  assert.equal(stats.residentBytes, 0);
+});
+
+test('pages left in the backing store by an earlier session are cleared on startup', async () => {
+  const backingStore = createMemoryStore();
+  await backingStore.write('page_0', new Uint8ClampedArray(16).fill(7));
+
+  setupMemoryManager({ memoryLimit: 0.02, backingStore, eventBus });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(await backingStore.read('page_0'), null);
+});
+
+test('changing the page size waits for a render in flight', async () => {
+  const memoryManager = setupMemoryManager({
+    memoryLimit: 0.02,
+    tileWidth: 20,
+    tileHeight: 20,
+    backingStore: createMemoryStore(),
+    eventBus
+  });
+  memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+  const image = createImage(400, 150);
+  await memoryManager.storeImage(image);
+
+  const render = memoryManager.processImageChunks(image, {}, 'none', 0);
+  await memoryManager.setPageSize(0.004);
+
+  assert.deepEqual((await render).data, image.data);
+  assert.deepEqual((await memoryManager.processImageChunks(image, {}, 'none', 0)).data, image.data);
+});
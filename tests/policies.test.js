@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createLRUPolicy,
+  createFIFOPolicy,
+  createClockPolicy,
+  createLFUPolicy,
+  createARCPolicy,
+  createOPTPolicy
+} from '../js/memory/policies.js';
+
+/**
+ * Feed a reference string to a policy the way the memory manager does
+ * @param {Object} policy - Replacement policy
+ * @param {string[]} pageIds - Referenced pages, in order
+ * @param {Set<string>} [resident] - Resident pages, updated as pages are referenced
+ */
+function referenceAll(policy, pageIds, resident = new Set()) {
+  for (const pageId of pageIds) {
+    const hit = resident.has(pageId);
+    resident.add(pageId);
+    policy.reference(pageId, hit);
+  }
+}
+
+test('LRU evicts the least recently referenced page', () => {
+  const policy = createLRUPolicy();
+  referenceAll(policy, ['a', 'b', 'c', 'a']);
+
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'b');
+
+  policy.remove('b');
+  assert.equal(policy.selectVictim(['a', 'c']), 'c');
+});
+
+test('FIFO evicts in load order, whatever was referenced since', () => {
+  const policy = createFIFOPolicy();
+  referenceAll(policy, ['a', 'b', 'c', 'a', 'a']);
+
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'a');
+
+  policy.remove('a');
+  assert.equal(policy.selectVictim(['b', 'c']), 'b');
+});
+
+test('Clock gives a referenced page a second chance and clears its bit', () => {
+  const policy = createClockPolicy();
+  ['a', 'b', 'c'].forEach(pageId => policy.insert(pageId));
+  policy.reference('a', true);
+
+  // a is oldest but referenced: the hand clears its bit and moves on
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'b');
+  policy.remove('b');
+
+  assert.equal(policy.selectVictim(['a', 'c']), 'c');
+  policy.remove('c');
+
+  // The second chance is used up
+  assert.equal(policy.selectVictim(['a']), 'a');
+});
+
+test('LFU evicts the least used page, the least recently used one on ties', () => {
+  const policy = createLFUPolicy();
+  referenceAll(policy, ['a', 'b', 'c', 'a']);
+
+  // b and c have one reference each; b's is older
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'b');
+
+  referenceAll(policy, ['b'], new Set(['a', 'b', 'c']));
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'c');
+});
+
+test('ARC grows the recency side after a hit in its ghost list', () => {
+  /**
+   * ARC with two frames after a b evicted: T1 = [c], T2 = [a], B1 = [b]
+   * @returns {Object} - Policy
+   */
+  function createWarmPolicy() {
+    const policy = createARCPolicy({ capacity: 2 });
+    referenceAll(policy, ['a', 'a', 'b']);
+
+    assert.equal(policy.selectVictim(['a', 'b'], 'c'), 'b');
+    policy.remove('b');
+    referenceAll(policy, ['c']);
+
+    return policy;
+  }
+
+  // A new page takes the frame of the recency side's page
+  assert.equal(createWarmPolicy().selectVictim(['a', 'c'], 'd'), 'c');
+
+  // b was evicted too early: the recency target grows and the frequency side gives way
+  assert.equal(createWarmPolicy().selectVictim(['a', 'c'], 'b'), 'a');
+});
+
+test('OPT evicts the page whose next reference is furthest away', () => {
+  const policy = createOPTPolicy({ trace: ['a', 'b', 'c', 'a', 'b', 'd', 'a', 'c'] });
+  referenceAll(policy, ['a', 'b', 'c']);
+
+  // Next uses: a in 0 references, b in 1, c in 4
+  assert.equal(policy.selectVictim(['a', 'b', 'c']), 'c');
+
+  // A page the trace never references again goes first
+  assert.equal(policy.selectVictim(['a', 'z', 'b']), 'z');
+
+  // Past the end of the trace, it repeats
+  referenceAll(policy, ['a', 'b', 'd', 'a'], new Set(['a', 'b', 'c']));
+  assert.equal(policy.selectVictim(['a', 'b', 'd']), 'd');
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RESAMPLE_METHODS, resampleImage, resampleImageData } from '../js/editor/resample.js';
+
+// Resized images come back as ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+};
+
+const METHODS = RESAMPLE_METHODS.map(({ id }) => id);
+
+/**
+ * Image of pseudo-random pixels, the same on every call
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} - Image
+ */
+function createNoiseImage(width, height) {
+  let seed = 7;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    data[i] = seed % 256;
+  }
+  return new ImageData(data, width, height);
+}
+
+/**
+ * Image of a single color
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number[]} rgba - Color
+ * @returns {ImageData} - Image
+ */
+function createSolidImage(width, height, rgba) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(rgba, i);
+  }
+  return new ImageData(data, width, height);
+}
+
+test('resizing is byte-identical across runs and however the rows are read', async () => {
+  const image = createNoiseImage(97, 61);
+
+  for (const method of METHODS) {
+    for (const [width, height] of [[40, 25], [211, 130]]) {
+      const first = await resampleImageData(image, width, height, method);
+      const second = await resampleImageData(image, width, height, method);
+      assert.deepEqual(second.data, first.data, `${method} ${width}x${height}`);
+
+      // Rows handed out as fresh copies, as pages would be
+      const rowBytes = image.width * 4;
+      const paged = await resampleImage({
+        width: image.width,
+        height: image.height,
+        readRows: async (y, count) => image.data.slice(y * rowBytes, (y + count) * rowBytes)
+      }, width, height, method);
+      assert.deepEqual(paged.data, first.data, `${method} ${width}x${height} read in bands`);
+    }
+  }
+});
+
+test('every method reproduces a constant image exactly', async () => {
+  const color = [37, 200, 255, 129];
+  const image = createSolidImage(50, 30, color);
+
+  for (const method of METHODS) {
+    for (const [width, height] of [[50, 30], [17, 9], [123, 77], [1, 1]]) {
+      const result = await resampleImageData(image, width, height, method);
+      assert.deepEqual(result.data, createSolidImage(width, height, color).data, `${method} ${width}x${height}`);
+    }
+  }
+});
+
+test('a 1:1 resize returns the image unchanged', async () => {
+  const image = createNoiseImage(45, 38);
+
+  for (const method of METHODS) {
+    const result = await resampleImageData(image, image.width, image.height, method);
+    assert.deepEqual(result.data, image.data, method);
+  }
+});
+
+test('ringing at a hard edge is clamped to 0..255 without wrapping', async () => {
+  // Black left half, white right half
+  const image = createSolidImage(16, 4, [0, 0, 0, 255]);
+  for (let y = 0; y < 4; y++) {
+    for (let x = 8; x < 16; x++) {
+      image.data.set([255, 255, 255, 255], (y * 16 + x) * 4);
+    }
+  }
+
+  for (const method of METHODS) {
+    const result = await resampleImageData(image, 53, 4, method);
+
+    for (let x = 0; x < 53; x++) {
+      const value = result.data[x * 4];
+      const side = (x + 0.5) * 16 / 53 < 8 ? 'dark' : 'light';
+
+      // Undershoot next to the edge would wrap to a bright value on the dark side, and back
+      if (side === 'dark') {
+        assert.ok(value < 128, `${method}: pixel ${x} is ${value}`);
+      } else {
+        assert.ok(value >= 128, `${method}: pixel ${x} is ${value}`);
+      }
+    }
+
+    // Away from the edge the lobes cancel out
+    assert.equal(result.data[0], 0, method);
+    assert.equal(result.data[52 * 4], 255, method);
+    assert.equal(result.data[3], 255, method);
+  }
+});
+
+test('an unknown method or a bad size is rejected', async () => {
+  const image = createSolidImage(4, 4, [0, 0, 0, 255]);
+
+  await assert.rejects(resampleImageData(image, 2, 2, 'sinc'), /Unknown resampling method: sinc/);
+  await assert.rejects(resampleImageData(image, 0, 2, 'bilinear'), /Invalid target size: 0x2/);
+  await assert.rejects(resampleImageData(image, 2.5, 2, 'bilinear'), /Invalid target size/);
+});
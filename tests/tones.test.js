@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getDefaultLevels,
+  getDefaultCurves,
+  compileLevels,
+  compileCurve,
+  compileToneTables
+} from '../js/editor/tones.js';
+
+const IDENTITY = Array.from({ length: 256 }, (_, value) => value);
+
+/**
+ * Assert that a table never decreases
+ * @param {Uint8ClampedArray} table - Lookup table
+ */
+function assertMonotone(table) {
+  for (let value = 1; value < 256; value++) {
+    assert.ok(table[value] >= table[value - 1], `table drops at ${value}: ${table[value - 1]} -> ${table[value]}`);
+  }
+}
+
+test('default levels and curves compile to the identity', () => {
+  assert.equal(compileToneTables(getDefaultLevels(), getDefaultCurves()), null);
+  assert.equal(compileToneTables(), null);
+
+  assert.deepEqual(Array.from(compileLevels({ black: 0, gamma: 1, white: 255 })), IDENTITY);
+  assert.deepEqual(Array.from(compileCurve([[0, 0], [255, 255]])), IDENTITY);
+
+  // Extra points on the diagonal don't bend it
+  assert.deepEqual(Array.from(compileCurve([[0, 0], [64, 64], [128, 128], [255, 255]])), IDENTITY);
+});
+
+test('levels clamp below the black point and above the white point', () => {
+  const table = compileLevels({ black: 50, gamma: 1, white: 200 });
+
+  for (let value = 0; value <= 50; value++) assert.equal(table[value], 0);
+  for (let value = 200; value < 256; value++) assert.equal(table[value], 255);
+  assert.equal(table[125], 128);
+  assertMonotone(table);
+
+  // Gamma above 1 brightens the midtones, below 1 darkens them
+  assert.ok(compileLevels({ gamma: 2 })[128] > 128);
+  assert.ok(compileLevels({ gamma: 0.5 })[128] < 128);
+});
+
+test('curves are flat beyond their first and last points', () => {
+  const table = compileCurve([[64, 32], [192, 224]]);
+
+  for (let value = 0; value <= 64; value++) assert.equal(table[value], 32);
+  for (let value = 192; value < 256; value++) assert.equal(table[value], 224);
+  assertMonotone(table);
+});
+
+test('curves pass through their points and never overshoot them', () => {
+  // Steep then nearly flat: an unconstrained spline would bulge past 210 and dip back
+  const points = [[0, 0], [30, 200], [40, 210], [120, 212], [255, 255]];
+  const table = compileCurve(points);
+
+  for (const [input, output] of points) {
+    assert.equal(table[input], output);
+  }
+  assertMonotone(table);
+
+  // Between a peak and its neighbors, values stay inside each segment's range
+  const peak = [[0, 0], [100, 255], [200, 0], [255, 40]];
+  const peakTable = compileCurve(peak);
+  for (let i = 0; i < peak.length - 1; i++) {
+    const [x0, y0] = peak[i];
+    const [x1, y1] = peak[i + 1];
+    for (let value = x0; value <= x1; value++) {
+      assert.ok(
+        peakTable[value] >= Math.min(y0, y1) && peakTable[value] <= Math.max(y0, y1),
+        `${peakTable[value]} at ${value} is outside ${y0}..${y1}`
+      );
+    }
+  }
+
+  // Control points may come in any order
+  assert.deepEqual(compileCurve([...points].reverse()), table);
+});
+
+test('composite levels apply before the channel curves', () => {
+  const levels = { ...getDefaultLevels(), rgb: { black: 0, gamma: 1, white: 127 } };
+  const curves = { ...getDefaultCurves(), r: [[0, 255], [255, 0]] };
+  const [red, green, blue] = compileToneTables(levels, curves);
+
+  // 127 is stretched to white first, then red is inverted
+  assert.equal(red[127], 0);
+  assert.equal(green[127], 255);
+  assert.deepEqual(blue, green);
+});
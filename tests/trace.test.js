@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupMemoryManager } from '../js/memory/memoryManager.js';
+import { createMemoryStore } from '../js/memory/backingStore.js';
+import { exportTrace, parseTrace, replayTrace } from '../js/memory/trace.js';
+
+// The memory manager builds its output as ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+};
+
+const eventBus = { on() {}, off() {}, emit() {} };
+
+/**
+ * Run a workload with a hot corner, then a full render, starting with nothing resident
+ * @param {string} policy - Policy ID
+ * @returns {Promise<Object>} - { memoryManager, hits, faults, evictions } of the run
+ */
+async function runWorkload(policy) {
+  // 13 frames for 100 tiles of 20x20
+  const memoryManager = setupMemoryManager({
+    memoryLimit: 0.02,
+    tileWidth: 20,
+    tileHeight: 20,
+    policy,
+    backingStore: createMemoryStore(),
+    eventBus
+  });
+  memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+  const image = new ImageData(new Uint8ClampedArray(200 * 200 * 4).fill(200), 200, 200);
+  await memoryManager.storeImage(image);
+
+  // Swap everything out, so the run starts cold like a replay does
+  await memoryManager.setMemoryLimit(1e-6);
+  await memoryManager.setMemoryLimit(0.02);
+  memoryManager.clearTrace();
+  const before = memoryManager.getMemoryStats();
+
+  const patch = new Uint8ClampedArray(30 * 30 * 4).fill(200);
+  let seed = 3;
+  const random = n => {
+    seed = (seed * 16807) % 2147483647;
+    return seed % n;
+  };
+  for (let i = 0; i < 300; i++) {
+    const hot = random(4) > 0;
+    await memoryManager.writePixels({
+      x: hot ? random(50) : random(170),
+      y: hot ? random(50) : random(170),
+      w: 30,
+      h: 30
+    }, patch);
+  }
+  await memoryManager.processImageChunks(image, {}, 'none', 0);
+
+  const after = memoryManager.getMemoryStats();
+  return {
+    memoryManager,
+    hits: after.pageHits - before.pageHits,
+    faults: after.pageFaults - before.pageFaults,
+    evictions: after.evictions - before.evictions
+  };
+}
+
+test('an exported trace parses back to the same events', () => {
+  const trace = {
+    pageSize: 0.5,
+    events: [
+      { time: 0, type: 'access', pageId: 'doc_1:page_0', detail: '' },
+      { time: 0.125, type: 'fault', pageId: 'doc_1:page_0', detail: '' },
+      { time: 1.5, type: 'swap-in', pageId: 'doc_1:page_0', detail: 'backing-store' }
+    ]
+  };
+
+  const fromJson = parseTrace(exportTrace(trace, 'json'));
+  assert.equal(fromJson.pageSize, 0.5);
+  assert.deepEqual(fromJson.events, trace.events);
+
+  assert.deepEqual(parseTrace(exportTrace(trace, 'csv')).events, trace.events);
+});
+
+for (const policy of ['lru', 'fifo', 'clock', 'lfu', 'arc']) {
+  test(`replaying an exported trace reproduces the live run under ${policy}`, async () => {
+    const { memoryManager, hits, faults, evictions } = await runWorkload(policy);
+    assert.ok(hits > 0 && evictions > 0, 'the workload should both hit and evict');
+
+    for (const format of ['json', 'csv']) {
+      const replayed = replayTrace(parseTrace(memoryManager.exportTrace(format)), { policy, capacity: 13 });
+      assert.deepEqual(
+        { hits: replayed.hits, faults: replayed.faults, evictions: replayed.evictions },
+        { hits, faults, evictions },
+        format
+      );
+
+      // The memory manager's replay sizes the frames from the trace's page size
+      const { capacity } = memoryManager.replayTrace(memoryManager.exportTrace(format));
+      assert.equal(capacity, 13, format);
+    }
+  });
+}
+
+test('replayed OPT faults no more than any other policy on the same trace', async () => {
+  // At runtime OPT only approximates Belady, so a live run isn't compared
+  const { memoryManager } = await runWorkload('lru');
+  const trace = parseTrace(memoryManager.exportTrace());
+  const opt = replayTrace(trace, { policy: 'opt', capacity: 13 });
+
+  for (const policy of ['lru', 'fifo', 'clock', 'lfu', 'arc']) {
+    assert.ok(opt.faults <= replayTrace(trace, { policy, capacity: 13 }).faults, policy);
+  }
+});
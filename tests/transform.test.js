@@ -0,0 +1,243 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getHomography,
+  getInscribedRect,
+  rotateImageData,
+  warpImageData,
+  completeParallelogram,
+  getStraightenAngle
+} from '../js/editor/transform.js';
+import { setupMemoryManager } from '../js/memory/memoryManager.js';
+import { createMemoryStore } from '../js/memory/backingStore.js';
+
+// Transforms return ImageData, which Node doesn't have
+globalThis.ImageData ??= class ImageData {
+  constructor(data, width, height) {
+    this.data = data;
+    this.width = width;
+    this.height = height;
+  }
+};
+
+const eventBus = { on() {}, off() {}, emit() {} };
+
+/**
+ * Opaque image of pseudo-random pixels, the same on every call
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {ImageData} - Image
+ */
+function createNoiseImage(width, height) {
+  let seed = 5;
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i++) {
+    seed = (seed * 16807) % 2147483647;
+    data[i] = i % 4 === 3 ? 255 : seed % 256;
+  }
+  return new ImageData(data, width, height);
+}
+
+/**
+ * Build an image pixel by pixel from another
+ * @param {number} width - Result width
+ * @param {number} height - Result height
+ * @param {Function} sourceIndex - (x, y) => pixel index in the source
+ * @param {ImageData} source - Source image
+ * @returns {ImageData} - Result
+ */
+function remap(width, height, sourceIndex, source) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = sourceIndex(x, y) * 4;
+      data.set(source.data.subarray(i, i + 4), (y * width + x) * 4);
+    }
+  }
+  return new ImageData(data, width, height);
+}
+
+/**
+ * Turn an image a quarter clockwise: the left column becomes the top row
+ * @param {ImageData} image - Source image
+ * @returns {ImageData} - Turned image
+ */
+function turnClockwise(image) {
+  return remap(image.height, image.width, (x, y) => (image.height - 1 - x) * image.width + y, image);
+}
+
+/**
+ * Mirror an image left to right
+ * @param {ImageData} image - Source image
+ * @returns {ImageData} - Mirrored image
+ */
+function mirror(image) {
+  return remap(image.width, image.height, (x, y) => y * image.width + image.width - 1 - x, image);
+}
+
+/**
+ * Turn an image upside down
+ * @param {ImageData} image - Source image
+ * @returns {ImageData} - Flipped image
+ */
+function flipVertically(image) {
+  return remap(image.width, image.height, (x, y) => (image.height - 1 - y) * image.width + x, image);
+}
+
+test('quarter turns and flips placed tile by tile are exact', async () => {
+  const memoryManager = setupMemoryManager({
+    memoryLimit: 0.01,
+    tileWidth: 16,
+    tileHeight: 12,
+    backingStore: createMemoryStore(),
+    eventBus
+  });
+  memoryManager.registerChunkProcessor(data => new Uint8ClampedArray(data));
+
+  const image = createNoiseImage(53, 37);
+  await memoryManager.storeImage(image);
+
+  let turned = image;
+  for (const rotation of [0, 90, 180, 270]) {
+    for (const [flipH, flipV] of [[false, false], [true, false], [false, true], [true, true]]) {
+      let expected = turned;
+      if (flipH) expected = mirror(expected);
+      if (flipV) expected = flipVertically(expected);
+
+      const output = await memoryManager.processImageChunks(image, {}, 'none', { rotation, flipH, flipV });
+      assert.equal(output.width, expected.width);
+      assert.equal(output.height, expected.height);
+      assert.deepEqual(output.data, expected.data, `rotation ${rotation}, flipH ${flipH}, flipV ${flipV}`);
+    }
+    turned = turnClockwise(turned);
+  }
+});
+
+test('free rotation by a multiple of 90 degrees moves pixels without resampling them', () => {
+  const image = createNoiseImage(23, 14);
+  const quarter = turnClockwise(image);
+  const half = turnClockwise(quarter);
+  const threeQuarters = turnClockwise(half);
+
+  for (const interpolation of ['bilinear', 'bicubic']) {
+    assert.deepEqual(rotateImageData(image, 90, { interpolation }).data, quarter.data, interpolation);
+    assert.deepEqual(rotateImageData(image, 180, { interpolation }).data, half.data, interpolation);
+    assert.deepEqual(rotateImageData(image, -90, { interpolation }).data, threeQuarters.data, interpolation);
+  }
+  assert.equal(rotateImageData(image, 0), image);
+});
+
+test('the auto-crop rectangle fits inside the rotated image', () => {
+  assert.deepEqual(getInscribedRect(100, 100, 45), { width: 70, height: 70 });
+  assert.deepEqual(getInscribedRect(120, 80, 0), { width: 120, height: 80 });
+
+  for (const [width, height] of [[100, 100], [160, 90], [90, 160], [400, 20]]) {
+    for (let angle = -45; angle <= 45; angle += 2.5) {
+      const rect = getInscribedRect(width, height, angle);
+      const radians = angle * Math.PI / 180;
+
+      // Rotate the rectangle's corners back into the source: they must land inside it
+      for (const [cx, cy] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+        const dx = cx * rect.width / 2;
+        const dy = cy * rect.height / 2;
+        const sourceX = Math.cos(radians) * dx + Math.sin(radians) * dy;
+        const sourceY = -Math.sin(radians) * dx + Math.cos(radians) * dy;
+        assert.ok(Math.abs(sourceX) <= width / 2 + 1e-9, `${width}x${height} at ${angle}: x ${sourceX}`);
+        assert.ok(Math.abs(sourceY) <= height / 2 + 1e-9, `${width}x${height} at ${angle}: y ${sourceY}`);
+      }
+    }
+  }
+});
+
+test('an auto-cropped rotation has no empty corners', () => {
+  const image = createNoiseImage(60, 40);
+
+  for (const angle of [-30, -7.5, 3, 12, 45]) {
+    const rotated = rotateImageData(image, angle, { autoCrop: true });
+    const { width, height } = getInscribedRect(60, 40, angle);
+    assert.equal(rotated.width, width);
+    assert.equal(rotated.height, height);
+
+    for (let i = 3; i < rotated.data.length; i += 4) {
+      assert.equal(rotated.data[i], 255, `transparent pixel at ${angle} degrees`);
+    }
+  }
+
+  // Without auto-crop the corners are left transparent
+  assert.equal(rotateImageData(image, 12).data[3], 0);
+});
+
+test('the homography maps the unit square corners onto the quadrilateral', () => {
+  assert.deepEqual(getHomography([[0, 0], [1, 0], [1, 1], [0, 1]]), [1, 0, 0, 0, 1, 0, 0, 0]);
+
+  const quads = [
+    [[10, 20], [110, 5], [130, 90], [0, 70]],
+    [[0, 0], [50, 10], [60, 60], [10, 50]],
+    [[-5, 3], [40, -2], [47, 31], [2, 36]]
+  ];
+
+  for (const quad of quads) {
+    const [a, b, c, d, e, f, g, h] = getHomography(quad);
+    const map = (u, v) => {
+      const w = g * u + h * v + 1;
+      return [(a * u + b * v + c) / w, (d * u + e * v + f) / w];
+    };
+
+    [[0, 0], [1, 0], [1, 1], [0, 1]].forEach(([u, v], i) => {
+      const [x, y] = map(u, v);
+      assert.ok(Math.abs(x - quad[i][0]) < 1e-9 && Math.abs(y - quad[i][1]) < 1e-9, `corner ${i} maps to ${x}, ${y}`);
+    });
+
+    // Invert the 3x3 matrix and take points inside the square there and back
+    const m = [a, b, c, d, e, f, g, h, 1];
+    const inverse = invert3x3(m);
+    for (const [u, v] of [[0.5, 0.5], [0.1, 0.9], [0.75, 0.2]]) {
+      const [x, y] = map(u, v);
+      const w = inverse[6] * x + inverse[7] * y + inverse[8];
+      const backU = (inverse[0] * x + inverse[1] * y + inverse[2]) / w;
+      const backV = (inverse[3] * x + inverse[4] * y + inverse[5]) / w;
+      assert.ok(Math.abs(backU - u) < 1e-9 && Math.abs(backV - v) < 1e-9, `${u}, ${v} came back as ${backU}, ${backV}`);
+    }
+  }
+
+  assert.throws(() => getHomography([[0, 0], [1, 1], [2, 2], [3, 3]]), /must not be collinear/);
+});
+
+test('warping an axis-aligned rectangle crops it exactly', () => {
+  const image = createNoiseImage(8, 8);
+  const center = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75]];
+
+  for (const interpolation of ['bilinear', 'bicubic']) {
+    const warped = warpImageData(image, center, { interpolation });
+    assert.deepEqual(warped.data, remap(4, 4, (x, y) => (y + 2) * 8 + x + 2, image).data, interpolation);
+  }
+
+  assert.equal(warpImageData(image, [[0, 0], [1, 0], [1, 1], [0, 1]]), image);
+});
+
+test('moving one corner of a parallelogram moves the opposite one with it', () => {
+  const corners = [[0.2, 0.1], [0.9, 0.1], [0.9, 0.8], [0.2, 0.8]];
+  corners[0] = [0.3, 0.2];
+
+  assert.deepEqual(completeParallelogram(corners, 0), [[0.3, 0.2], [0.9, 0.1], [0.8, 0.7], [0.2, 0.8]]);
+});
+
+test('the straighten angle levels a line to the nearest axis', () => {
+  assert.equal(Math.abs(getStraightenAngle(0, 0, 100, 0)), 0);
+  assert.ok(Math.abs(getStraightenAngle(0, 0, 100, 10) + Math.atan2(10, 100) * 180 / Math.PI) < 1e-9);
+  assert.ok(Math.abs(getStraightenAngle(0, 0, 5, 100) - (90 - Math.atan2(100, 5) * 180 / Math.PI)) < 1e-9);
+});
+
+/**
+ * Invert a row-major 3x3 matrix
+ * @param {number[]} m - Matrix
+ * @returns {number[]} - Inverse
+ */
+function invert3x3([a, b, c, d, e, f, g, h, i]) {
+  const determinant = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  return [
+    (e * i - f * h), -(b * i - c * h), (b * f - c * e),
+    -(d * i - f * g), (a * i - c * g), -(a * f - c * d),
+    (d * h - e * g), -(a * h - b * g), (a * e - b * d)
+  ].map(value => value / determinant);
+}